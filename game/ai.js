@@ -0,0 +1,219 @@
+/**
+ * @fileoverview Copyright (c) 2023 Jaedin Davasligil
+ *
+ * Rogue-JS is a pure javascript browser dungeon crawler.
+ * @package
+ */
+
+"use strict";
+
+import { FRNG } from "../lib/fast-random.js";
+import { HIRO } from "../lib/hiro.js";
+import { InteractMode } from "./archetype/player.js";
+import { Combat } from "./combat.js";
+import { Pathfinding } from "./pathfinding.js";
+import { writeLog } from "./render/text.js";
+import { Direction } from "./types.js";
+
+/**
+ * Moves an entity one step, returning true if it moved.
+ * @typedef {function(import("./entity-manager.js").EntityID, Direction, import("./main.js").Game): boolean} MoveFunction
+ */
+
+/** Class of functions deciding what monsters do on their turn. */
+export class AI {
+  /** Sleeping monsters only notice the player within this many tiles. */
+  static wakeRadius = 8;
+
+  /** X-in-6 chance of a sleeping monster nearby waking each turn. */
+  static wakeChance = 2;
+
+  /** X-in-6 chance of waking when the player moves in Stealth mode. */
+  static stealthWakeChance = 1;
+
+  /** Awake monsters chase the player within this many tiles. */
+  static senseRadius = 12;
+
+  /** X-in-6 chance of an idle monster wandering each action. */
+  static wanderChance = 3;
+
+  /**
+   * Distances to the player shared by every monster chasing them. Cleared
+   * whenever the player acts, as the player or the map may have changed.
+   * @type {import("./pathfinding.js").DistanceField | null}
+   */
+  static chase = null;
+
+  /**
+   * Returns the distances to the player, building them if needed.
+   * @param {import("./main.js").Game} game - Game data.
+   * @returns {import("./pathfinding.js").DistanceField}
+   */
+  static chaseField(game) {
+    if (AI.chase === null) {
+      AI.chase = Pathfinding.distanceField(
+        game.chunks,
+        game.entities,
+        [game.player.position],
+        2 * AI.senseRadius
+      );
+    }
+    return AI.chase;
+  }
+
+  /**
+   * Returns the number of steps between two positions.
+   * @param {import("./types.js").Position} a - World coordinate.
+   * @param {import("./types.js").Position} b - World coordinate.
+   * @returns {number}
+   */
+  static steps(a, b) {
+    return Math.abs(a.x - b.x) + Math.abs(a.y - b.y);
+  }
+
+  /**
+   * Returns the directions of a step toward a position, best first.
+   * @param {import("./types.js").Position} from - World coordinate.
+   * @param {import("./types.js").Position} to - World coordinate.
+   * @returns {Array.<Direction>}
+   */
+  static directionsToward(from, to) {
+    const dx = to.x - from.x;
+    const dy = to.y - from.y;
+    const horizontal = dx < 0 ? Direction.Left : Direction.Right;
+    const vertical = dy < 0 ? Direction.Up : Direction.Down;
+
+    const dirs = [];
+    if (Math.abs(dx) >= Math.abs(dy)) {
+      if (dx !== 0) dirs.push(horizontal);
+      if (dy !== 0) dirs.push(vertical);
+    } else {
+      dirs.push(vertical);
+      if (dx !== 0) dirs.push(horizontal);
+    }
+    return dirs;
+  }
+
+  /**
+   * Returns the directions of a step away from a position, best first.
+   * @param {import("./types.js").Position} from - World coordinate.
+   * @param {import("./types.js").Position} away - World coordinate.
+   * @returns {Array.<Direction>}
+   */
+  static directionsAway(from, away) {
+    const mirror = {x: 2 * from.x - away.x, y: 2 * from.y - away.y};
+    const dirs = AI.directionsToward(from, mirror);
+
+    // Sidestep when there is no way straight back.
+    if (from.x === away.x) dirs.push(Direction.Left, Direction.Right);
+    if (from.y === away.y) dirs.push(Direction.Up, Direction.Down);
+    return dirs;
+  }
+
+  /**
+   * Try each direction in turn until one of them moves the monster.
+   * @param {import("./main.js").Game} game - Game data.
+   * @param {import("./archetype/monster.js").Monster} monster - Monster moving.
+   * @param {Array.<Direction>} dirs - Directions, best first.
+   * @param {MoveFunction} move - Moves an entity one step.
+   * @returns {boolean}
+   */
+  static step(game, monster, dirs, move) {
+    for (let i = 0; i < dirs.length; ++i) {
+      if (move(monster.id, dirs[i], game)) return true;
+    }
+    return false;
+  }
+
+  /**
+   * A sleeping monster near the player may wake, more rarely if the player
+   * is sneaking.
+   * @param {import("./main.js").Game} game - Game data.
+   * @param {import("./archetype/monster.js").Monster} monster - Monster asleep.
+   */
+  static checkWake(game, monster) {
+    if (AI.steps(monster.position, game.player.position) > AI.wakeRadius) return;
+
+    const chance = (game.player.mode === InteractMode.Stealth)
+      ? AI.stealthWakeChance
+      : AI.wakeChance;
+
+    if (HIRO.rollDie(game.rng, 6) <= chance) {
+      monster.asleep = false;
+      writeLog(`The ${monster.name} wakes up.`);
+    }
+  }
+
+  /**
+   * A monster badly hurt checks its morale once, fleeing if 2d6 rolls
+   * over it.
+   * @param {import("./main.js").Game} game - Game data.
+   * @param {import("./archetype/monster.js").Monster} monster - Monster hurt.
+   */
+  static checkMorale(game, monster) {
+    if (monster.moraleChecked || monster.hitPoints > monster.maxHitPoints / 2) return;
+
+    monster.moraleChecked = true;
+    if (HIRO.rollSum(game.rng, 2, 6) > monster.morale) {
+      monster.fleeing = true;
+      writeLog(`The ${monster.name} turns to flee!`);
+    }
+  }
+
+  /**
+   * Decide and carry out a single monster action: wake, flee, attack, chase
+   * or wander.
+   * @param {import("./main.js").Game} game - Game data.
+   * @param {import("./archetype/monster.js").Monster} monster - Monster acting.
+   * @param {MoveFunction} move - Moves an entity one step.
+   * @returns {number} - Moves spent.
+   */
+  static act(game, monster, move) {
+    // Sleepers only stir once a turn.
+    if (monster.asleep) {
+      AI.checkWake(game, monster);
+      return monster.asleep ? monster.speed : 1;
+    }
+
+    const player = game.player;
+    const distance = AI.steps(monster.position, player.position);
+
+    if (monster.hostile) AI.checkMorale(game, monster);
+
+    if (monster.fleeing) {
+      // Out of sight, the monster gathers its nerve.
+      if (distance > AI.senseRadius) {
+        monster.fleeing = false;
+        return 1;
+      }
+      if (!AI.step(game, monster, AI.directionsAway(monster.position, player.position), move) && distance === 1) {
+        Combat.attackPlayer(game, monster);
+      }
+      return 1;
+    }
+
+    if (monster.hostile && distance === 1) {
+      Combat.attackPlayer(game, monster);
+      return 1;
+    }
+
+    // Follow the shortest way around obstacles, or head straight for the
+    // player when there is none.
+    if (monster.hostile && distance <= AI.senseRadius) {
+      const dirs = Pathfinding.descend(AI.chaseField(game), monster.position);
+      AI.step(
+        game,
+        monster,
+        dirs.length > 0 ? dirs : AI.directionsToward(monster.position, player.position),
+        move
+      );
+      return 1;
+    }
+
+    if (HIRO.rollDie(game.rng, 6) <= AI.wanderChance) {
+      const dirs = Object.values(Direction);
+      move(monster.id, dirs[FRNG.randInt(game.rng, 0, dirs.length)], game);
+    }
+    return 1;
+  }
+}
@@ -24,6 +24,8 @@ export const EntityType = {
   Rock:     9,
   Shop:     10,
   Weapon:   11,
+  Lever:    12,
+  Item:     13,
 }
 
 /**
@@ -27,13 +27,26 @@ export class Door {
     this.occlusion = true;
 
     this.open = false;
+    this.broken = false;
     this.stuck = false;
     this.lock = LockType.None;
+    this.jammed = false; // Lock broken while being picked.
     this.trap = LockTrapType.None;
+    this.trapSearched = false;
+    this.trapFound = false;
     this.material = Material.Wood;
     this.hitpoints = 4;
   }
 
+  /**
+   * Deserialize from JSON.
+   * @param {object} json - JSON object.
+   * @returns {Door}
+   */
+  static from(json) {
+    return Object.assign(new Door(), json);
+  }
+
   // Columns are material types.
   static materialChance = [
     [99,  0,  1,  0,  0,  0,  0], // Depth 0
@@ -120,20 +133,25 @@ export class Door {
     switch (door.material) {
       case Material.Wood:
         door.hitpoints = HIRO.rollSum(rng, 2, 6);
+        break;
 
       case Material.Stone:
         door.hitpoints = 10 + HIRO.rollSum(rng, 2, 6);
+        break;
 
       case Material.Iron:
       case Material.Silver:
         door.hitpoints = 20 + HIRO.rollSum(rng, 2, 6);
+        break;
 
       case Material.Steel:
       case Material.TrueSilver:
         door.hitpoints = 30 + HIRO.rollSum(rng, 2, 6);
+        break;
 
       case Material.Adamantine:
         door.hitpoints = 40 + HIRO.rollSum(rng, 2, 6);
+        break;
     }
   }
 
@@ -160,17 +178,29 @@ export class Door {
   }
 
   /**
-   * Close a door.
+   * Reveal a secret door as a closed door.
+   * @param {Door} door - A door.
+   */
+  static reveal(door) {
+    if (door.tile === Tile.Granite) {
+      door.tile = Tile.ClosedDoor;
+    }
+  }
+
+  /**
+   * Close a door. Broken doors stay open.
    * @param {Door} door - A door.
    */
   static close(door) {
+    if (door.broken) return;
+
     door.open = false;
     door.collision = true;
 
     switch (door.tile) {
       case Tile.OpenDoor:
         door.occlusion = true;
-        door.tile = Tile.OpenDoor;
+        door.tile = Tile.ClosedDoor;
         break;
 
       case Tile.PortcullisUp:
@@ -179,6 +209,38 @@ export class Door {
     }
   }
 
+  /**
+   * Deal damage to a door, breaking it open once out of hitpoints.
+   * @param {Door} door - A door.
+   * @param {number} damage - Damage dealt.
+   * @returns {boolean} - True if the door broke.
+   */
+  static bash(door, damage) {
+    door.hitpoints = Math.max(0, door.hitpoints - damage);
+    if (door.hitpoints > 0) return false;
+
+    Door.open(door);
+    door.broken = true;
+    door.lock = LockType.None;
+
+    return true;
+  }
+
+  /**
+   * Randomize a lowered portcullis worked by a lever. It is never secret,
+   * locked or stuck.
+   * @param {function(): number} rng - Random number generator (0,1).
+   * @param {Door} door - A door.
+   * @param {number} depth - Dungeon level.
+   */
+  static randomizePortcullis(rng, door, depth) {
+    door.tile = Tile.PortcullisDown;
+    door.material = Math.max(Material.Iron, FRNG.randPdf(rng, Door.materialChance[depth]));
+    door.occlusion = false;
+
+    Door.HPFromMaterial(rng, door);
+  }
+
   /**
    * Randomize a door based on depth.
    * @param {function(): number} rng - Random number generator (0,1). 
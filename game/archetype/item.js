@@ -0,0 +1,83 @@
+/**
+ * @fileoverview Copyright (c) 2023 Jaedin Davasligil
+ *
+ * Rogue-JS is a pure javascript browser dungeon crawler.
+ * @package
+ */
+
+"use strict";
+
+import { Tile } from "../tile.js";
+import { EntityType } from "./archetype.js";
+
+// CARRIED ITEMS
+// Items carried by the player are plain objects, e.g.,
+//   {name: "Arrow", weight: 1, count: 20, type: "arrow", breakChance: 50}
+// Fields used in combat:
+//   damage      - Dice expression, e.g., "1d6".
+//   range       - [short, medium, long] range bands in tiles.
+//   ammo        - Type of ammunition a launcher fires, e.g., "arrow".
+//   type        - Type of a piece of ammunition.
+//   thrown      - Whether the item can be thrown, e.g., daggers. Potions are
+//                 not, as nothing yet applies their effect.
+//   breakChance - Percent chance of breaking when fired or thrown.
+//   count       - Number stacked, if stackable.
+// Fields used by light sources, held in either hand:
+//   light       - Radius in tiles lit around the player.
+//   fuel        - Turns left before the light goes out.
+//   burnTime    - Turns a full load of fuel burns.
+//   refuel      - Name of the item refilling it, e.g., "Flask of Oil".
+// Fields used by digging tools, held or carried:
+//   dig         - Kind of tool, e.g., "pick".
+
+/** Data class representing an item lying on the floor */
+export class Item {
+  /**
+   * Create an Item.
+   * @returns {Item}
+   */
+  constructor() {
+    this.id = (0xFF - EntityType.Item) << 24;
+    this.tile = Tile.Item;
+    this.position = {x:0, y:0};
+    this.collision = false;
+    this.visible = true;
+    this.occlusion = false;
+
+    /**
+     * The carried item picked up from here.
+     * @type {object | null}
+     */
+    this.item = null;
+  }
+
+  /**
+   * Deserialize from JSON.
+   * @param {object} json - JSON object.
+   * @returns {Item}
+   */
+  static from(json) {
+    return Object.assign(new Item(), json);
+  }
+
+  /**
+   * Returns true if two carried items stack together.
+   * @param {object} a - Carried item.
+   * @param {object} b - Carried item.
+   * @returns {boolean}
+   */
+  static stacks(a, b) {
+    return a.count !== undefined && b.count !== undefined && a.name === b.name;
+  }
+
+  /**
+   * Take a number of items off a stack, returning them as a new stack.
+   * @param {object} item - Carried item.
+   * @param {number} n - Number taken.
+   * @returns {object}
+   */
+  static split(item, n) {
+    item.count -= n;
+    return Object.assign({}, item, {count: n});
+  }
+}
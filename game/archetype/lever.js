@@ -0,0 +1,59 @@
+/**
+ * @fileoverview Copyright (c) 2023 Jaedin Davasligil
+ *
+ * Rogue-JS is a pure javascript browser dungeon crawler.
+ * @package
+ */
+
+"use strict";
+
+import { Tile } from "../tile.js";
+import { EntityType } from "./archetype.js";
+
+/** Data class representing lever data */
+export class Lever {
+  /**
+   * Create a Lever.
+   * @returns {Lever}
+   */
+  constructor() {
+    this.id = (0xFF - EntityType.Lever) << 24;
+    this.tile = Tile.LeverUp;
+    this.position = {x:0, y:0};
+    this.collision = true;
+    this.visible = true;
+    this.occlusion = true; // Set in a wall niche.
+
+    this.pulled = false;
+
+    /**
+     * World position of the portcullis worked by the lever.
+     * @type {import("../types.js").Position | null}
+     */
+    this.target = null;
+  }
+
+  /**
+   * Deserialize from JSON.
+   * @param {object} json - JSON object.
+   * @returns {Lever}
+   */
+  static from(json) {
+    return Object.assign(new Lever(), json);
+  }
+
+  /**
+   * Levers are placed no further than this many tiles from their portcullis,
+   * so both are always loaded together.
+   */
+  static maxReach = 16;
+
+  /**
+   * Pull a lever, flipping it.
+   * @param {Lever} lever - A lever.
+   */
+  static pull(lever) {
+    lever.pulled = !lever.pulled;
+    lever.tile = lever.pulled ? Tile.LeverDown : Tile.LeverUp;
+  }
+}
@@ -7,6 +7,8 @@
 
 "use strict";
 
+import { FRNG } from "../../lib/fast-random.js";
+import { HIRO } from "../../lib/hiro.js";
 import { Tile } from "../tile.js";
 import { Direction } from "../types.js";
 import { EntityType } from "./archetype.js";
@@ -27,11 +29,15 @@ export class Monster {
     this.occlusion = false;
     
     this.asleep = false;
+    this.hostile = false;
+    this.fleeing = false;
+    this.moraleChecked = false;
 
     this.name = "";
     this.type = "";
     this.description = ""; 
     this.isPerson = true;
+    this.warmBlooded = true; // Seen by infravision, unlike undead or oozes.
 
     this.morale = 7;
     this.alignment = 0;
@@ -69,6 +75,74 @@ export class Monster {
     this.armorClass = 10;
     this.maxArmorClass = 10;
     this.attackBonus = 0;
+    this.damage = "1d6";
+    this.nextAction = 0; // Scheduler tick of the next action.
+  }
+
+  /**
+   * Deserialize from JSON.
+   * @param {object} json - JSON object.
+   * @returns {Monster}
+   */
+  static from(json) {
+    return Object.assign(new Monster(), json);
+  }
+
+  /**
+   * Monsters met in the dungeon, by the tile they are generated from.
+   * Hit dice are d8s with an optional modifier, e.g., "1-1".
+   * @type {Object.<Tile, object>}
+   */
+  static bestiary = {
+    [Tile.Goblin]: {
+      tile: Tile.Goblin,
+      name: "Goblin",
+      type: "Humanoid",
+      description: "A small, grey-skinned humanoid with a wicked grin.",
+      hitDice: "1-1",
+      armorClass: 13,
+      maxArmorClass: 13,
+      damage: "1d6",
+      morale: 7,
+      experience: 5,
+    },
+    [Tile.Skeleton]: {
+      tile: Tile.Skeleton,
+      name: "Skeleton",
+      type: "Undead",
+      description: "Animated bones clutching a rusted blade.",
+      isPerson: false,
+      warmBlooded: false,
+      hitDice: "1",
+      armorClass: 12,
+      maxArmorClass: 12,
+      damage: "1d6",
+      morale: 12,
+      experience: 10,
+    },
+  };
+
+  /** X-in-6 chance of a monster generated in the dungeon being asleep. */
+  static sleepChance = 3;
+
+  /**
+   * Randomize a monster generated in the dungeon from its bestiary entry.
+   * Hit points are rolled from its hit dice, and it may be found asleep.
+   * Dungeon monsters are always hostile.
+   * @param {function(): number} rng - Random number generator (0,1).
+   * @param {Monster} monster - A monster.
+   */
+  static randomize(rng, monster) {
+    const dice = monster.hitDice.match(/^(\d+)([+-]\d+)?$/);
+    const n = parseInt(dice[1]);
+    const modifier = parseInt(dice[2] ?? "0");
+
+    monster.level = Monster.levelFrom(monster.hitDice);
+    monster.attackBonus = Monster.attackBonus(monster.level);
+    monster.maxHitPoints = Math.max(1, HIRO.rollSum(rng, n, 8) + modifier);
+    monster.hitPoints = monster.maxHitPoints;
+    monster.hostile = true;
+    monster.asleep = FRNG.randInt(rng, 0, 6) < Monster.sleepChance;
   }
 
   /**
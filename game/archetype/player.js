@@ -50,16 +50,17 @@ export class Player {
 
     this.seed = 0;
     this.turn = 0; // Each turn is 10 minutes.
-    this.moves = 0; // Move counter: Turn increases in this.speed moves.
+    this.nextAction = 0; // Scheduler tick of the next action.
 
     this.name = "";
     this.ancestry = "";
     this.combatClass = "";
     this.title = "";
     this.backstory = "";
-    this.primeRequisite = "";
+    this.primeRequisite = []; // Ability score keys, e.g., ["str", "wis"].
     this.alignment = 0;
     this.level = 1;
+    this.maxLevel = 14;
     this.experience = 0;
     this.coins = {
       platinum: 0,
@@ -110,6 +111,16 @@ export class Player {
     this.armorClass = 10; 
     this.maxArmorClass = 10;
     this.attackBonus = 0;
+    this.blinded = 0; // Turns left blinded.
+  }
+
+  /**
+   * Deserialize from JSON.
+   * @param {object} json - JSON object.
+   * @returns {Player}
+   */
+  static from(json) {
+    return Object.assign(new Player(), json);
   }
 
   /**
@@ -0,0 +1,49 @@
+/**
+ * @fileoverview Copyright (c) 2023 Jaedin Davasligil
+ *
+ * Rogue-JS is a pure javascript browser dungeon crawler.
+ * @package
+ */
+
+"use strict";
+
+import { Tile } from "../tile.js";
+import { EntityType } from "./archetype.js";
+
+/**
+ * Bounds of a room's floor.
+ * @typedef {Object} RoomBounds
+ * @property {number} x - World x of the top left corner.
+ * @property {number} y - World y of the top left corner.
+ * @property {number} width - Width in tiles.
+ * @property {number} height - Height in tiles.
+ */
+
+/** Data class representing an unseen marker at the centre of a room */
+export class Room {
+  /**
+   * Create a Room.
+   * @returns {Room}
+   */
+  constructor() {
+    this.id = (0xFF - EntityType.Room) << 24;
+    this.tile = Tile.RoomNode;
+    this.position = {x:0, y:0};
+    this.collision = false;
+    this.visible = false;
+    this.occlusion = false;
+
+    /** @type {RoomBounds | null} */
+    this.bounds = null;
+    this.lit = false;
+  }
+
+  /**
+   * Deserialize from JSON.
+   * @param {object} json - JSON object.
+   * @returns {Room}
+   */
+  static from(json) {
+    return Object.assign(new Room(), json);
+  }
+}
@@ -0,0 +1,46 @@
+/**
+ * @fileoverview Copyright (c) 2023 Jaedin Davasligil
+ *
+ * Rogue-JS is a pure javascript browser dungeon crawler.
+ * @package
+ */
+
+"use strict";
+
+import { Tile } from "../tile.js";
+import { EntityType } from "./archetype.js";
+
+/** Data class representing a staircase between dungeon levels */
+export class Stairs {
+  /**
+   * Create a Stairs.
+   * @returns {Stairs}
+   */
+  constructor() {
+    this.id = (0xFF - EntityType.Stairs) << 24;
+    this.tile = Tile.StairsDown;
+    this.position = {x:0, y:0};
+    this.collision = false;
+    this.visible = true;
+    this.occlusion = false;
+  }
+
+  /**
+   * Deserialize from JSON.
+   * @param {object} json - JSON object.
+   * @returns {Stairs}
+   */
+  static from(json) {
+    return Object.assign(new Stairs(), json);
+  }
+
+  /**
+   * Returns the depth a staircase leads to.
+   * @param {Stairs} stairs - A staircase.
+   * @param {number} depth - Depth of the staircase.
+   * @returns {number}
+   */
+  static destination(stairs, depth) {
+    return (stairs.tile === Tile.StairsDown) ? depth + 1 : depth - 1;
+  }
+}
@@ -5,30 +5,44 @@
  * @package
  */
 
-// TODO Handle entity stack diffing
-
 "use strict";
 
 import { GAMMA2 } from "../lib/gamma.js";
 import { SERDE } from "../lib/serde.js";
 import { BitGrid, IDGrid, TileGrid } from "./grid.js";
+import { DiffCodec } from "./diff-codec.js";
 import { World } from "./map-generation.js";
 import { mulberry32 } from "../lib/fast-random.js";
 import { EntityManager } from "./entity-manager.js";
-import { Tile, tileCollision, tileEntity } from "./tile.js";
+import { StorageCache } from "./storage.js";
+import { Tile, tileCollision, tileEntity, tileOcclusion } from "./tile.js";
 import { EntityType } from "./archetype/archetype.js";
 import { Door } from "./archetype/door.js";
+import { Lever } from "./archetype/lever.js";
+import { Monster } from "./archetype/monster.js";
+import { Room } from "./archetype/room.js";
+import { Stairs } from "./archetype/stairs.js";
 
-// LOCAL STORAGE FORMATS
+// STORAGE FORMATS
 /**
+ * Keys are prefixed by the namespace of the save slot, e.g., `slot0/`.
  * @typedef {string} ChunkString - Key format: `{DEPTH<0x>}_{U<0x>}_{V<0x>}`
  */
 /**
- * @typedef {string} ChunkDiff - Val format: `{u<0x>},{v<0x>}:{TILE<0x>};...`
+ * Tiles changed from the world template. See `DiffCodec` for the format.
+ * @typedef {string} ChunkDiff - Val format: base64 `[VERSION, MODE, ...DATA]`
+ */
+/**
+ * Stored under the key `entity/{ChunkString}`. Lists every entity in the chunk
+ * bottom to top of each stack, players excluded. An empty list marks a chunk
+ * whose entities were already generated. See `DiffCodec` for the format.
+ * @typedef {string} EntityDiff - Val format: JSON `[VERSION, CELL, ENTITY, ...]`
  */
 /**
- * Note: Entity diffs are only kept in cache (cleared during world change).
- * @typedef {string} EntityDiff - Val format: `\n{u<0x>},{v<0x>}:{EntityID};...`
+ * Stored under the key `explored/{ChunkString}`. The tile last seen in each
+ * explored cell, encoded like a ChunkDiff with unexplored cells unchanged.
+ * Chunks never seen have none.
+ * @typedef {string} ExploredDiff - Val format: base64 `[VERSION, MODE, ...DATA]`
  */
 /**
  * @typedef {string} PositionString - format: `{x<0x>},{y<0x>}`
@@ -41,6 +55,7 @@ export class Chunk {
    * @param {TileGrid} tileGrid - Terrain tile grid.
    * @param {BitGrid} visGrid - Visibility bit grid.
    * @param {BitGrid} colGrid - Collision bit grid.
+   * @param {BitGrid} occGrid - Occlusion bit grid.
    * @param {IDGrid} idGrid - Entity ID grid.
    * @returns {Chunk}
    */
@@ -48,11 +63,50 @@ export class Chunk {
     this.tileGrid = new TileGrid(Chunk.size); 
     this.visGrid  = new BitGrid(Chunk.size); 
     this.colGrid  = new BitGrid(Chunk.size); 
+    this.occGrid  = new BitGrid(Chunk.size); 
+    this.expGrid  = new BitGrid(Chunk.size);
+    this.memGrid  = new TileGrid(Chunk.size);
     this.idGrid   = new IDGrid();
   }
 
   static get size() { return 16; }
 
+  /**
+   * Recompute the collision and occlusion of a cell from its terrain tile
+   * and every entity stacked on it.
+   * @param {Chunk} chunk - Chunk reference.
+   * @param {import("./types.js").Position} position - Chunk position.
+   * @param {EntityManager} em - Reference to the entity manager.
+   */
+  static refreshCell(chunk, position, em) {
+    const tile = chunk.tileGrid.getTile(position);
+    const stack = chunk.idGrid.entitiesAt(position) ?? [];
+
+    let collision = tileCollision(tile);
+    let occlusion = tileOcclusion(tile);
+    let entity;
+
+    for (let i = 0; i < stack.length; ++i) {
+      entity = em.lookup(stack[i]);
+      if (entity === undefined) continue;
+
+      collision ||= entity.collision;
+      occlusion ||= entity.occlusion;
+    }
+
+    if (collision) {
+      chunk.colGrid.setBit(position);
+    } else {
+      chunk.colGrid.clearBit(position);
+    }
+
+    if (occlusion) {
+      chunk.occGrid.setBit(position);
+    } else {
+      chunk.occGrid.clearBit(position);
+    }
+  }
+
   /**
    * Convert world coordinate position to chunk UV coordinate space.
    * @param {import("./types.js").Position} position - World coordinate.
@@ -99,13 +153,48 @@ export class Chunk {
   }
 
   /**
-   * Convert UV coord and tile to diff string.
-   * @param {import("./types.js").Position} position - UV Position.
-   * @param {Tile} tile - Game tile.
-   * @returns {ChunkDiff}
+   * Returns true if the string is formatted as a ChunkString.
+   * @param {string} str - A string, e.g., a local storage key.
+   * @returns {boolean}
    */
-  static toChunkDiff(position, tile) {
-    return `${position.x.toString(16)},${position.y.toString(16)}:${tile.toString(16)}`;
+  static isChunkString(str) {
+    return /^[0-9a-f]+_-?[0-9a-f]+_-?[0-9a-f]+$/.test(str);
+  }
+
+  /**
+   * Convert a ChunkString to the key its entity diff is stored under.
+   * @param {ChunkString} chunkStr - Chunk string.
+   * @returns {string}
+   */
+  static toEntityKey(chunkStr) {
+    return `entity/${chunkStr}`;
+  }
+
+  /**
+   * Convert a ChunkString to the key its explored diff is stored under.
+   * @param {ChunkString} chunkStr - Chunk string.
+   * @returns {string}
+   */
+  static toExploredKey(chunkStr) {
+    return `explored/${chunkStr}`;
+  }
+
+  /**
+   * Returns the ChunkString of a diff storage key, or null for other keys.
+   * @param {string} key - Local storage key with the namespace removed.
+   * @returns {{chunkStr: ChunkString, entity: boolean, explored: boolean} | null}
+   */
+  static parseDiffKey(key) {
+    const entity = key.startsWith(Chunk.toEntityKey(""));
+    const explored = key.startsWith(Chunk.toExploredKey(""));
+
+    let chunkStr = key;
+    if (entity) chunkStr = key.slice(Chunk.toEntityKey("").length);
+    if (explored) chunkStr = key.slice(Chunk.toExploredKey("").length);
+
+    if (!Chunk.isChunkString(chunkStr)) return null;
+
+    return {chunkStr: chunkStr, entity: entity, explored: explored};
   }
 }
 
@@ -117,15 +206,19 @@ export class ChunkManager {
    * @param {number} width - World width (stored as UV).
    * @param {number} height - World height (stored as UV).
    * @param {number} distance - UV distance (L∞) to render chunks (O(d^2) chunks).
+   * @param {string} namespace - Storage key prefix for chunk diffs.
+   * @param {StorageCache} storage - Storage chunk diffs are kept in.
    * @returns {ChunkManager}
    */
-  constructor(position, width, height, distance) {
+  constructor(position, width, height, distance, namespace="", storage=new StorageCache()) {
     this.playerPosition = Chunk.worldToUV(position);
     this.position = this.playerPosition;
     this.width = Math.floor(width / Chunk.size);
     this.height = Math.floor(height / Chunk.size);
     this.distance = GAMMA2.clamp(distance, 1, 8);
     this.maxChunks = 1 + 4 * (distance * (distance + 1));
+    this.namespace = namespace;
+    this.storage = storage;
 
     /**
      * Chunk map keeps track of chunks currently being managed.
@@ -164,6 +257,12 @@ export class ChunkManager {
      */
     this.entityDiffCache = {};
 
+    /**
+     * Cache of explored diffs.
+     * @type {Object.<ChunkString, ExploredDiff>}
+     */
+    this.exploredCache = {};
+
     // Initialize Chunk Buffer
     for (let i = 0; i < this.maxChunks; ++i) {
       this.chunkBuffer.push(new Chunk());
@@ -224,17 +323,63 @@ export class ChunkManager {
    * Random entity generation from world map.
    * @param {function(): number} rng - Random number generator (0,1).
    * @param {Tile} tile - Tile from world map.
-   * @param {import("./types.js").Position} position - UV Position.
-   * @param {number} depth - Dungeon level.
+   * @param {import("./types.js").Position} position - World coordinate.
+   * @param {World} world - Reference to the underlying world template.
    * @param {Chunk} chunk - Chunk reference.
    * @param {EntityManager} em - Reference to the entity manager.
    */
-  generateEntity(rng, tile, position, depth, chunk, em) {
+  generateEntity(rng, tile, position, world, chunk, em) {
+    const uv = {x: position.x % Chunk.size, y: position.y % Chunk.size};
+
     switch(tile) {
       case Tile.ClosedDoor:
         const door = new Door();
-        chunk.idGrid.setID(position, em.insert(door));
-        Door.randomize(rng, door, depth);
+        door.position = {x: position.x, y: position.y};
+        chunk.idGrid.setID(uv, em.insert(door));
+        Door.randomize(rng, door, world.depth);
+        break;
+
+      case Tile.PortcullisDown:
+        const portcullis = new Door();
+        portcullis.position = {x: position.x, y: position.y};
+        chunk.idGrid.setID(uv, em.insert(portcullis));
+        Door.randomizePortcullis(rng, portcullis, world.depth);
+        break;
+
+      case Tile.LeverUp:
+        const key = World.coordToString(position.x, position.y);
+        const lever = new Lever();
+        lever.position = {x: position.x, y: position.y};
+        lever.target = world.links[key] ?? null;
+        chunk.idGrid.setID(uv, em.insert(lever));
+        delete world.links[key];
+        break;
+
+      case Tile.StairsUp:
+      case Tile.StairsDown:
+        const stairs = new Stairs();
+        stairs.tile = tile;
+        stairs.position = {x: position.x, y: position.y};
+        chunk.idGrid.setID(uv, em.insert(stairs));
+        break;
+
+      case Tile.Goblin:
+      case Tile.Skeleton:
+        const monster = Monster.from(Monster.bestiary[tile]);
+        monster.position = {x: position.x, y: position.y};
+        chunk.idGrid.setID(uv, em.insert(monster));
+        Monster.randomize(rng, monster);
+        break;
+
+      case Tile.RoomNode:
+        const node = World.coordToString(position.x, position.y);
+        const room = new Room();
+        room.position = {x: position.x, y: position.y};
+        room.bounds = world.rooms[node]?.bounds ?? null;
+        room.lit = world.rooms[node]?.lit ?? false;
+        chunk.idGrid.setID(uv, em.insert(room));
+        delete world.rooms[node];
+        break;
     }
   }
 
@@ -264,7 +409,8 @@ export class ChunkManager {
     const worldPos = Chunk.UVToWorld(position);
     const rng = mulberry32(Chunk.hashSeed(world.seed, world.depth, position));
     const chunkStr = Chunk.toChunkString(world.depth, position);
-    const entityDiff = this.entityDiffCache[chunkStr];
+    const entityDiff = this.entityDiffCache[chunkStr]
+      ?? this.storage.get(this.namespace + Chunk.toEntityKey(chunkStr));
 
     let chunkDiff = this.chunkDiffCache[chunkStr];
 
@@ -272,7 +418,10 @@ export class ChunkManager {
 
     // Reset chunk data.
     chunk.colGrid.clear();
+    chunk.occGrid.clear();
     chunk.visGrid.clear();
+    chunk.expGrid.clear();
+    chunk.memGrid.reset();
     chunk.idGrid.reset();
 
     // Parse world template info into the chunk map.
@@ -281,17 +430,16 @@ export class ChunkManager {
         tile = world.lookup(worldPos.x + x, worldPos.y + y);
 
         if (tileEntity(tile)) {
-          if (entityDiff === undefined) {
-            this.generateEntity(rng, tile, {x: x, y: y}, world.depth, chunk, em);
-            world.delete(worldPos.x + x, worldPos.y + y);
-            chunk.tileGrid.setTile({x: x, y: y}, world.defaultTile);
+          if (entityDiff === null) {
+            this.generateEntity(
+              rng, tile, {x: worldPos.x + x, y: worldPos.y + y}, world, chunk, em
+            );
+            world.clear(worldPos.x + x, worldPos.y + y);
           }
+          chunk.tileGrid.setTile({x: x, y: y}, Tile.Floor);
         } else {
           chunk.tileGrid.setTile({x: x, y: y}, tile);
         }
-        if (tileCollision(tile)) {
-          chunk.colGrid.setBit({x: x, y: y});
-        }
       }
     }
 
@@ -301,59 +449,83 @@ export class ChunkManager {
 
     // Run diffs.
     if (chunkDiff === undefined) {
-      chunkDiff = window.localStorage.getItem(chunkStr);
+      chunkDiff = this.storage.get(this.namespace + chunkStr);
     }
     if (chunkDiff !== null && chunkDiff !== undefined) {
-      let chunkDiffs = chunkDiff.split(';');
-      for (i = 0; i < chunkDiffs.length; ++i) {
-        keyVal = chunkDiffs[i].split(':'); // E.g., "a,3:fa"
-        uv.x = parseInt(keyVal[0], 16); // 10
-        uv.y = parseInt(keyVal[0].slice(keyVal.indexOf(',') + 1), 16); // 3
+      let cells = DiffCodec.decodeTiles(chunkDiff);
+      for (i = 0; i < cells.length; ++i) {
+        if (cells[i] === DiffCodec.unchanged) continue;
 
-        chunk.tileGrid.setTile(uv, parseInt(keyVal[1], 16)); // 250
+        uv.x = i % Chunk.size;
+        uv.y = Math.floor(i / Chunk.size);
+        chunk.tileGrid.setTile(uv, cells[i]);
       }
       // Remove diff from cache.
       delete this.chunkDiffCache[chunkStr];
     }
 
-    if (entityDiff !== undefined) {
-      let entityDiffs = entityDiff.split(';');
+    // Rehydrate entities.
+    if (entityDiff !== null) {
+      let entityDiffs = DiffCodec.decodeEntities(entityDiff);
+      let entity;
       for (i = 0; i < entityDiffs.length; ++i) {
-        keyVal = entityDiffs[i].split(':'); // E.g., "a,3:ID"
-        uv.x = parseInt(keyVal[0], 16); // 10
-        uv.y = parseInt(keyVal[0].slice(keyVal[0].indexOf(',') + 1), 16); // 3
+        keyVal = entityDiffs[i]; // E.g., [10, 3, {id: ..., ...}]
+        uv.x = keyVal[0];
+        uv.y = keyVal[1];
 
-        chunk.idGrid.setID(uv, EntityManager.StrToID(keyVal[1])); // 250
+        entity = EntityManager.entityFrom(EntityManager.getIDType(keyVal[2].id), keyVal[2]);
+        entity.position = {x: worldPos.x + uv.x, y: worldPos.y + uv.y};
+        chunk.idGrid.setID(uv, em.insert(entity));
       }
       // Remove diff from cache.
       delete this.entityDiffCache[chunkStr];
     }
 
+    // Recall what the player saw here.
+    const exploredDiff = this.exploredCache[chunkStr]
+      ?? this.storage.get(this.namespace + Chunk.toExploredKey(chunkStr));
+    if (exploredDiff !== null) {
+      let cells = DiffCodec.decodeTiles(exploredDiff);
+      for (i = 0; i < cells.length; ++i) {
+        if (cells[i] === DiffCodec.unchanged) continue;
+
+        uv.x = i % Chunk.size;
+        uv.y = Math.floor(i / Chunk.size);
+        chunk.expGrid.setBit(uv);
+        chunk.memGrid.setTile(uv, cells[i]);
+      }
+      delete this.exploredCache[chunkStr];
+    }
+
+    // Collision and occlusion once the tiles and entities are final.
+    for (uv.y = 0; uv.y < Chunk.size; ++uv.y) {
+      for (uv.x = 0; uv.x < Chunk.size; ++uv.x) {
+        Chunk.refreshCell(chunk, uv, em);
+      }
+    }
+
     return undefined;
   }
 
   /**
-   * Unload a chunk by storing diffs and cleaning up entities.
+   * Compute the tile and entity diffs of a loaded chunk.
    * @param {import("./types.js").Position} position - UV Position.
    * @param {World} world - Reference to the underlying world template.
-   * @returns {import("./types.js").Position | undefined}
+   * @param {EntityManager} em - Reference to the entity manager.
+   * @returns {{chunkDiff: ChunkDiff, entityDiff: EntityDiff, exploredDiff: ExploredDiff}}
    */
-  unloadChunk(position, world) {
-    if (!this.loaded(position)) {
-      alert(`NOT LOADED: ${SERDE.posToStr(position)}`)
-      return position;
-    }
-
+  diffChunk(position, world, em) {
     const worldPos = Chunk.UVToWorld(position);
-    const idx = this.chunkMap[SERDE.posToStr(position)];
-    const chunk = this.chunkBuffer[idx];
-
-    let chunkDiffStr = "";
-    let entityDiffStr = "";
+    const chunk = this.getChunk(position);
+    const cells = new Uint8Array(DiffCodec.cells).fill(DiffCodec.unchanged);
+    const memory = new Uint8Array(DiffCodec.cells).fill(DiffCodec.unchanged);
+    const entities = [];
 
+    let changed = false;
+    let explored = false;
     let worldTile = 0;
     let tile = 0;
-    let entityID = 0;
+    let stack;
 
     for (let y = 0; y < Chunk.size; ++y) {
       for (let x = 0; x < Chunk.size; ++x) {
@@ -362,31 +534,78 @@ export class ChunkManager {
         worldTile = world.lookup(worldPos.x + x, worldPos.y + y);
         tile = chunk.tileGrid.getTile({x: x, y: y});
         if (!tileEntity(worldTile) && tile !== worldTile) {
-          if (chunkDiffStr !== "") chunkDiffStr += ';';
-          chunkDiffStr += Chunk.toChunkDiff({x: x, y: y}, tile);
+          cells[y * Chunk.size + x] = tile;
+          changed = true;
+        }
+
+        // Save explored diffs.
+        if (chunk.expGrid.getBit({x: x, y: y})) {
+          memory[y * Chunk.size + x] = chunk.memGrid.getTile({x: x, y: y});
+          explored = true;
         }
 
         // Save entity diffs.
-        entityID = chunk.idGrid.getID({x: x, y: y});
-        if (entityID !== undefined) {
-          if (entityDiffStr !== "") entityDiffStr += ';';
-          entityDiffStr += `${x.toString(16)},${y.toString(16)}:${EntityManager.IDToStr(entityID)}`;
+        stack = chunk.idGrid.entitiesAt({x: x, y: y}) ?? [];
+        for (let i = 0; i < stack.length; ++i) {
+          if (EntityManager.getIDType(stack[i]) === EntityType.Player) continue;
+          entities.push([x, y, em.lookup(stack[i])]);
         }
       }
     }
 
+    return {
+      chunkDiff: changed ? DiffCodec.encodeTiles(cells) : "",
+      entityDiff: DiffCodec.encodeEntities(entities),
+      exploredDiff: explored ? DiffCodec.encodeTiles(memory) : "",
+    };
+  }
+
+  /**
+   * Unload a chunk by storing diffs and cleaning up entities.
+   * @param {import("./types.js").Position} position - UV Position.
+   * @param {World} world - Reference to the underlying world template.
+   * @param {EntityManager} em - Reference to the entity manager.
+   * @returns {import("./types.js").Position | undefined}
+   */
+  unloadChunk(position, world, em) {
+    if (!this.loaded(position)) {
+      alert(`NOT LOADED: ${SERDE.posToStr(position)}`)
+      return position;
+    }
+
+    const idx = this.chunkMap[SERDE.posToStr(position)];
+    const chunkStr = Chunk.toChunkString(world.depth, position);
+    const chunk = this.getChunk(position);
+    const diffs = this.diffChunk(position, world, em);
+
     // Cache diffs.
-    if (chunkDiffStr !== "") {
-      this.chunkDiffCache[Chunk.toChunkString(world.depth, position)] = chunkDiffStr;
+    if (diffs.chunkDiff !== "") {
+      this.chunkDiffCache[chunkStr] = diffs.chunkDiff;
 
-      // Save chunk diffs to Local Storage.
-      window.localStorage.setItem(Chunk.toChunkString(world.depth, position), chunkDiffStr);
+      // Save chunk diffs to storage.
+      this.storage.set(this.namespace + chunkStr, diffs.chunkDiff);
+    } else {
+      this.storage.delete(this.namespace + chunkStr);
     }
 
-    if (entityDiffStr !== "") {
-      this.entityDiffCache[Chunk.toChunkString(world.depth, position)] = entityDiffStr;
+    // Entity diffs are always stored to mark the chunk as generated.
+    this.entityDiffCache[chunkStr] = diffs.entityDiff;
+    this.storage.set(this.namespace + Chunk.toEntityKey(chunkStr), diffs.entityDiff);
+
+    if (diffs.exploredDiff !== "") {
+      this.exploredCache[chunkStr] = diffs.exploredDiff;
+      this.storage.set(this.namespace + Chunk.toExploredKey(chunkStr), diffs.exploredDiff);
     }
 
+    // Free the stored entities, players stay with the session.
+    const stacks = Object.values(chunk.idGrid.data);
+    for (let i = 0; i < stacks.length; ++i) {
+      for (let j = 0; j < stacks[i].length; ++j) {
+        if (EntityManager.getIDType(stacks[i][j]) !== EntityType.Player) {
+          em.delete(stacks[i][j]);
+        }
+      }
+    }
 
     // Unload chunk.
     this.bin.push(idx);
@@ -395,6 +614,96 @@ export class ChunkManager {
     return undefined;
   }
 
+  /**
+   * Collect every chunk, entity and explored diff known to the manager. This
+   * includes diffs in storage, cached diffs, and the diffs of loaded chunks.
+   * @param {World} world - Reference to the underlying world template.
+   * @param {EntityManager} em - Reference to the entity manager.
+   * @returns {{chunkDiffs: Object.<ChunkString, ChunkDiff>, entityDiffs: Object.<ChunkString, EntityDiff>, exploredDiffs: Object.<ChunkString, ExploredDiff>}}
+   */
+  collectDiffs(world, em) {
+    const chunkDiffs = {};
+    const entityDiffs = {};
+    const exploredDiffs = {};
+
+    const keys = this.storage.list(this.namespace);
+
+    let i = 0;
+    let key = "";
+    let diffKey = null;
+
+    for (i = 0; i < keys.length; ++i) {
+      diffKey = Chunk.parseDiffKey(keys[i].slice(this.namespace.length));
+      if (diffKey === null) continue;
+
+      if (diffKey.entity) {
+        entityDiffs[diffKey.chunkStr] = this.storage.get(keys[i]);
+      } else if (diffKey.explored) {
+        exploredDiffs[diffKey.chunkStr] = this.storage.get(keys[i]);
+      } else {
+        chunkDiffs[diffKey.chunkStr] = this.storage.get(keys[i]);
+      }
+    }
+    Object.assign(chunkDiffs, this.chunkDiffCache);
+    Object.assign(entityDiffs, this.entityDiffCache);
+    Object.assign(exploredDiffs, this.exploredCache);
+
+    const mapKeys = Object.keys(this.chunkMap);
+    for (i = 0; i < mapKeys.length; ++i) {
+      const position = SERDE.strToPos(mapKeys[i]);
+      const diffs = this.diffChunk(position, world, em);
+
+      key = Chunk.toChunkString(world.depth, position);
+      if (diffs.chunkDiff !== "") {
+        chunkDiffs[key] = diffs.chunkDiff;
+      } else {
+        delete chunkDiffs[key];
+      }
+      entityDiffs[key] = diffs.entityDiff;
+      if (diffs.exploredDiff !== "") {
+        exploredDiffs[key] = diffs.exploredDiff;
+      }
+    }
+
+    return {chunkDiffs: chunkDiffs, entityDiffs: entityDiffs, exploredDiffs: exploredDiffs};
+  }
+
+  /**
+   * Write chunk, entity and explored diffs into storage, where they outlast
+   * the caches when the player changes level.
+   * @param {{chunkDiffs: Object.<ChunkString, ChunkDiff>, entityDiffs: Object.<ChunkString, EntityDiff>, exploredDiffs: Object.<ChunkString, ExploredDiff>}} diffs - Diffs by chunk.
+   */
+  storeDiffs(diffs) {
+    const chunkKeys = Object.keys(diffs.chunkDiffs);
+    for (let i = 0; i < chunkKeys.length; ++i) {
+      this.storage.set(this.namespace + chunkKeys[i], diffs.chunkDiffs[chunkKeys[i]]);
+    }
+
+    const entityKeys = Object.keys(diffs.entityDiffs);
+    for (let i = 0; i < entityKeys.length; ++i) {
+      this.storage.set(this.namespace + Chunk.toEntityKey(entityKeys[i]), diffs.entityDiffs[entityKeys[i]]);
+    }
+
+    const exploredKeys = Object.keys(diffs.exploredDiffs);
+    for (let i = 0; i < exploredKeys.length; ++i) {
+      this.storage.set(this.namespace + Chunk.toExploredKey(exploredKeys[i]), diffs.exploredDiffs[exploredKeys[i]]);
+    }
+  }
+
+  /**
+   * Remove all chunk, entity and explored diffs of a namespace from storage.
+   * @param {StorageCache} storage - Storage chunk diffs are kept in.
+   * @param {string} namespace - Storage key prefix for chunk diffs.
+   */
+  static clearStorage(storage, namespace) {
+    const keys = storage.list(namespace);
+    for (let i = 0; i < keys.length; ++i) {
+      if (Chunk.parseDiffKey(keys[i].slice(namespace.length)) !== null) {
+        storage.delete(keys[i]);
+      }
+    }
+  }
+
   // TODO Fix entity dropping on move during chunk update.
   /**
    * Given the position of the player, update all chunks if necessary.
@@ -421,7 +730,7 @@ export class ChunkManager {
     const mapKeys = Object.keys(this.chunkMap);
     for (let i = 0; i < mapKeys.length; ++i) {
       if (!this.withinDistance(SERDE.strToPos(mapKeys[i]))) {
-        this.unloadChunk(SERDE.strToPos(mapKeys[i]), world);
+        this.unloadChunk(SERDE.strToPos(mapKeys[i]), world, em);
       }
     }
 
@@ -481,6 +790,22 @@ export class ChunkManager {
     });
   }
 
+  /**
+   * Try to retrieve the occlusion at a given world coordinate position.
+   * @param {import("./types.js").Position} position - World coordinate.
+   * @returns {boolean | undefined}
+   */
+  getOcclusion(position) {
+    let chunk = this.getChunk(Chunk.worldToUV(position));
+    if (chunk === undefined) return undefined;
+
+    let chunkWorldCoord = Chunk.UVToWorld(Chunk.worldToUV(position));
+    return chunk.occGrid.getBit({
+      x: position.x - chunkWorldCoord.x,
+      y: position.y - chunkWorldCoord.y
+    });
+  }
+
   /**
    * Try to retrieve the EntityID at a given world coordinate position.
    * @param {import("./types.js").Position} position - World coordinate.
@@ -497,6 +822,22 @@ export class ChunkManager {
     });
   }
 
+  /**
+   * Try to retrieve the stack of EntityIDs at a given world coordinate position.
+   * @param {import("./types.js").Position} position - World coordinate.
+   * @returns {Array.<import("./entity-manager.js").EntityID> | undefined}
+   */
+  entitiesAt(position) {
+    let chunk = this.getChunk(Chunk.worldToUV(position));
+    if (chunk === undefined) return undefined;
+
+    let chunkWorldCoord = Chunk.UVToWorld(Chunk.worldToUV(position));
+    return chunk.idGrid.entitiesAt({
+      x: position.x - chunkWorldCoord.x,
+      y: position.y - chunkWorldCoord.y
+    });
+  }
+
   /**
    * Try to set the tile at the given world coordinate position.
    * @param {import("./types.js").Position} position - World coordinate.
@@ -543,13 +884,38 @@ export class ChunkManager {
     return undefined;
   }
 
+  /**
+   * Try to set the occlusion at the given world coordinate position.
+   * @param {import("./types.js").Position} position - World coordinate.
+   * @param {boolean} state - Occlusion for chunk position set on or off.
+   * @returns {boolean | undefined}
+   */
+  setOcclusion(position, state) {
+    let chunk = this.getChunk(Chunk.worldToUV(position));
+    if (chunk === undefined) return state;
+
+    let chunkWorldCoord = Chunk.UVToWorld(Chunk.worldToUV(position));
+
+    if (state === true) {
+      chunk.occGrid.setBit(
+        {x: position.x - chunkWorldCoord.x, y: position.y - chunkWorldCoord.y}
+      );
+    } else {
+      chunk.occGrid.clearBit(
+        {x: position.x - chunkWorldCoord.x, y: position.y - chunkWorldCoord.y}
+      );
+    }
+
+    return undefined;
+  }
+
   /**
    * Try to set the visibility at a given world coordinate position.
    * @param {import("./types.js").Position} position - World coordinate.
    * @param {boolean} state - Visibility for chunk position set on or off.
    * @returns {boolean | undefined}
    */
-  setVisibility(position) {
+  setVisibility(position, state) {
     let chunk = this.getChunk(Chunk.worldToUV(position));
     if (chunk === undefined) return state;
 
@@ -567,6 +933,62 @@ export class ChunkManager {
     return undefined;
   }
 
+  /**
+   * Try to retrieve the tile remembered at a given world coordinate position.
+   * @param {import("./types.js").Position} position - World coordinate.
+   * @returns {Tile | undefined} - Undefined if never seen or not loaded.
+   */
+  getMemory(position) {
+    const chunk = this.getChunk(Chunk.worldToUV(position));
+    if (chunk === undefined) return undefined;
+
+    const uv = Chunk.UVToWorld(Chunk.worldToUV(position));
+    uv.x = position.x - uv.x;
+    uv.y = position.y - uv.y;
+
+    return chunk.expGrid.getBit(uv) ? chunk.memGrid.getTile(uv) : undefined;
+  }
+
+  /**
+   * Try to remember what is seen at a given world coordinate position: the
+   * top visible entity other than a player, or else the tile.
+   * @param {import("./types.js").Position} position - World coordinate.
+   * @param {EntityManager} em - Reference to the entity manager.
+   * @returns {import("./types.js").Position | undefined}
+   */
+  remember(position, em) {
+    const chunk = this.getChunk(Chunk.worldToUV(position));
+    if (chunk === undefined) return position;
+
+    const uv = Chunk.UVToWorld(Chunk.worldToUV(position));
+    uv.x = position.x - uv.x;
+    uv.y = position.y - uv.y;
+
+    const stack = chunk.idGrid.entitiesAt(uv) ?? [];
+    let tile = chunk.tileGrid.getTile(uv);
+    for (let i = stack.length - 1; i >= 0; --i) {
+      if (EntityManager.getIDType(stack[i]) === EntityType.Player) continue;
+      if (!em.lookup(stack[i]).visible) continue;
+      tile = em.lookup(stack[i]).tile;
+      break;
+    }
+
+    chunk.expGrid.setBit(uv);
+    chunk.memGrid.setTile(uv, tile);
+
+    return undefined;
+  }
+
+  /**
+   * Clear the visibility of every loaded chunk.
+   */
+  clearVisibility() {
+    const indices = Object.values(this.chunkMap);
+    for (let i = 0; i < indices.length; ++i) {
+      this.chunkBuffer[indices[i]].visGrid.clear();
+    }
+  }
+
   /**
    * Try to set the EntityID at a given world coordinate position.
    * @param {import("./types.js").Position} position - World coordinate.
@@ -586,6 +1008,25 @@ export class ChunkManager {
     return undefined;
   }
 
+  /**
+   * Try to set the EntityID at a given world coordinate position under the top one.
+   * @param {import("./types.js").Position} position - World coordinate.
+   * @param {import("./entity-manager.js").EntityID} id - Entity ID.
+   * @returns {import("./entity-manager.js").EntityID | undefined}
+   */
+  setUnderID(position, id) {
+    let chunk = this.getChunk(Chunk.worldToUV(position));
+    if (chunk === undefined) return id;
+
+    let chunkWorldCoord = Chunk.UVToWorld(Chunk.worldToUV(position));
+    chunk.idGrid.setUnderID(
+      {x: position.x - chunkWorldCoord.x, y: position.y - chunkWorldCoord.y},
+      id
+    );
+
+    return undefined;
+  }
+
   /**
    * Try to replace the top ID at a given world coordinate position.
    * @param {import("./types.js").Position} position - World coordinate.
@@ -621,20 +1062,69 @@ export class ChunkManager {
   }
 
   /**
-   * Reset the chunk manager. Called on world change.
+   * Try to recompute the collision and occlusion at a given world coordinate
+   * position. Called whenever the tile or entities there change.
+   * @param {import("./types.js").Position} position - World coordinate.
+   * @param {EntityManager} em - Reference to the entity manager.
+   * @returns {import("./types.js").Position | undefined}
+   */
+  refreshCell(position, em) {
+    let chunk = this.getChunk(Chunk.worldToUV(position));
+    if (chunk === undefined) return position;
+
+    let chunkWorldCoord = Chunk.UVToWorld(Chunk.worldToUV(position));
+    Chunk.refreshCell(
+      chunk,
+      {x: position.x - chunkWorldCoord.x, y: position.y - chunkWorldCoord.y},
+      em
+    );
+
+    return undefined;
+  }
+
+  /**
+   * Try to remove an EntityID from the stack at a given world coordinate position.
+   * @param {import("./types.js").Position} position - World coordinate.
+   * @param {import("./entity-manager.js").EntityID} id - Entity ID.
+   * @returns {import("./entity-manager.js").EntityID | undefined}
+   */
+  removeID(position, id) {
+    let chunk = this.getChunk(Chunk.worldToUV(position));
+    if (chunk === undefined) return undefined;
+
+    let chunkWorldCoord = Chunk.UVToWorld(Chunk.worldToUV(position));
+
+    return chunk.idGrid.removeID(
+      {x: position.x - chunkWorldCoord.x, y: position.y - chunkWorldCoord.y},
+      id
+    );
+  }
+
+  /**
+   * Reset the chunk manager. Called on world change. Loaded chunks are
+   * unloaded first so the diffs of the world being left are stored.
    * @param {import("./types.js").Position} position - World position of player (stored as UV).
    * @param {number} width - World width (stored as UV).
    * @param {number} height - World height (stored as UV).
+   * @param {World} world - Reference to the world being left.
+   * @param {EntityManager} em - Reference to the entity manager.
    * @returns {undefined}
    */
-  reset(position, width, height) {
+  reset(position, width, height, world, em) {
+    let i = 0;
+    let cacheKeys = Object.keys(this.chunkMap);
+
+    // Store the world being left.
+    for (i = 0; i < cacheKeys.length; ++i) {
+      this.unloadChunk(SERDE.strToPos(cacheKeys[i]), world, em);
+    }
+
     this.position = Chunk.worldToUV(position);
     this.width = Math.floor(width / Chunk.size);
     this.height = Math.floor(height / Chunk.size);
 
     // Clear Caches
-    let i = 0;
-    let cacheKeys = Object.keys(this.entityDiffCache);
+    cacheKeys = Object.keys(this.entityDiffCache);
 
     for (i = 0; i < cacheKeys.length; ++i) {
       delete this.entityDiffCache[cacheKeys[i]];
@@ -646,11 +1136,10 @@ export class ChunkManager {
       delete this.chunkDiffCache[cacheKeys[i]];
     }
 
-    // Empty chunk map
-    cacheKeys = Object.keys(this.chunkMap);
+    cacheKeys = Object.keys(this.exploredCache);
+
     for (i = 0; i < cacheKeys.length; ++i) {
-      this.bin.push(this.chunkMap[cacheKeys[i]]);
-      delete this.chunkMap[cacheKeys[i]];
+      delete this.exploredCache[cacheKeys[i]];
     }
 
     return undefined;
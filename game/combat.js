@@ -0,0 +1,199 @@
+/**
+ * @fileoverview Copyright (c) 2023 Jaedin Davasligil
+ *
+ * Rogue-JS is a pure javascript browser dungeon crawler.
+ * @package
+ */
+
+"use strict";
+
+import { HIRO } from "../lib/hiro.js";
+import { Door } from "./archetype/door.js";
+import { Player } from "./archetype/player.js";
+import { writeLog } from "./render/text.js";
+import { Tile } from "./tile.js";
+import { Trap } from "./trap.js";
+import { Event } from "./types.js";
+
+/**
+ * Result of an attack roll.
+ * @typedef {Object} AttackRoll
+ * @property {number} roll - Natural d20 roll.
+ * @property {number} total - Roll plus attack bonus.
+ * @property {boolean} hit - Whether the attack hits.
+ * @property {boolean} critical - Natural 20, always hits for double dice.
+ * @property {boolean} fumble - Natural 1, always misses.
+ */
+
+/** Class of functions resolving attacks made in Combat mode. */
+export class Combat {
+  /** Sides of the damage die of a door bashed with a shoulder or weapon. */
+  static bashDie = 6;
+
+  /** Weapon used when nothing is held in the main hand. */
+  static unarmed = {name: "fists", damage: "1d2"};
+
+  /** Extra moves lost regaining footing after a fumble. */
+  static fumbleMoves = 6;
+
+  /**
+   * Roll a d20 attack against an ascending armor class.
+   * @param {function(): number} rng - Random number generator (0,1).
+   * @param {number} bonus - Attack bonus.
+   * @param {number} armorClass - Armor class of the defender.
+   * @returns {AttackRoll}
+   */
+  static rollAttack(rng, bonus, armorClass) {
+    const roll = HIRO.rollDie(rng, 20);
+    const total = roll + bonus;
+
+    return {
+      roll: roll,
+      total: total,
+      hit: roll === 20 || (roll !== 1 && total >= armorClass),
+      critical: roll === 20,
+      fumble: roll === 1,
+    };
+  }
+
+  /**
+   * Roll damage from a dice expression, rolling the dice twice on a critical.
+   * Never less than 1.
+   * @param {function(): number} rng - Random number generator (0,1).
+   * @param {string} expr - Dice expression, e.g., "1d8".
+   * @param {number} bonus - Damage bonus.
+   * @param {boolean} critical - Whether the attack was a critical hit.
+   * @returns {number}
+   */
+  static rollDamage(rng, expr, bonus, critical) {
+    let damage = HIRO.parseRoll(rng, expr);
+    if (critical) damage += HIRO.parseRoll(rng, expr);
+
+    return Math.max(1, damage + bonus);
+  }
+
+  /**
+   * Remove a slain monster from the world, awarding its experience.
+   * @param {import("./main.js").Game} game - Game data.
+   * @param {import("./archetype/monster.js").Monster} monster - Monster slain.
+   */
+  static kill(game, monster) {
+    writeLog(`The ${monster.name} dies. You gain ${monster.experience} experience.`);
+
+    game.player.experience += monster.experience;
+    if (game.player.target === monster) game.player.target = null;
+
+    game.chunks.removeID(monster.position, monster.id);
+    game.chunks.refreshCell(monster.position, game.entities);
+    game.entities.delete(monster.id);
+  }
+
+  /**
+   * A monster attacks the player in melee.
+   * @param {import("./main.js").Game} game - Game data.
+   * @param {import("./archetype/monster.js").Monster} monster - Monster attacking.
+   */
+  static attackPlayer(game, monster) {
+    const player = game.player;
+    const attack = Combat.rollAttack(game.rng, monster.attackBonus, player.armorClass);
+
+    writeLog(
+      `The ${monster.name} attacks you: `
+      + `d20 ${attack.roll} + ${monster.attackBonus} = ${attack.total} vs AC ${player.armorClass}.`
+    );
+
+    if (!attack.hit) {
+      writeLog("It misses.");
+      return;
+    }
+
+    const damage = Combat.rollDamage(game.rng, monster.damage, 0, attack.critical);
+    writeLog(
+      (attack.critical ? "Critical hit! " : "")
+      + `It hits you for ${damage} damage (${attack.critical ? "2x " : ""}${monster.damage}).`
+    );
+
+    player.hitPoints -= damage;
+    if (player.hitPoints <= 0) {
+      writeLog(`You are slain by the ${monster.name}.`);
+      game.events.pushBack(Event.PlayerDied);
+    }
+  }
+
+  /**
+   * Attack a monster in melee with the weapon in the main hand.
+   * @param {import("./main.js").Game} game - Game data.
+   * @param {import("./archetype/monster.js").Monster} monster - Monster attacked.
+   * @returns {number} - Moves spent.
+   */
+  static attackMonster(game, monster) {
+    const player = game.player;
+    const weapon = player.equipment.mainHand ?? Combat.unarmed;
+    const bonus = Player.meleeBonus(player);
+    const attack = Combat.rollAttack(game.rng, bonus, monster.armorClass);
+
+    monster.asleep = false;
+    monster.hostile = true;
+
+    writeLog(
+      `You attack the ${monster.name} with your ${weapon.name}: `
+      + `d20 ${attack.roll} + ${bonus} = ${attack.total} vs AC ${monster.armorClass}.`
+    );
+
+    if (attack.fumble) {
+      writeLog("You fumble the attack and stumble!");
+      return 1 + Combat.fumbleMoves;
+    }
+    if (!attack.hit) {
+      writeLog("You miss.");
+      return 1;
+    }
+
+    const strength = Player.getMod(player.scores.str);
+    const damage = Combat.rollDamage(game.rng, weapon.damage, strength, attack.critical);
+
+    writeLog(
+      (attack.critical ? "Critical hit! " : "")
+      + `You hit for ${damage} damage (${attack.critical ? "2x " : ""}${weapon.damage} `
+      + `${strength < 0 ? "-" : "+"} ${Math.abs(strength)}).`
+    );
+
+    monster.hitPoints -= damage;
+    if (monster.hitPoints <= 0) {
+      Combat.kill(game, monster);
+    }
+
+    return 1;
+  }
+
+  /**
+   * Bash a door, dealing damage to its hitpoints until it breaks open.
+   * Forcing a door this way sets off any trap on its lock.
+   * @param {import("./main.js").Game} game - Game data.
+   * @param {Door} door - Door bashed.
+   * @returns {number} - Moves spent.
+   */
+  static bashDoor(game, door) {
+    if (door.tile === Tile.Granite) {
+      writeLog("You bash the wall to no effect.");
+      return 1;
+    }
+
+    const damage = Math.max(
+      1,
+      HIRO.rollDie(game.rng, Combat.bashDie) + Player.getMod(game.player.scores.str)
+    );
+    const name = door.tile === Tile.PortcullisDown ? "portcullis" : "door";
+
+    if (Door.bash(door, damage)) {
+      writeLog(`You bash the ${name} for ${damage} damage. It breaks open!`);
+      game.chunks.refreshCell(door.position, game.entities);
+    } else {
+      writeLog(`You bash the ${name} for ${damage} damage.`);
+    }
+
+    Trap.trigger(game, door);
+
+    return 1;
+  }
+}
@@ -0,0 +1,282 @@
+/**
+ * @fileoverview Copyright (c) 2023 Jaedin Davasligil
+ *
+ * Rogue-JS is a pure javascript browser dungeon crawler.
+ * @package
+ */
+
+"use strict";
+
+import { HIRO } from "../lib/hiro.js";
+import { GAMMA2 } from "../lib/gamma.js";
+import { mulberry32 } from "../lib/fast-random.js";
+import { Player } from "./archetype/player.js";
+import { Light } from "./light.js";
+import { Mining } from "./mining.js";
+import { Ranged } from "./ranged.js";
+import { Rules } from "./rules.js";
+
+/**
+ * Enumeration of ability score generation methods.
+ *
+ * Classic - Roll 3d6 for each score in order.
+ * Heroic - Roll 4d6 and keep the highest three for each score in order.
+ * PointBuy - Spend a pool of points on scores starting from a base value.
+ * @readonly
+ * @enum {number}
+ */
+export const RollMethod = {
+  Classic:  0,
+  Heroic:   1,
+  PointBuy: 2,
+}
+
+/**
+ * Enumeration of character creation steps in the order they are taken.
+ * @readonly
+ * @enum {number}
+ */
+export const CreationStep = {
+  Method:   0,
+  Scores:   1,
+  Ancestry: 2,
+  Class:    3,
+  Name:     4,
+  Confirm:  5,
+}
+
+/**
+ * Ability scores in the order they are rolled.
+ * @type {Array.<string>}
+ */
+export const ScoreOrder = ["str", "dex", "con", "int", "wis", "cha"];
+
+/** Data class holding the state of a character in creation. */
+export class Creation {
+  /**
+   * Create a new character creation state.
+   * @param {number} seed - Seed used for rolling and the new world.
+   * @returns {Creation}
+   */
+  constructor(seed) {
+    this.seed = seed;
+    this.rng = mulberry32(seed);
+    this.step = CreationStep.Method;
+    this.selection = 0;
+
+    this.method = RollMethod.Classic;
+    this.points = 0;
+    this.scores = {
+      str: 10,
+      dex: 10,
+      con: 10,
+      int: 10,
+      wis: 10,
+      cha: 10,
+    };
+
+    this.ancestry = "";
+    this.combatClass = "";
+    this.name = "";
+  }
+
+  static pointBuyBase = 8;
+  static pointBuyPool = 18;
+  static minScore = 3;
+  static maxScore = 18;
+  static maxNameLength = 16;
+
+  /** Daggers a new character carries to throw. */
+  static daggers = 2;
+
+  /** Torches a new character carries besides the one lit. */
+  static spareTorches = 5;
+
+  /**
+   * Roll or reset ability scores according to the chosen method.
+   * @param {Creation} creation - Creation state.
+   */
+  static rollScores(creation) {
+    for (let i = 0; i < ScoreOrder.length; ++i) {
+      switch (creation.method) {
+        case RollMethod.Classic:
+          creation.scores[ScoreOrder[i]] = HIRO.rollSum(creation.rng, 3, 6);
+          break;
+
+        case RollMethod.Heroic:
+          creation.scores[ScoreOrder[i]] = HIRO.rollSumKeepHigh(creation.rng, 4, 6, 3);
+          break;
+
+        case RollMethod.PointBuy:
+          creation.scores[ScoreOrder[i]] = Creation.pointBuyBase;
+          break;
+      }
+    }
+    creation.points = (creation.method === RollMethod.PointBuy) ? Creation.pointBuyPool : 0;
+    creation.ancestry = "";
+    creation.combatClass = "";
+  }
+
+  /**
+   * Raise or lower a score using the point buy pool.
+   * @param {Creation} creation - Creation state.
+   * @param {string} score - Ability score key.
+   * @param {number} delta - Change in the score (+1 or -1).
+   * @returns {boolean} - True if the score was changed.
+   */
+  static adjustScore(creation, score, delta) {
+    if (creation.method !== RollMethod.PointBuy) return false;
+
+    const value = GAMMA2.clamp(
+      creation.scores[score] + delta,
+      Creation.minScore,
+      Creation.maxScore
+    );
+    const cost = value - creation.scores[score];
+
+    if (cost === 0 || cost > creation.points) return false;
+
+    creation.scores[score] = value;
+    creation.points -= cost;
+    creation.ancestry = "";
+    creation.combatClass = "";
+
+    return true;
+  }
+
+  /**
+   * Append a character to the name being entered.
+   * @param {Creation} creation - Creation state.
+   * @param {string} c - A single printable character.
+   * @returns {boolean} - True if the character was accepted.
+   */
+  static typeName(creation, c) {
+    if (c.length !== 1 || creation.name.length >= Creation.maxNameLength) {
+      return false;
+    }
+    if (c === ' ' && (creation.name === "" || creation.name.at(-1) === ' ')) {
+      return false;
+    }
+    creation.name += c;
+    return true;
+  }
+
+  /**
+   * Remove the last character of the name being entered.
+   * @param {Creation} creation - Creation state.
+   */
+  static eraseName(creation) {
+    creation.name = creation.name.slice(0, -1);
+  }
+
+  /**
+   * Returns true if the current step is complete and may be advanced.
+   * @param {Creation} creation - Creation state.
+   * @returns {boolean}
+   */
+  static stepComplete(creation) {
+    switch (creation.step) {
+      case CreationStep.Scores:
+        return creation.points === 0 || creation.method !== RollMethod.PointBuy;
+      case CreationStep.Ancestry:
+        return creation.ancestry !== "";
+      case CreationStep.Class:
+        return creation.combatClass !== "";
+      case CreationStep.Name:
+        return creation.name.trim() !== "";
+      default:
+        return true;
+    }
+  }
+
+  /**
+   * Select an ancestry if the rolled scores qualify for it.
+   * @param {Creation} creation - Creation state.
+   * @param {string} key - Ancestry key.
+   * @param {import("./rules.js").AncestryRules} ancestry - Ancestry rules.
+   * @returns {boolean} - True if the ancestry was selected.
+   */
+  static selectAncestry(creation, key, ancestry) {
+    if (!Rules.ancestryAllowed(creation.scores, ancestry)) return false;
+
+    creation.ancestry = key;
+    creation.combatClass = "";
+    return true;
+  }
+
+  /**
+   * Select a class if the chosen ancestry and scores allow it.
+   * @param {Creation} creation - Creation state.
+   * @param {import("./rules.js").AncestryRules} ancestry - Rules of the chosen ancestry.
+   * @param {string} key - Class key.
+   * @param {import("./rules.js").ClassRules} combatClass - Class rules.
+   * @returns {boolean} - True if the class was selected.
+   */
+  static selectClass(creation, ancestry, key, combatClass) {
+    if (!Rules.classAllowed(creation.scores, ancestry, key, combatClass)) return false;
+
+    creation.combatClass = key;
+    return true;
+  }
+
+  /**
+   * Give a new character the gear every adventurer sets out with: a sling
+   * and stones in hand, a lit torch in the off hand, spares to replace it as
+   * it burns out, daggers to throw, and a pick to dig through rock.
+   * @param {Player} player - Player data.
+   */
+  static outfit(player) {
+    player.equipment.mainHand = Object.assign({}, Ranged.sling);
+    player.equipment.ammunition = Object.assign({}, Ranged.stones);
+    player.equipment.offHand = Object.assign({}, Light.torch);
+    player.inventory.push(Object.assign({}, Ranged.dagger, {count: Creation.daggers}));
+    player.inventory.push(Object.assign({}, Light.torch, {count: Creation.spareTorches}));
+    player.inventory.push(Object.assign({}, Mining.pick));
+  }
+
+  /**
+   * Create a fully populated player from a finished creation.
+   * @param {Creation} creation - Creation state.
+   * @param {Object.<string, import("./rules.js").AncestryRules>} ancestries - Ancestry data.
+   * @param {Object.<string, import("./rules.js").ClassRules>} classes - Class data.
+   * @returns {Player}
+   */
+  static createPlayer(creation, ancestries, classes) {
+    const player = new Player();
+
+    player.seed = creation.seed;
+    player.name = creation.name.trim();
+
+    player.scores.str = creation.scores.str;
+    player.scores.dex = creation.scores.dex;
+    player.scores.con = creation.scores.con;
+    player.scores.int = creation.scores.int;
+    player.scores.wis = creation.scores.wis;
+    player.scores.cha = creation.scores.cha;
+    player.scores.maxStr = creation.scores.str;
+    player.scores.maxDex = creation.scores.dex;
+    player.scores.maxCon = creation.scores.con;
+    player.scores.maxInt = creation.scores.int;
+    player.scores.maxWis = creation.scores.wis;
+    player.scores.maxCha = creation.scores.cha;
+
+    Rules.apply(
+      player,
+      creation.ancestry,
+      ancestries[creation.ancestry],
+      creation.combatClass,
+      classes[creation.combatClass]
+    );
+
+    player.maxHitPoints = Math.max(
+      1,
+      HIRO.rollSum(creation.rng, player.hitDice.n, player.hitDice.d) + Player.getMod(player.scores.con)
+    );
+    player.hitPoints = player.maxHitPoints;
+
+    Creation.outfit(player);
+    player.weight = Player.weight(player);
+
+    return player;
+  }
+}
@@ -0,0 +1,272 @@
+/**
+ * @fileoverview Copyright (c) 2023 Jaedin Davasligil
+ *
+ * Rogue-JS is a pure javascript browser dungeon crawler.
+ * @package
+ */
+
+"use strict";
+
+import { EntityManager } from "./entity-manager.js";
+
+// DIFF FORMATS
+// Tile diffs (ChunkDiff), base64 of bytes `[VERSION, MODE, ...DATA]`:
+//   Sparse -  `[CELL, TILE]` for each changed cell.
+//   Bitmap -  32 byte bitmap of changed cells, then `TILE` for each one.
+//   Runs   -  `[LENGTH - 1, TILE]` runs over all 256 cells (0xFF unchanged).
+//   The smallest of the three is stored.
+// Entity diffs (EntityDiff), JSON `[VERSION, CELL, ENTITY, CELL, ENTITY, ...]`:
+//   Entity fields equal to their archetype defaults are left out.
+// A cell is the index `y * 16 + x` of a position in the chunk.
+//
+// Version 0 is the original text format, still read for older saves:
+//   Tile diffs   - `{x<0x>},{y<0x>}:{TILE<0x>};...`
+//   Entity diffs - JSON `[[x, y, ENTITY], ...]`
+
+/**
+ * Enumeration of tile diff encodings.
+ * @readonly
+ * @enum {number}
+ */
+export const TileDiffMode = {
+  Sparse: 0,
+  Bitmap: 1,
+  Runs:   2,
+}
+
+/** Class of functions encoding and decoding chunk and entity diffs. */
+export class DiffCodec {
+  /** Current diff format version. */
+  static version = 1;
+
+  /** Number of cells in a chunk. */
+  static cells = 256;
+
+  /** Cell value of tiles left unchanged. */
+  static unchanged = 0xFF;
+
+  /**
+   * Returns true if a tile diff is stored in the version 0 text format.
+   * Base64 never contains the separators of the text format.
+   * @param {import("./chunk-manager.js").ChunkDiff} diff - Tile diff.
+   * @returns {boolean}
+   */
+  static isLegacyTiles(diff) {
+    return /[,:]/.test(diff);
+  }
+
+  /**
+   * Pack bytes into a base64 string.
+   * @param {Array.<number>} bytes - Bytes.
+   * @returns {string}
+   */
+  static toBase64(bytes) {
+    let str = "";
+    for (let i = 0; i < bytes.length; ++i) {
+      str += String.fromCharCode(bytes[i]);
+    }
+    return btoa(str);
+  }
+
+  /**
+   * Unpack bytes from a base64 string.
+   * @param {string} str - Base64 string.
+   * @returns {Uint8Array}
+   */
+  static fromBase64(str) {
+    const bin = atob(str);
+    const bytes = new Uint8Array(bin.length);
+    for (let i = 0; i < bin.length; ++i) {
+      bytes[i] = bin.charCodeAt(i);
+    }
+    return bytes;
+  }
+
+  /**
+   * Encode the changed tiles of a chunk.
+   * @param {Uint8Array} cells - Tile of each cell, `DiffCodec.unchanged` if unchanged.
+   * @returns {import("./chunk-manager.js").ChunkDiff}
+   */
+  static encodeTiles(cells) {
+    const sparse = [DiffCodec.version, TileDiffMode.Sparse];
+    const bitmap = [DiffCodec.version, TileDiffMode.Bitmap].concat(new Array(32).fill(0));
+    const runs = [DiffCodec.version, TileDiffMode.Runs];
+
+    let i = 0;
+
+    for (i = 0; i < DiffCodec.cells; ++i) {
+      if (cells[i] === DiffCodec.unchanged) continue;
+
+      sparse.push(i, cells[i]);
+      bitmap[2 + (i >>> 3)] |= (1 << (i & 7));
+      bitmap.push(cells[i]);
+    }
+
+    let length = 1;
+    for (i = 1; i <= DiffCodec.cells; ++i) {
+      if (i < DiffCodec.cells && cells[i] === cells[i - 1] && length < 256) {
+        length += 1;
+      } else {
+        runs.push(length - 1, cells[i - 1]);
+        length = 1;
+      }
+    }
+
+    let bytes = sparse;
+    if (bitmap.length < bytes.length) bytes = bitmap;
+    if (runs.length < bytes.length) bytes = runs;
+
+    return DiffCodec.toBase64(bytes);
+  }
+
+  /**
+   * Decode a tile diff of any version.
+   * @param {import("./chunk-manager.js").ChunkDiff} diff - Tile diff.
+   * @returns {Uint8Array} - Tile of each cell, `DiffCodec.unchanged` if unchanged.
+   */
+  static decodeTiles(diff) {
+    const cells = new Uint8Array(DiffCodec.cells).fill(DiffCodec.unchanged);
+
+    let i = 0;
+
+    if (DiffCodec.isLegacyTiles(diff)) {
+      const diffs = diff.split(';');
+      let keyVal;
+      for (i = 0; i < diffs.length; ++i) {
+        keyVal = diffs[i].split(':'); // E.g., "a,3:fa"
+        cells[
+          parseInt(keyVal[0].slice(keyVal[0].indexOf(',') + 1), 16) * 16
+          + parseInt(keyVal[0], 16)
+        ] = parseInt(keyVal[1], 16);
+      }
+      return cells;
+    }
+
+    const bytes = DiffCodec.fromBase64(diff);
+
+    switch (bytes[1]) {
+      case TileDiffMode.Sparse:
+        for (i = 2; i < bytes.length; i += 2) {
+          cells[bytes[i]] = bytes[i + 1];
+        }
+        break;
+
+      case TileDiffMode.Bitmap:
+        let next = 34;
+        for (i = 0; i < DiffCodec.cells; ++i) {
+          if (bytes[2 + (i >>> 3)] & (1 << (i & 7))) {
+            cells[i] = bytes[next++];
+          }
+        }
+        break;
+
+      case TileDiffMode.Runs:
+        let cell = 0;
+        for (i = 2; i < bytes.length; i += 2) {
+          cells.fill(bytes[i + 1], cell, cell + bytes[i] + 1);
+          cell += bytes[i] + 1;
+        }
+        break;
+    }
+
+    return cells;
+  }
+
+  /**
+   * Encode the entities of a chunk, bottom to top of each stack.
+   * @param {Array.<[number, number, object]>} entities - Position and entity.
+   * @returns {import("./chunk-manager.js").EntityDiff}
+   */
+  static encodeEntities(entities) {
+    const data = [DiffCodec.version];
+
+    for (let i = 0; i < entities.length; ++i) {
+      const entity = entities[i][2];
+      const defaults = EntityManager.entityFrom(EntityManager.getIDType(entity.id), {});
+      const stripped = {id: entity.id};
+
+      const keys = Object.keys(entity);
+      for (let j = 0; j < keys.length; ++j) {
+        if (JSON.stringify(entity[keys[j]]) !== JSON.stringify(defaults[keys[j]])) {
+          stripped[keys[j]] = entity[keys[j]];
+        }
+      }
+
+      data.push(entities[i][1] * 16 + entities[i][0], stripped);
+    }
+
+    return JSON.stringify(data);
+  }
+
+  /**
+   * Decode an entity diff of any version. Entities are plain JSON objects
+   * missing their default fields until rebuilt with `EntityManager.entityFrom`.
+   * @param {import("./chunk-manager.js").EntityDiff} diff - Entity diff.
+   * @returns {Array.<[number, number, object]>} - Position and entity.
+   */
+  static decodeEntities(diff) {
+    const data = JSON.parse(diff);
+
+    // Version 0 lists start with a position array, or are empty.
+    if (data.length === 0 || Array.isArray(data[0])) return data;
+
+    const entities = [];
+    for (let i = 1; i < data.length; i += 2) {
+      entities.push([data[i] & 15, data[i] >>> 4, data[i + 1]]);
+    }
+    return entities;
+  }
+
+  /**
+   * Encode the changed tiles of a chunk in the version 0 text format.
+   * @param {Uint8Array} cells - Tile of each cell, `DiffCodec.unchanged` if unchanged.
+   * @returns {import("./chunk-manager.js").ChunkDiff}
+   */
+  static encodeLegacyTiles(cells) {
+    const diffs = [];
+    for (let i = 0; i < DiffCodec.cells; ++i) {
+      if (cells[i] !== DiffCodec.unchanged) {
+        diffs.push(`${(i & 15).toString(16)},${(i >>> 4).toString(16)}:${cells[i].toString(16)}`);
+      }
+    }
+    return diffs.join(';');
+  }
+
+  /**
+   * Compare the size of diffs stored in the current and version 0 formats.
+   * Sizes are in characters, the unit local storage quotas are counted in.
+   * @param {Object.<import("./chunk-manager.js").ChunkString, import("./chunk-manager.js").ChunkDiff>} chunkDiffs - Tile diffs.
+   * @param {Object.<import("./chunk-manager.js").ChunkString, import("./chunk-manager.js").EntityDiff>} entityDiffs - Entity diffs.
+   * @returns {{tiles: {chunks: number, legacy: number, encoded: number}, entities: {chunks: number, legacy: number, encoded: number}}}
+   */
+  static sizeReport(chunkDiffs, entityDiffs) {
+    const report = {
+      tiles:    {chunks: 0, legacy: 0, encoded: 0},
+      entities: {chunks: 0, legacy: 0, encoded: 0},
+    };
+
+    let i = 0;
+    let cells;
+    let entities;
+
+    const chunkKeys = Object.keys(chunkDiffs);
+    for (i = 0; i < chunkKeys.length; ++i) {
+      cells = DiffCodec.decodeTiles(chunkDiffs[chunkKeys[i]]);
+      report.tiles.chunks += 1;
+      report.tiles.legacy += DiffCodec.encodeLegacyTiles(cells).length;
+      report.tiles.encoded += DiffCodec.encodeTiles(cells).length;
+    }
+
+    const entityKeys = Object.keys(entityDiffs);
+    for (i = 0; i < entityKeys.length; ++i) {
+      entities = DiffCodec.decodeEntities(entityDiffs[entityKeys[i]]).map(
+        (e) => [e[0], e[1], EntityManager.entityFrom(EntityManager.getIDType(e[2].id), e[2])]
+      );
+      report.entities.chunks += 1;
+      report.entities.legacy += JSON.stringify(entities).length;
+      report.entities.encoded += DiffCodec.encodeEntities(entities).length;
+    }
+
+    return report;
+  }
+}
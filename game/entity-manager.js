@@ -8,6 +8,13 @@
 "use strict";
 
 import { EntityType } from "./archetype/archetype.js";
+import { Door } from "./archetype/door.js";
+import { Item } from "./archetype/item.js";
+import { Lever } from "./archetype/lever.js";
+import { Monster } from "./archetype/monster.js";
+import { Player } from "./archetype/player.js";
+import { Room } from "./archetype/room.js";
+import { Stairs } from "./archetype/stairs.js";
 
 /**
  * An entity ID is a 32 bit unsigned integer where the leftmost 8 bits
@@ -50,12 +57,50 @@ export class EntityManager {
   }
 
   /**
-   * Deserialize from JSON.
+   * Deserialize from JSON, rebuilding each entity as its archetype class.
    * @param {object} json - JSON object.
    * @returns {EntityManager}
    */
   static from(json) {
-    return Object.assign(new EntityManager(), json);
+    const em = new EntityManager();
+
+    for (let type = 0; type < json.data.length; ++type) {
+      if (!json.data[type]) continue;
+
+      em.bin[type] = json.bin[type].slice();
+      em.data[type] = json.data[type].map(
+        (entity) => (entity === null) ? null : EntityManager.entityFrom(type, entity)
+      );
+    }
+
+    return em;
+  }
+
+  /**
+   * Deserialize a single entity from JSON given its archetype.
+   * @param {EntityType} type - Entity archetype.
+   * @param {object} json - JSON object.
+   * @returns {object}
+   */
+  static entityFrom(type, json) {
+    switch (type) {
+      case EntityType.Player:
+        return Player.from(json);
+      case EntityType.Monster:
+        return Monster.from(json);
+      case EntityType.Door:
+        return Door.from(json);
+      case EntityType.Lever:
+        return Lever.from(json);
+      case EntityType.Item:
+        return Item.from(json);
+      case EntityType.Stairs:
+        return Stairs.from(json);
+      case EntityType.Room:
+        return Room.from(json);
+      default:
+        return Object.assign({}, json);
+    }
   }
 
   /**
@@ -0,0 +1,168 @@
+/**
+ * @fileoverview Copyright (c) 2023 Jaedin Davasligil
+ *
+ * Rogue-JS is a pure javascript browser dungeon crawler.
+ * @package
+ */
+
+"use strict";
+
+import { Light } from "./light.js";
+
+/**
+ * A slope between two rows of a quadrant as an exact fraction, so tiles on
+ * the edge of a shadow are seen the same from either end.
+ * @typedef {Object} Slope
+ * @property {number} n - Numerator.
+ * @property {number} d - Denominator, always positive.
+ */
+
+/**
+ * A row of tiles in a quadrant, lit between two slopes.
+ * @typedef {Object} Row
+ * @property {number} depth - Distance from the origin along the quadrant.
+ * @property {Slope} start - Slope of the first lit tile.
+ * @property {Slope} end - Slope of the last lit tile.
+ */
+
+/**
+ * Class of functions computing the field of view with symmetric
+ * shadowcasting: a tile is seen from another if and only if the other is
+ * seen from it.
+ */
+export class FOV {
+  /** Tiles seen in each direction at most. */
+  static maxRadius = 32;
+
+  /**
+   * Quadrants scanned from the origin, mapping (depth, col) to world x and y.
+   * North, east, south, west.
+   */
+  static quadrants = [
+    {dx: [0,  1], dy: [-1, 0]},
+    {dx: [1,  0], dy: [ 0, 1]},
+    {dx: [0,  1], dy: [ 1, 0]},
+    {dx: [-1, 0], dy: [ 0, 1]},
+  ];
+
+  /**
+   * Returns the world coordinate of a tile in a quadrant.
+   * @param {import("./types.js").Position} origin - World coordinate.
+   * @param {object} quadrant - Element of `FOV.quadrants`.
+   * @param {number} depth - Row of the tile.
+   * @param {number} col - Column of the tile.
+   * @returns {import("./types.js").Position}
+   */
+  static transform(origin, quadrant, depth, col) {
+    return {
+      x: origin.x + quadrant.dx[0] * depth + quadrant.dx[1] * col,
+      y: origin.y + quadrant.dy[0] * depth + quadrant.dy[1] * col,
+    };
+  }
+
+  /**
+   * Returns the slope from the origin to the near edge of a tile.
+   * @param {number} depth - Row of the tile.
+   * @param {number} col - Column of the tile.
+   * @returns {Slope}
+   */
+  static slope(depth, col) {
+    return {n: 2 * col - 1, d: 2 * depth};
+  }
+
+  /**
+   * Returns true if a tile is seen symmetrically: its centre lies between
+   * the slopes of its row.
+   * @param {Row} row - Row of the tile.
+   * @param {number} col - Column of the tile.
+   * @returns {boolean}
+   */
+  static isSymmetric(row, col) {
+    return (
+         col * row.start.d >= row.depth * row.start.n
+      && col * row.end.d <= row.depth * row.end.n
+    );
+  }
+
+  /**
+   * Compute the tiles seen from an origin.
+   * @param {import("./types.js").Position} origin - World coordinate.
+   * @param {number} radius - Rows scanned in each direction.
+   * @param {function(import("./types.js").Position): boolean} isBlocking - True if a tile blocks sight.
+   * @param {function(import("./types.js").Position): void} reveal - Marks a tile seen.
+   */
+  static compute(origin, radius, isBlocking, reveal) {
+    reveal(origin);
+
+    for (let q = 0; q < FOV.quadrants.length; ++q) {
+      const quadrant = FOV.quadrants[q];
+      const blocked = (depth, col) => isBlocking(FOV.transform(origin, quadrant, depth, col));
+
+      const scan = (row) => {
+        if (row.depth > radius) return;
+
+        // Round ties toward the middle of the row.
+        const minCol = Math.floor((2 * row.depth * row.start.n + row.start.d) / (2 * row.start.d));
+        const maxCol = Math.ceil((2 * row.depth * row.end.n - row.end.d) / (2 * row.end.d));
+
+        let prev = null;
+        for (let col = minCol; col <= maxCol; ++col) {
+          const wall = blocked(row.depth, col);
+
+          if (wall || FOV.isSymmetric(row, col)) {
+            reveal(FOV.transform(origin, quadrant, row.depth, col));
+          }
+          if (prev === true && !wall) {
+            row.start = FOV.slope(row.depth, col);
+          }
+          if (prev === false && wall) {
+            scan({depth: row.depth + 1, start: row.start, end: FOV.slope(row.depth, col)});
+          }
+          prev = wall;
+        }
+
+        if (prev === false) {
+          scan({depth: row.depth + 1, start: row.start, end: row.end});
+        }
+      };
+
+      scan({depth: 1, start: {n: -1, d: 1}, end: {n: 1, d: 1}});
+    }
+  }
+
+  /**
+   * Recompute the tiles the player sees, filling the visibility grids of the
+   * loaded chunks, and remember what is seen there. Walls and occluding
+   * entities block sight, and so do unloaded chunks. Only lit tiles are seen,
+   * though infravision shows warm-blooded monsters in the dark. A blinded
+   * player sees nothing beyond their own tile.
+   * @param {import("./main.js").Game} game - Game data.
+   */
+  static update(game) {
+    const chunks = game.chunks;
+    const player = game.player;
+    const radius = Light.radius(player);
+    const infravision = player.abilities.includes("Infravision");
+
+    const reveal = (position) => {
+      chunks.setVisibility(position, true);
+      chunks.remember(position, game.entities);
+    };
+
+    chunks.clearVisibility();
+    reveal(player.position);
+
+    if (player.blinded > 0) return;
+
+    FOV.compute(
+      player.position,
+      FOV.maxRadius,
+      (position) => chunks.getOcclusion(position) !== false,
+      (position) => {
+        if (Light.isLit(game, radius, position) || (infravision && Light.isWarm(game, position))) {
+          reveal(position);
+        }
+      }
+    );
+  }
+}
@@ -165,6 +165,23 @@ export class IDGrid {
     if (top !== undefined) arr.push(top);
   }
 
+  /**
+   * Remove an id from anywhere in the stack at a given local coordinate position.
+   * @param {import("./types").Position} position - The local coordinate position.
+   * @param {number} id - The id to remove.
+   * @returns {number | undefined} - The id removed or undefined.
+   */
+  removeID(position, id) {
+    const arr = this.data[SERDE.posToStr(position)];
+    if (arr === undefined) return undefined;
+
+    const idx = arr.indexOf(id);
+    if (idx === -1) return undefined;
+
+    arr.splice(idx, 1);
+    return id;
+  }
+
   /**
    * Reset the entire grid to empty.
    */
@@ -0,0 +1,414 @@
+/**
+ * @fileoverview Copyright (c) 2023 Jaedin Davasligil
+ *
+ * Rogue-JS is a pure javascript browser dungeon crawler.
+ * @package
+ */
+
+"use strict";
+
+import { FRNG } from "../lib/fast-random.js";
+import { EntityType, LockType } from "./archetype/archetype.js";
+import { Door } from "./archetype/door.js";
+import { Item } from "./archetype/item.js";
+import { Lever } from "./archetype/lever.js";
+import { InteractMode, Player } from "./archetype/player.js";
+import { Stairs } from "./archetype/stairs.js";
+import { Combat } from "./combat.js";
+import { EntityManager } from "./entity-manager.js";
+import { World } from "./map-generation.js";
+import { writeLog } from "./render/text.js";
+import { Stealth } from "./stealth.js";
+import { Tile } from "./tile.js";
+import { Event } from "./types.js";
+
+/**
+ * Handles the player bumping into an entity. Returns the moves spent, which
+ * the dispatcher takes from the player before pushing `Event.PlayerActed`.
+ * @typedef {function(import("./main.js").Game, object): number} InteractHandler
+ */
+
+/** Class of functions dispatching bump interactions on mode and entity type. */
+export class Interact {
+  /** Sides of the die rolled under `Player.doorChance` to lift a portcullis. */
+  static liftDie = 12;
+
+  /** X-in-6 chance of finding a secret door next to the player. */
+  static searchChance = 1;
+
+  /** X-in-6 chance of finding a secret door granted by ancestry abilities. */
+  static searchAbilities = {
+    "Detect Secret Doors":        2,
+    "Detect Construction Tricks": 2,
+  };
+
+  /**
+   * Spend player moves, pushing back the player's next action. A turn
+   * (10 game-minutes) lasts as many moves as the player's speed. Monsters
+   * act on the time spent once the player is done.
+   * @param {import("./main.js").Game} game - Game data.
+   * @param {number} moves - Moves spent.
+   */
+  static spendTime(game, moves) {
+    game.scheduler.spend(game.player, moves);
+  }
+
+  /**
+   * The player bumped into an entity without anything happening.
+   * @param {import("./main.js").Game} game - Game data.
+   * @param {object} target - Entity bumped.
+   * @returns {number} - Moves spent.
+   */
+  static bump(game, target) {
+    writeLog(target.name ? `The ${target.name} is in the way.` : "Something is in the way.");
+    return 0;
+  }
+
+  /**
+   * Open a closed door. Stuck doors are forced open on a roll of
+   * `Player.doorChance` in 6, spending the move either way.
+   * @param {import("./main.js").Game} game - Game data.
+   * @param {Door} door - Door bumped.
+   * @returns {number} - Moves spent.
+   */
+  static openDoor(game, door) {
+    if (door.tile === Tile.Granite) {
+      writeLog("There is a wall in the way.");
+      return 0;
+    }
+    if (door.tile === Tile.PortcullisDown) {
+      return Interact.liftPortcullis(game, door);
+    }
+    if (door.lock !== LockType.None) {
+      writeLog("The door is locked.");
+      return 0;
+    }
+    if (door.stuck) {
+      if (FRNG.randInt(game.rng, 0, 6) >= Player.doorChance(game.player.scores.str)) {
+        writeLog("The door is stuck. You fail to force it open.");
+        return 1;
+      }
+      Door.open(door);
+      game.chunks.refreshCell(door.position, game.entities);
+      writeLog("You force the stuck door open.");
+      return 1;
+    }
+
+    Door.open(door);
+    game.chunks.refreshCell(door.position, game.entities);
+    writeLog("You open the door.");
+    return 1;
+  }
+
+  /**
+   * Try to lift a lowered portcullis by hand, on a roll of
+   * `Player.doorChance` in `Interact.liftDie`.
+   * @param {import("./main.js").Game} game - Game data.
+   * @param {Door} door - Portcullis bumped.
+   * @returns {number} - Moves spent.
+   */
+  static liftPortcullis(game, door) {
+    if (FRNG.randInt(game.rng, 0, Interact.liftDie) >= Player.doorChance(game.player.scores.str)) {
+      writeLog("You strain against the portcullis, but it will not lift.");
+      return 1;
+    }
+
+    Door.open(door);
+    game.chunks.refreshCell(door.position, game.entities);
+    writeLog("You heave the portcullis up.");
+    return 1;
+  }
+
+  /**
+   * Pull a lever, raising or lowering the portcullis wired to it.
+   * @param {import("./main.js").Game} game - Game data.
+   * @param {Lever} lever - Lever bumped.
+   * @returns {number} - Moves spent.
+   */
+  static pullLever(game, lever) {
+    const stack = (lever.target && game.chunks.entitiesAt(lever.target)) ?? [];
+    const door = (stack.length > 0) ? game.entities.lookup(stack[0]) : null;
+
+    if (!door || EntityManager.getIDType(door.id) !== EntityType.Door) {
+      writeLog("You pull the lever. Nothing happens.");
+      Lever.pull(lever);
+      return 1;
+    }
+    if (door.broken) {
+      writeLog("You pull the lever. Chains rattle uselessly.");
+      Lever.pull(lever);
+      return 1;
+    }
+    if (door.open && stack.length > 1) {
+      writeLog("The lever will not move. Something is under the portcullis.");
+      return 0;
+    }
+
+    Lever.pull(lever);
+    if (door.open) {
+      Door.close(door);
+      writeLog("You pull the lever. A portcullis slams down.");
+    } else {
+      Door.open(door);
+      writeLog("You pull the lever. A portcullis grinds up.");
+    }
+    game.chunks.refreshCell(lever.target, game.entities);
+    return 1;
+  }
+
+  /**
+   * Close an open door next to the player.
+   * @param {import("./main.js").Game} game - Game data.
+   * @param {import("./types.js").Direction} dir - Direction of the door.
+   */
+  static closeDoor(game, dir) {
+    const position = {
+      x: game.player.position.x + dir.x,
+      y: game.player.position.y + dir.y,
+    };
+    const stack = game.chunks.entitiesAt(position) ?? [];
+    const door = (stack.length > 0) ? game.entities.lookup(stack[0]) : null;
+
+    if (
+         !door
+      || EntityManager.getIDType(door.id) !== EntityType.Door
+      || !door.open
+    ) {
+      writeLog("There is no open door there.");
+      return;
+    }
+    if (door.broken) {
+      writeLog("The door is broken and will not close.");
+      return;
+    }
+    if (stack.length > 1) {
+      writeLog("Something is in the doorway.");
+      return;
+    }
+
+    Door.close(door);
+    game.chunks.refreshCell(position, game.entities);
+    writeLog(door.tile === Tile.PortcullisDown ? "You lower the portcullis." : "You close the door.");
+    Interact.spendTime(game, 1);
+    game.events.pushBack(Event.PlayerActed);
+  }
+
+  /**
+   * Returns the X-in-6 chance of the player finding a secret door.
+   * @param {Player} player - Player data.
+   * @returns {number}
+   */
+  static searchChanceOf(player) {
+    let chance = Interact.searchChance;
+    for (let i = 0; i < player.abilities.length; ++i) {
+      chance = Math.max(chance, Interact.searchAbilities[player.abilities[i]] ?? 0);
+    }
+    return chance;
+  }
+
+  /**
+   * Search every tile next to the player for secret doors, rolling once per
+   * tile. Takes a full turn.
+   * @param {import("./main.js").Game} game - Game data.
+   */
+  static search(game) {
+    const chance = Interact.searchChanceOf(game.player);
+
+    let found = 0;
+    let position;
+    let stack;
+    let door;
+
+    for (let dy = -1; dy <= 1; ++dy) {
+      for (let dx = -1; dx <= 1; ++dx) {
+        if (dx === 0 && dy === 0) continue;
+
+        position = {x: game.player.position.x + dx, y: game.player.position.y + dy};
+        stack = game.chunks.entitiesAt(position) ?? [];
+
+        for (let i = 0; i < stack.length; ++i) {
+          door = game.entities.lookup(stack[i]);
+          if (
+               EntityManager.getIDType(stack[i]) !== EntityType.Door
+            || door?.tile !== Tile.Granite
+            || FRNG.randInt(game.rng, 0, 6) >= chance
+          ) {
+            continue;
+          }
+
+          Door.reveal(door);
+          found += 1;
+        }
+      }
+    }
+
+    writeLog(
+      found > 0
+        ? "You search the walls and find a secret door!"
+        : "You search the walls and find nothing."
+    );
+    Interact.spendTime(game, game.player.speed);
+    game.events.pushBack(Event.PlayerActed);
+  }
+
+  /**
+   * Take the stairs the player stands on to the level above or below. The
+   * loaded chunks of the level left are stored as diffs, and the level
+   * reached is generated again from the seed and its depth, arriving on the
+   * stairs leading back. Magical darkness on every level goes along.
+   * @param {import("./main.js").Game} game - Game data.
+   * @param {boolean} down - Whether the player goes down.
+   */
+  static takeStairs(game, down) {
+    const player = game.player;
+    const tile = down ? Tile.StairsDown : Tile.StairsUp;
+    const stairs = (game.chunks.entitiesAt(player.position) ?? [])
+      .map((id) => game.entities.lookup(id))
+      .filter((entity) => entity)
+      .find((entity) => EntityManager.getIDType(entity.id) === EntityType.Stairs && entity.tile === tile);
+
+    if (stairs === undefined) {
+      writeLog(down ? "There are no stairs down here." : "There are no stairs up here.");
+      return;
+    }
+
+    const world = new World(game.world.seed, Stairs.destination(stairs, game.world.depth), game.world.time);
+    world.generate();
+    world.darkness = game.world.darkness;
+    const arrival = down ? world.stairsUp : world.stairsDown;
+
+    game.chunks.reset(arrival, world.width, world.height, game.world, game.entities);
+    game.world = world;
+    player.position = {x: arrival.x, y: arrival.y};
+    game.renderer.camera.setPosition(arrival);
+    game.chunks.update(player.position, game.world, game.entities, true);
+    game.chunks.setID(player.position, player.id);
+
+    if (world.depth === 0) {
+      writeLog("You climb back up to town.");
+    } else {
+      writeLog(down ? `You descend to depth ${world.depth}.` : `You climb up to depth ${world.depth}.`);
+    }
+
+    Interact.spendTime(game, 1);
+    game.events.pushBack(Event.PlayerActed);
+    game.events.pushBack(Event.SaveGame);
+  }
+
+  /**
+   * Pick up every item lying where the player stands. Ammunition matching
+   * the ammunition equipped, or the launcher held, is equipped, and so is a
+   * light source when the off hand is free. Other items stack in the
+   * inventory.
+   * @param {import("./main.js").Game} game - Game data.
+   */
+  static pickUp(game) {
+    const player = game.player;
+    const stack = (game.chunks.entitiesAt(player.position) ?? []).slice();
+
+    for (let i = 0; i < stack.length; ++i) {
+      if (EntityManager.getIDType(stack[i]) !== EntityType.Item) continue;
+
+      const item = game.entities.lookup(stack[i]).item;
+      const ammo = player.equipment.ammunition;
+      const carried = player.inventory.find((other) => other && Item.stacks(other, item));
+
+      if (ammo !== null && Item.stacks(ammo, item)) {
+        ammo.count += item.count;
+      } else if (ammo === null && item.type !== undefined && item.type === player.equipment.mainHand?.ammo) {
+        player.equipment.ammunition = item;
+      } else if (player.equipment.offHand === null && item.light > 0 && item.fuel > 0) {
+        player.equipment.offHand = item;
+      } else if (carried !== undefined) {
+        carried.count += item.count;
+      } else {
+        player.inventory.push(item);
+      }
+
+      writeLog(item.count > 1 ? `You pick up ${item.count} x ${item.name}.` : `You pick up the ${item.name}.`);
+
+      game.chunks.removeID(player.position, stack[i]);
+      game.entities.delete(stack[i]);
+    }
+  }
+
+  /**
+   * Greet a monster or person.
+   * @param {import("./main.js").Game} game - Game data.
+   * @param {import("./archetype/monster.js").Monster} monster - Monster bumped.
+   * @returns {number} - Moves spent.
+   */
+  static greet(game, monster) {
+    if (monster.asleep) {
+      writeLog(`The ${monster.name} is asleep.`);
+    } else if (monster.isPerson) {
+      writeLog(`The ${monster.name} has nothing to trade.`);
+    } else {
+      writeLog(`The ${monster.name} is in the way.`);
+    }
+    return 0;
+  }
+
+  /**
+   * Start a dialogue with a monster or person.
+   * @param {import("./main.js").Game} game - Game data.
+   * @param {import("./archetype/monster.js").Monster} monster - Monster bumped.
+   * @returns {number} - Moves spent.
+   */
+  static talk(game, monster) {
+    if (monster.asleep) {
+      writeLog(`The ${monster.name} is asleep.`);
+      return 0;
+    }
+
+    writeLog(
+      monster.isPerson
+        ? `The ${monster.name} listens. ${monster.description}`
+        : `The ${monster.name} does not understand you.`
+    );
+    return 1;
+  }
+
+  /**
+   * Handlers indexed by InteractMode, then by the EntityType bumped.
+   * Missing handlers fall back to `Interact.bump`.
+   * @type {Object.<InteractMode, Object.<EntityType, InteractHandler>>}
+   */
+  static handlers = {
+    [InteractMode.Normal]: {
+      [EntityType.Door]:    Interact.openDoor,
+      [EntityType.Monster]: Interact.greet,
+      [EntityType.Lever]:   Interact.pullLever,
+    },
+    [InteractMode.Social]: {
+      [EntityType.Monster]: Interact.talk,
+    },
+    [InteractMode.Stealth]: {
+      [EntityType.Door]:    Stealth.handleLock,
+    },
+    [InteractMode.Combat]: {
+      [EntityType.Door]:    Combat.bashDoor,
+      [EntityType.Monster]: Combat.attackMonster,
+    },
+  };
+
+  /**
+   * Interact with an entity the player bumped into. It becomes the target.
+   * @param {import("./main.js").Game} game - Game data.
+   * @param {import("./entity-manager.js").EntityID} id - Entity bumped.
+   */
+  static dispatch(game, id) {
+    const target = game.entities.lookup(id);
+    if (!target) return;
+
+    game.player.target = target;
+
+    const handler = Interact.handlers[game.player.mode][EntityManager.getIDType(id)] ?? Interact.bump;
+    const moves = handler(game, target);
+
+    if (moves > 0) {
+      Interact.spendTime(game, moves);
+      game.events.pushBack(Event.PlayerActed);
+    }
+  }
+}
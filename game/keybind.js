@@ -18,6 +18,16 @@ export const Action = {
   MoveRight:   "ArrowRight",
   Enter:       "Enter",
   Escape:      "Escape",
+  Backspace:   "Backspace",
+  Delete:      "Delete",
+  Export:      "x",
+  Import:      "i",
+  Close:       "c",
+  Search:      "s",
+  Fire:        "f",
+  Throw:       "t",
+  Descend:     ">",
+  Ascend:      "<",
   ZoomIn:      "=",
   ZoomOut:     "-",
   NormalMode:  "1",
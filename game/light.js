@@ -0,0 +1,149 @@
+/**
+ * @fileoverview Copyright (c) 2023 Jaedin Davasligil
+ *
+ * Rogue-JS is a pure javascript browser dungeon crawler.
+ * @package
+ */
+
+"use strict";
+
+import { EntityType } from "./archetype/archetype.js";
+import { EntityManager } from "./entity-manager.js";
+import { writeLog } from "./render/text.js";
+
+/** Class of functions deciding what is lit and burning light sources. */
+export class Light {
+  /** Hands a light source is carried in. */
+  static hands = ["offHand", "mainHand"];
+
+  /** Tiles within which infravision shows warm-blooded creatures. */
+  static infravisionRadius = 6;
+
+  /** A torch lights 30' and burns for an hour. */
+  static torch = {name: "Torch", weight: 1, light: 3, fuel: 6, burnTime: 6};
+
+  /** A lantern lights 30' and burns a flask of oil in four hours. */
+  static lantern = {name: "Lantern", weight: 30, light: 3, fuel: 24, burnTime: 24, refuel: "Flask of Oil"};
+
+  /**
+   * Returns the light source the player holds that is still burning.
+   * @param {import("./archetype/player.js").Player} player - Player data.
+   * @returns {object | null}
+   */
+  static source(player) {
+    for (let i = 0; i < Light.hands.length; ++i) {
+      const item = player.equipment[Light.hands[i]];
+      if (item?.light > 0 && item.fuel > 0) return item;
+    }
+    return null;
+  }
+
+  /**
+   * Returns the radius lit around the player.
+   * @param {import("./archetype/player.js").Player} player - Player data.
+   * @returns {number}
+   */
+  static radius(player) {
+    return Light.source(player)?.light ?? 0;
+  }
+
+  /**
+   * Returns true if a tile is lit, by the room it is in or by the player's
+   * light. Nothing lights magical darkness.
+   * @param {import("./main.js").Game} game - Game data.
+   * @param {number} radius - Radius lit around the player.
+   * @param {import("./types.js").Position} position - World coordinate.
+   * @returns {boolean}
+   */
+  static isLit(game, radius, position) {
+    if (game.world.isDark(position.x, position.y)) return false;
+    if (game.world.isLit(position.x, position.y)) return true;
+
+    const dx = position.x - game.player.position.x;
+    const dy = position.y - game.player.position.y;
+    return dx * dx + dy * dy <= radius * radius;
+  }
+
+  /**
+   * Returns true if infravision shows a warm-blooded monster standing on an
+   * unlit tile.
+   * @param {import("./main.js").Game} game - Game data.
+   * @param {import("./types.js").Position} position - World coordinate.
+   * @returns {boolean}
+   */
+  static isWarm(game, position) {
+    const dx = position.x - game.player.position.x;
+    const dy = position.y - game.player.position.y;
+    if (dx * dx + dy * dy > Light.infravisionRadius * Light.infravisionRadius) return false;
+
+    const stack = game.chunks.entitiesAt(position) ?? [];
+    return stack.some((id) => (
+         EntityManager.getIDType(id) === EntityType.Monster
+      && game.entities.lookup(id)?.warmBlooded
+    ));
+  }
+
+  /**
+   * Take a carried item by name out of the inventory, one from a stack.
+   * @param {import("./archetype/player.js").Player} player - Player data.
+   * @param {string} name - Name of the item.
+   * @returns {object | null}
+   */
+  static take(player, name) {
+    const idx = player.inventory.findIndex((item) => item?.name === name);
+    if (idx < 0) return null;
+
+    const item = player.inventory[idx];
+    if (item.count > 1) {
+      item.count -= 1;
+      return Object.assign({}, item, {count: 1});
+    }
+    player.inventory.splice(idx, 1);
+    return item;
+  }
+
+  /**
+   * Burn a turn of fuel from every light source held. A lantern running dry
+   * is refilled from the inventory, and a torch burnt out is replaced by
+   * another if one is carried.
+   * @param {import("./main.js").Game} game - Game data.
+   */
+  static burn(game) {
+    const player = game.player;
+
+    for (let i = 0; i < Light.hands.length; ++i) {
+      const hand = Light.hands[i];
+      const item = player.equipment[hand];
+      if (!(item?.light > 0) || !(item.fuel > 0)) continue;
+
+      item.fuel -= 1;
+      if (item.fuel > 0) continue;
+
+      if (item.refuel !== undefined) {
+        if (Light.take(player, item.refuel) !== null) {
+          item.fuel = item.burnTime;
+          writeLog(`You refill your ${item.name.toLowerCase()}.`);
+        } else {
+          writeLog(`Your ${item.name.toLowerCase()} runs dry.`);
+        }
+        continue;
+      }
+
+      writeLog(`Your ${item.name.toLowerCase()} burns out.`);
+      player.equipment[hand] = Light.take(player, item.name);
+      if (player.equipment[hand] !== null) {
+        writeLog(`You light another ${item.name.toLowerCase()}.`);
+      }
+    }
+  }
+
+  /**
+   * Magical darkness lasting a number of turns fades once they are over.
+   * @param {import("./main.js").Game} game - Game data.
+   */
+  static fade(game) {
+    game.world.darkness = game.world.darkness.filter(
+      (zone) => zone.until === null || zone.until > game.player.turn
+    );
+  }
+}
@@ -6,22 +6,34 @@
  */
 
 // TODO
-// [ ] Character Creation
-// [ ] Level Generation
-// [ ] Combat
+// [x] Character Creation
+// [x] Level Generation
+// [x] Combat
 
 "use strict";
 
+import { mulberry32 } from "../lib/fast-random.js";
 import { RingBuffer } from "../lib/ring-buffer.js";
+import { getJSON } from "../lib/serde.js";
 import { Monster } from "./archetype/monster.js";
 import { InteractMode, Player } from "./archetype/player.js";
 import { ChunkManager } from "./chunk-manager.js";
+import { Creation, CreationStep, RollMethod, ScoreOrder } from "./creation.js";
 import { EntityManager } from "./entity-manager.js";
+import { FOV } from "./fov.js";
+import { Interact } from "./interact.js";
+import { Light } from "./light.js";
+import { Mining } from "./mining.js";
+import { Ranged } from "./ranged.js";
 import { Action } from "./keybind.js";
 import { World } from "./map-generation.js";
 import { RenderEngine } from "./render/render.js";
-import { writeDescription } from "./render/text.js";
-import { Direction, Event, MainMenuOption } from "./types.js";
+import { Save } from "./save.js";
+import { Scheduler } from "./scheduler.js";
+import { tileRock } from "./tile.js";
+import { IndexedDBStorage, LocalStorage, StorageCache } from "./storage.js";
+import { writeAction, writeDescription, writeLog } from "./render/text.js";
+import { Direction, Event, MainMenuOption, SlotAction } from "./types.js";
 
 /**
  * @typedef {Object} Game
@@ -29,7 +41,19 @@ import { Direction, Event, MainMenuOption } from "./types.js";
  * @property {GameState} state - Active game state.
  * @property {Array.<MainMenuOption>} menu - Main menu option list.
  * @property {number} selection - Menu option selection.
+ * @property {SlotAction} slotAction - What choosing a save slot does.
+ * @property {number | null} slotConfirm - Slot awaiting confirmation to be overwritten or deleted.
+ * @property {string | null} slotMessage - Result of the last save export or import.
+ * @property {number | null} slot - Save slot of the session.
+ * @property {boolean} saveEnabled - Whether the session is saved (not in the tutorial).
+ * @property {number} playTime - Time played in milliseconds as of the last save.
+ * @property {number} playClock - Timestamp play time was last counted from.
+ * @property {Creation | null} creation - The character being created.
  * @property {Player | null} player - The player character.
+ * @property {Action | null} pending - Command waiting for a direction.
+ * @property {import("./types.js").Position | null} cursor - Targeting cursor while aiming.
+ * @property {function(): number} rng - Random number generator for gameplay rolls.
+ * @property {Scheduler | null} scheduler - Orders the actions of the player and monsters.
  * @property {RingBuffer} events - The event queue.
  * @property {World | null} world - The generated world template.
  * @property {ChunkManager | null} chunks - The chunks of the map loaded in memory.
@@ -46,11 +70,12 @@ export const GameState = {
   Creation: 1,
   Loading:  2,
   Running:  3,
+  Slots:    4,
 }
 
 // Load ancestries and classes from data
-//const Ancestries = await getJSON("./data/ancestries.json");
-//const Classes = await getJSON("./data/classes.json");
+const Ancestries = await getJSON("./data/ancestries.json");
+const Classes = await getJSON("./data/classes.json");
 
 /**
  * Initialize the tutorial / test map.
@@ -59,7 +84,9 @@ export const GameState = {
  */
 function initTutorial(game, seed) {
   game.state = GameState.Loading;
+  game.saveEnabled = false;
 
+  game.entities = new EntityManager();
   game.player = new Player();
   const monster = new Monster();
   monster.description = "An ugly man.";
@@ -72,16 +99,19 @@ function initTutorial(game, seed) {
   game.player.maxArmorClass = 15;
   game.player.armorClass = 10;
   game.player.weight = 801;
+  game.player.equipment.offHand = Object.assign({}, Light.torch);
 
   game.entities.insert(game.player);
   game.entities.insert(monster);
   game.world = new World(seed);
+  game.scheduler = new Scheduler();
 
   let spawn = game.world.generateTestMap();
   game.player.position = spawn;
   monster.position = {x: spawn.x + 2, y: spawn.y};
   game.renderer.camera.setPosition(spawn);
 
+  // The tutorial is never saved, so its chunks only live in memory.
   game.chunks = new ChunkManager(
     spawn,
     game.world.width,
@@ -93,6 +123,7 @@ function initTutorial(game, seed) {
   game.chunks.setID(monster.position, monster.id);
   game.player.target = monster;
 
+  FOV.update(game);
   redraw(game);
 
   writeDescription(document.getElementById('game-text'), monster.description);
@@ -100,12 +131,108 @@ function initTutorial(game, seed) {
   game.state = GameState.Running;
 }
 
+/**
+ * Initialize a new game in the town from a finished character creation.
+ * @param {Game} game - Game data.
+ */
+function initNewGame(game) {
+  game.state = GameState.Loading;
+  game.saveEnabled = true;
+  game.playTime = 0;
+  game.playClock = Date.now();
+
+  game.player = Creation.createPlayer(game.creation, Ancestries, Classes);
+  game.entities = new EntityManager();
+  game.entities.insert(game.player);
+  game.world = new World(game.creation.seed);
+  game.scheduler = new Scheduler();
+  game.creation = null;
+
+  // A new game replaces the save in its slot.
+  Save.delete(game.slot);
+
+  let spawn = game.world.generateTown();
+  game.player.position = spawn;
+  game.renderer.camera.setPosition(spawn);
+
+  game.chunks = new ChunkManager(
+    spawn,
+    game.world.width,
+    game.world.height,
+    2,
+    Save.namespace(game.slot),
+    Save.storage
+  );
+  game.chunks.update(game.player.position, game.world, game.entities, true);
+  game.chunks.setID(game.player.position, game.player.id);
+
+  FOV.update(game);
+  redraw(game);
+
+  writeDescription(
+    document.getElementById('game-text'),
+    `${game.player.name} the ${Ancestries[game.player.ancestry].name} ${Classes[game.player.combatClass].name} arrives in town.`
+  );
+
+  Save.write(game);
+
+  game.state = GameState.Running;
+}
+
+/**
+ * Continue the game session stored in the save.
+ * @param {Game} game - Game data.
+ */
+function loadGame(game) {
+  game.state = GameState.Loading;
+
+  const save = Save.read(game.slot);
+  if (save === null) {
+    game.events.pushBack(Event.EnterMainMenu);
+    return;
+  }
+
+  Save.restore(save, game.slot, game);
+  game.saveEnabled = true;
+
+  FOV.update(game);
+  redraw(game);
+
+  writeDescription(
+    document.getElementById('game-text'),
+    `Welcome back, ${game.player.name}.`
+  );
+
+  game.state = GameState.Running;
+}
+
+/**
+ * End the run of a dead character. Saving stops and the save is deleted so
+ * the run cannot be continued, then the game returns to the main menu.
+ * @param {Game} game - Game data.
+ */
+function endRun(game) {
+  if (game.saveEnabled) {
+    game.saveEnabled = false;
+    Save.delete(game.slot);
+  }
+
+  writeLog(`You died on depth ${game.world.depth} after ${game.player.turn} turns.`);
+
+  // Whatever was left to do for the dead character is dropped.
+  while (!game.events.isEmpty()) game.events.popFront();
+  game.events.pushBack(Event.EnterMainMenu);
+}
+
 /**
  * Redraw the game grid.
  * @param {Game} game - Game data.
  */
 function redraw(game) {
   game.renderer.draw(game.entities, game.chunks);
+  if (game.cursor) {
+    game.renderer.drawCursor(game.cursor);
+  }
   if (game.debug) {
     game.renderer.drawDebugGrid();
     game.renderer.drawDebugDeadZone();
@@ -116,7 +243,8 @@ function redraw(game) {
 }
 
 /**
- * Handle entity movement and collision.
+ * Handle entity movement and collision. The player interacts with any
+ * entity moved into, and digs into any rock.
  * @param {import("./entity-manager.js").EntityID} id - An entity ID.
  * @param {Direction} dir - Movement direction.
  * @param {Game} game - Game data.
@@ -140,19 +268,28 @@ function moveEntity(id, dir, game) {
     return false;
   }
 
-  // Check collision for terrain
-  if (game.chunks.getCollision(newPosition)) {
+  // Check collision for entities
+  const eid = game.chunks.getID(newPosition);
+  if (eid !== undefined && game.entities.lookup(eid)?.collision) {
+    if (id === game.player.id) {
+      Interact.dispatch(game, eid);
+    }
     return false;
   }
 
-  // Check collision for entities
-  const eid = game.chunks.getID(newPosition);
-  if (eid && game.entities.lookup(eid).collision) {
+  // Check collision for terrain, unloaded chunks are never entered. The
+  // player digs into rock.
+  if (game.chunks.getCollision(newPosition) !== false) {
+    if (id === game.player.id && tileRock(game.chunks.getTile(newPosition))) {
+      Mining.dig(game, newPosition);
+    }
     return false;
   }
 
   game.chunks.setID(newPosition, id);
   game.chunks.popID(entity.position);
+  game.chunks.refreshCell(newPosition, game.entities);
+  game.chunks.refreshCell(entity.position, game.entities);
 
   entity.position.x = newPosition.x;
   entity.position.y = newPosition.y;
@@ -165,6 +302,20 @@ function moveEntity(id, dir, game) {
   return true;
 }
 
+/**
+ * Build the main menu options.
+ * @param {Game} game - Game data.
+ */
+function buildMenu(game) {
+  game.menu.length = 0;
+
+  if (Save.anyExists()) {
+    game.menu.push(MainMenuOption.Continue);
+  }
+  game.menu.push(MainMenuOption.NewGame);
+  game.menu.push(MainMenuOption.Tutorial);
+}
+
 /**
  * Handles state menu state changes on option selection.
  * @param {Game} game - Game data.
@@ -172,10 +323,12 @@ function moveEntity(id, dir, game) {
 function handleSelectOption(game) {
   switch(game.menu[game.selection]) {
     case MainMenuOption.Continue:
-      console.log("Continue");
+      game.slotAction = SlotAction.Load;
+      game.events.pushBack(Event.EnterSlots);
       break;
     case MainMenuOption.NewGame:
-      console.log("NewGame");
+      game.slotAction = SlotAction.New;
+      game.events.pushBack(Event.EnterSlots);
       break;
     case MainMenuOption.Tutorial:
       game.events.pushBack(Event.EnterTutorial);
@@ -218,6 +371,307 @@ function menuInput(game) {
   });
 }
 
+/**
+ * Handles choosing a save slot. Overwriting a save must be confirmed.
+ * @param {Game} game - Game data.
+ */
+function handleSelectSlot(game) {
+  const exists = Save.exists(game.selection);
+
+  switch (game.slotAction) {
+    case SlotAction.Load:
+      if (!exists) return;
+      game.slot = game.selection;
+      game.events.pushBack(Event.LoadGame);
+      break;
+
+    case SlotAction.New:
+      if (exists && game.slotConfirm !== game.selection) {
+        game.slotConfirm = game.selection;
+        return;
+      }
+      game.slot = game.selection;
+      game.events.pushBack(Event.EnterCreation);
+      break;
+  }
+  game.slotConfirm = null;
+}
+
+/**
+ * Download the save of the selected slot as a portable file.
+ * @param {Game} game - Game data.
+ */
+function exportSlot(game) {
+  const json = Save.exportSlot(game.selection);
+  if (json === null) {
+    game.slotMessage = `Slot ${game.selection + 1} has no save to export.`;
+    return;
+  }
+
+  const meta = Save.readMeta(game.selection);
+  const url = URL.createObjectURL(new Blob([json], {type: "application/json"}));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `${meta.name.replaceAll(' ', '-')}-slot${game.selection + 1}.rogue.json`;
+  link.click();
+  URL.revokeObjectURL(url);
+
+  game.slotMessage = `Exported slot ${game.selection + 1}.`;
+}
+
+/**
+ * Ask for a save file and import it into the selected slot.
+ * Importing over an existing save must be confirmed.
+ * @param {Game} game - Game data.
+ * @returns {Promise}
+ */
+function importSlot(game) {
+  const slot = game.selection;
+
+  if (Save.exists(slot) && game.slotConfirm !== slot) {
+    game.slotConfirm = slot;
+    game.slotMessage = `Press I again to replace slot ${slot + 1} with an imported save.`;
+    return Promise.resolve();
+  }
+  game.slotConfirm = null;
+
+  return new Promise((resolve) => {
+    const input = document.getElementById("save-import");
+    input.value = "";
+    input.addEventListener('change', onChange);
+    input.addEventListener('cancel', onCancel);
+    input.click();
+
+    function done() {
+      input.removeEventListener('change', onChange);
+      input.removeEventListener('cancel', onCancel);
+      resolve();
+    }
+    function onCancel() {
+      game.slotMessage = null;
+      done();
+    }
+    async function onChange() {
+      if (input.files.length === 0) return onCancel();
+
+      const error = Save.importSlot(await input.files[0].text(), slot);
+      game.slotMessage = error ?? `Imported into slot ${slot + 1}.`;
+      done();
+    }
+  });
+}
+
+/**
+ * Event Listener for controlling save slot input.
+ * @param {Game} game - Game data.
+ */
+function slotInput(game) {
+  return new Promise((resolve) => {
+    document.addEventListener('keydown', onKeyHandler);
+    function onKeyHandler(e) {
+      let keyDetected = false;
+      let pending = null;
+
+      switch (e.key) {
+        case Action.MoveUp:
+          keyDetected = true;
+          game.slotConfirm = null;
+          game.slotMessage = null;
+          game.selection = (game.selection + Save.slotCount - 1) % Save.slotCount;
+          break;
+        case Action.MoveDown:
+          keyDetected = true;
+          game.slotConfirm = null;
+          game.slotMessage = null;
+          game.selection = (game.selection + 1) % Save.slotCount;
+          break;
+        case Action.Enter:
+          keyDetected = true;
+          handleSelectSlot(game);
+          break;
+        case Action.Delete:
+          keyDetected = true;
+          game.slotMessage = null;
+          if (!Save.exists(game.selection)) break;
+          if (game.slotConfirm === game.selection) {
+            Save.delete(game.selection);
+            game.slotConfirm = null;
+          } else {
+            game.slotConfirm = game.selection;
+          }
+          break;
+        case Action.Export:
+          keyDetected = true;
+          game.slotConfirm = null;
+          exportSlot(game);
+          break;
+        case Action.Import:
+          keyDetected = true;
+          pending = importSlot(game);
+          break;
+        case Action.Escape:
+          keyDetected = true;
+          game.slotConfirm = null;
+          game.events.pushBack(Event.EnterMainMenu);
+          break;
+      }
+
+      if (keyDetected) {
+        document.removeEventListener('keydown', onKeyHandler);
+        if (pending !== null) {
+          pending.then(resolve);
+        } else {
+          resolve();
+        }
+      }
+    }
+  });
+}
+
+/**
+ * Returns the number of options available in the current creation step.
+ * @param {Creation} creation - Character creation state.
+ * @returns {number}
+ */
+function creationOptionCount(creation) {
+  switch (creation.step) {
+    case CreationStep.Method:
+      return Object.keys(RollMethod).length;
+    case CreationStep.Scores:
+      return ScoreOrder.length;
+    case CreationStep.Ancestry:
+      return Object.keys(Ancestries).length;
+    case CreationStep.Class:
+      return Object.keys(Classes).length;
+    default:
+      return 1;
+  }
+}
+
+/**
+ * Handles character creation step changes on option selection.
+ * @param {Game} game - Game data.
+ */
+function handleCreationSelect(game) {
+  const creation = game.creation;
+  let key = "";
+
+  switch (creation.step) {
+    case CreationStep.Method:
+      creation.method = creation.selection;
+      Creation.rollScores(creation);
+      break;
+    case CreationStep.Ancestry:
+      key = Object.keys(Ancestries)[creation.selection];
+      Creation.selectAncestry(creation, key, Ancestries[key]);
+      break;
+    case CreationStep.Class:
+      key = Object.keys(Classes)[creation.selection];
+      Creation.selectClass(creation, Ancestries[creation.ancestry], key, Classes[key]);
+      break;
+    case CreationStep.Confirm:
+      game.events.pushBack(Event.ExitCreation);
+      return;
+  }
+
+  if (!Creation.stepComplete(creation)) return;
+
+  creation.step += 1;
+  creation.selection = 0;
+}
+
+/**
+ * Event Listener for controlling character creation input.
+ * @param {Game} game - Game data.
+ */
+function creationInput(game) {
+  return new Promise((resolve) => {
+    document.addEventListener('keydown', onKeyHandler);
+    function onKeyHandler(e) {
+      const creation = game.creation;
+      const count = creationOptionCount(creation);
+      let keyDetected = false;
+
+      switch (e.key) {
+        case Action.MoveUp:
+          keyDetected = true;
+          creation.selection = (creation.selection + count - 1) % count;
+          break;
+        case Action.MoveDown:
+          keyDetected = true;
+          creation.selection = (creation.selection + 1) % count;
+          break;
+        case Action.MoveLeft:
+          keyDetected = true;
+          if (creation.step === CreationStep.Scores) {
+            Creation.adjustScore(creation, ScoreOrder[creation.selection], -1);
+          }
+          break;
+        case Action.MoveRight:
+          keyDetected = true;
+          if (creation.step === CreationStep.Scores) {
+            Creation.adjustScore(creation, ScoreOrder[creation.selection], +1);
+          }
+          break;
+        case Action.Enter:
+          keyDetected = true;
+          handleCreationSelect(game);
+          break;
+        case Action.Escape:
+          keyDetected = true;
+          if (creation.step === CreationStep.Method) {
+            game.events.pushBack(Event.EnterMainMenu);
+          } else {
+            creation.step -= 1;
+            creation.selection = 0;
+          }
+          break;
+        case Action.Backspace:
+          keyDetected = true;
+          if (creation.step === CreationStep.Name) {
+            Creation.eraseName(creation);
+          }
+          break;
+        default:
+          if (creation.step === CreationStep.Name) {
+            keyDetected = Creation.typeName(creation, e.key);
+          }
+      }
+
+      if (keyDetected) {
+        e.preventDefault();
+        document.removeEventListener('keydown', onKeyHandler);
+        resolve();
+      }
+    }
+  });
+}
+
+/**
+ * Move the player, or carry out the command waiting for a direction.
+ * @param {Game} game - Game data.
+ * @param {Direction} dir - Direction pressed.
+ */
+function handleDirection(game, dir) {
+  if (game.cursor !== null) {
+    Ranged.moveCursor(game, dir);
+    return;
+  }
+
+  const pending = game.pending;
+  game.pending = null;
+
+  switch (pending) {
+    case Action.Close:
+      Interact.closeDoor(game, dir);
+      break;
+
+    default:
+      moveEntity(game.player.id, dir, game);
+      break;
+  }
+}
+
 /**
  * Event Listener for controlling player input.
  * @param {Game} game - Game data.
@@ -231,19 +685,44 @@ function playerInput(game) {
       switch (e.key) {
         case Action.MoveUp:
           keyDetected = true;
-          moveEntity(game.player.id, Direction.Up, game);
+          handleDirection(game, Direction.Up);
           break;
         case Action.MoveDown:
           keyDetected = true;
-          moveEntity(game.player.id, Direction.Down, game);
+          handleDirection(game, Direction.Down);
           break;
         case Action.MoveLeft:
           keyDetected = true;
-          moveEntity(game.player.id, Direction.Left, game);
+          handleDirection(game, Direction.Left);
           break;
         case Action.MoveRight:
           keyDetected = true;
-          moveEntity(game.player.id, Direction.Right, game);
+          handleDirection(game, Direction.Right);
+          break;
+        case Action.Close:
+          keyDetected = true;
+          game.pending = Action.Close;
+          writeLog("Close a door in which direction?");
+          break;
+        case Action.Search:
+          keyDetected = true;
+          game.pending = null;
+          Interact.search(game);
+          break;
+        case Action.Fire:
+        case Action.Throw:
+          keyDetected = true;
+          if (game.cursor === null) Ranged.aim(game, e.key);
+          break;
+        case Action.Enter:
+          keyDetected = true;
+          if (game.cursor !== null) Ranged.release(game);
+          break;
+        case Action.Descend:
+        case Action.Ascend:
+          keyDetected = true;
+          game.pending = null;
+          if (game.cursor === null) Interact.takeStairs(game, e.key === Action.Descend);
           break;
         case Action.ZoomIn:
           keyDetected = true;
@@ -280,6 +759,20 @@ function playerInput(game) {
           game.debug = game.debug ? false : true;
           redraw(game);
           break;
+        case Action.Escape:
+          keyDetected = true;
+          if (game.cursor !== null) {
+            Ranged.cancel(game);
+            break;
+          }
+          if (game.pending !== null) {
+            game.pending = null;
+            writeLog("Never mind.");
+            break;
+          }
+          game.events.pushBack(Event.SaveGame);
+          game.events.pushBack(Event.EnterMainMenu);
+          break;
       }
 
       if (keyDetected) {
@@ -299,20 +792,27 @@ function handleEvents(game) {
     switch (game.events.popFront()) {
       case Event.PlayerMoved:
         // Time Tracking
-        game.player.moves = (game.player.moves + 1) % game.player.speed;
-        if (game.player.moves === 0) {
-          game.player.turn += 1;
-          game.world.time += 10;
-        }
+        Interact.spendTime(game, 1);
+        Interact.pickUp(game);
+        game.scheduler.run(game, moveEntity);
         // Chunks
         game.chunks.update(game.player.position, game.world, game.entities);
         game.renderer.updateCamera(game.player);
+        FOV.update(game);
+        redraw(game);
+        break;
+
+      case Event.PlayerActed:
+        game.scheduler.run(game, moveEntity);
+        FOV.update(game);
         redraw(game);
         break;
 
       case Event.EnterMainMenu:
         game.state = GameState.MainMenu;
         game.selection = 0;
+        game.creation = null;
+        buildMenu(game);
         break;
 
       case Event.ExitMainMenu:
@@ -322,10 +822,80 @@ function handleEvents(game) {
       case Event.EnterTutorial:
         initTutorial(game, 3);
         break;
+
+      case Event.EnterCreation:
+        game.state = GameState.Creation;
+        game.creation = new Creation(Math.floor(Math.random() * 0xFFFFFFFF));
+        break;
+
+      case Event.ExitCreation:
+        game.renderer.clearCanvas();
+        initNewGame(game);
+        break;
+
+      case Event.LoadGame:
+        loadGame(game);
+        break;
+
+      case Event.EnterSlots:
+        game.state = GameState.Slots;
+        game.selection = 0;
+        game.slotConfirm = null;
+        game.slotMessage = null;
+        break;
+
+      case Event.SaveGame:
+        if (game.saveEnabled) {
+          Save.write(game);
+        }
+        break;
+
+      case Event.PlayerDied:
+        endRun(game);
+        break;
     }
   }
 }
 
+/**
+ * Open the browser storage. IndexedDB is preferred and takes over any game
+ * data left in local storage. Local storage is the fallback.
+ * @returns {Promise<StorageCache>}
+ */
+async function openStorage() {
+  let storage;
+  try {
+    storage = await StorageCache.open(await IndexedDBStorage.open());
+  } catch (error) {
+    console.error("Error:", error);
+    return StorageCache.open(new LocalStorage());
+  }
+
+  // Anything not moved is retried on the next startup.
+  try {
+    await storage.adopt(new LocalStorage(), Save.ownsKey);
+  } catch (error) {
+    console.error("Error:", error);
+  }
+
+  return storage;
+}
+
+/**
+ * Tell the player when the game could not be written to storage.
+ * @param {Error} error - Error raised by the storage backend.
+ */
+function handleStorageError(error) {
+  console.error("Error:", error);
+
+  writeAction(
+    document.getElementById('game-text'),
+    StorageCache.isQuotaExceeded(error)
+      ? "Storage is full. Progress may be lost when the page closes. Export or erase old saves to make room."
+      : "The game could not be saved."
+  );
+}
+
 /**
  * Core Game Loop using Finite State Machine logic.
  */
@@ -340,7 +910,19 @@ async function runGame() {
     state: GameState.MainMenu,
     menu: [],
     selection: 0,
-    player: window.localStorage.getItem("save"),
+    slotAction: SlotAction.Load,
+    slotConfirm: null,
+    slotMessage: null,
+    slot: null,
+    creation: null,
+    saveEnabled: false,
+    playTime: 0,
+    playClock: 0,
+    player: null,
+    pending: null,
+    cursor: null,
+    rng: mulberry32(Date.now()),
+    scheduler: null,
     events: new RingBuffer(),
     world: null,
     chunks: null,
@@ -348,14 +930,24 @@ async function runGame() {
     renderer: new RenderEngine(document.getElementById("game-canvas")),
   }
 
-  if (Game.player !== null) {
-    Game.menu.push(MainMenuOption.Continue);
-  }
-  Game.menu.push(MainMenuOption.NewGame);
-  Game.menu.push(MainMenuOption.Tutorial);
+  Save.storage = await openStorage();
+  Save.storage.onError = handleStorageError;
+  Save.migrateLegacy();
 
   Game.events.pushBack(Event.EnterMainMenu);
 
+  // Save when the page is hidden or closed mid-game. Storage writes finish
+  // in the background, so this must not wait until the page unloads.
+  document.addEventListener('visibilitychange', () => {
+    if (
+         document.visibilityState === 'hidden'
+      && Game.state === GameState.Running
+      && Game.saveEnabled
+    ) {
+      Save.write(Game);
+    }
+  });
+
   while (true) {
 
     handleEvents(Game);
@@ -367,6 +959,23 @@ async function runGame() {
         Game.renderer.clearCanvas();
         break;
 
+      case GameState.Slots:
+        Game.renderer.drawSlots(
+          Game.selection,
+          Save.listMeta(),
+          Game.slotAction,
+          Game.slotConfirm,
+          Game.slotMessage,
+          Classes
+        );
+        await slotInput(Game);
+        break;
+
+      case GameState.Creation:
+        Game.renderer.drawCreation(Game.creation, Ancestries, Classes);
+        await creationInput(Game);
+        break;
+
       case GameState.Running:
         await playerInput(Game);
         break;
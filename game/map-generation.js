@@ -25,6 +25,21 @@ import { Tile } from "./tile.js";
 // key: "PC"
 // val: "[DATA(SEED+DEPTH)]"
 
+/**
+ * A rectangle of the map, used both for the areas a dungeon level is split
+ * into and the rooms dug in them.
+ * @typedef {import("./archetype/room.js").RoomBounds} RoomBounds
+ */
+
+/**
+ * A node of the binary space partition of a dungeon level.
+ * @typedef {Object} AreaNode
+ * @property {RoomBounds} area - Area covered.
+ * @property {AreaNode | null} left - First half, or null for a leaf.
+ * @property {AreaNode | null} right - Second half, or null for a leaf.
+ * @property {RoomBounds | null} room - Room dug in a leaf.
+ */
+
 /** Class holding the underlying world template. */ 
 export class World {
   /**
@@ -37,13 +52,40 @@ export class World {
   constructor(seed, depth=0, time=0) {
     this.seed = seed;
     this.depth = depth; // Zero is surface, positive numbers are lower levels.
-    this.time = 0; // 
+    this.time = time;
     this.defaultTile = Tile.Floor;
     this.tiles = {};
+    this.links = {}; // Lever position string to the portcullis it works.
+    this.rooms = {}; // Room node position string to the room it marks.
+    this.stairsUp = null; // Where the player arrives from above.
+    this.stairsDown = null; // Where the player arrives from below.
+
+    /**
+     * Rooms lit from generation, as rectangles.
+     * @type {Array.<{x: number, y: number, width: number, height: number}>}
+     */
+    this.lights = [];
+
+    /**
+     * Zones of magical darkness no light reaches, on every level of the
+     * world, as levels are generated without them. Zones with a turn in
+     * `until` fade once the player's turn reaches it.
+     * @type {Array.<{x: number, y: number, depth: number, radius: number, until: number | null}>}
+     */
+    this.darkness = [];
     this.width = 0;
     this.height = 0;
   }
 
+  /**
+   * Deserialize from JSON.
+   * @param {object} json - JSON object.
+   * @returns {World}
+   */
+  static from(json) {
+    return Object.assign(new World(json.seed), json);
+  }
+
   /** A storage variable for holding tiles temporarily. */
   static tileStore = 0;
 
@@ -99,6 +141,92 @@ export class World {
     delete this.tiles[World.coordToString(x_w, y_w)];
   }
 
+  /**
+   * Clear an entity tile once its entity is generated, leaving the floor
+   * the entity stands on.
+   * @param {number} x_w - x-coordinate in world coordinates.
+   * @param {number} y_w - y-coordinate in world coordinates.
+   */
+  clear(x_w, y_w) {
+    if (this.defaultTile === Tile.Floor) {
+      this.delete(x_w, y_w);
+    } else {
+      this.insert(Tile.Floor, x_w, y_w);
+    }
+  }
+
+  /**
+   * Place a lowered portcullis and a lever wired to it. The lever must be
+   * within `Lever.maxReach` tiles of the portcullis.
+   * @param {import("./types").Position} portcullis - Portcullis coordinate.
+   * @param {import("./types").Position} lever - Lever coordinate.
+   */
+  placeLever(portcullis, lever) {
+    this.insert(Tile.PortcullisDown, portcullis.x, portcullis.y);
+    this.insert(Tile.LeverUp, lever.x, lever.y);
+    this.links[World.coordToString(lever.x, lever.y)] = {x: portcullis.x, y: portcullis.y};
+  }
+
+  /**
+   * Light a rectangle, e.g., a room lit by braziers.
+   * @param {import("./types").Position} pos - Coordinate of top-left corner.
+   * @param {number} width - Width.
+   * @param {number} height - Height.
+   */
+  addLight(pos, width, height) {
+    this.lights.push({x: pos.x, y: pos.y, width: width, height: height});
+  }
+
+  /**
+   * Fill a circle of the level with magical darkness.
+   * @param {import("./types").Position} pos - Coordinate of the centre.
+   * @param {number} radius - Radius in tiles.
+   * @param {number | null} until - Player turn the darkness fades, or null if it never does.
+   */
+  addDarkness(pos, radius, until=null) {
+    this.darkness.push({x: pos.x, y: pos.y, depth: this.depth, radius: radius, until: until});
+  }
+
+  /**
+   * Returns true if a location is lit without a light source. The surface
+   * is always lit.
+   * @param {number} x_w - x-coordinate in world coordinates.
+   * @param {number} y_w - y-coordinate in world coordinates.
+   * @returns {boolean}
+   */
+  isLit(x_w, y_w) {
+    if (this.depth === 0) return true;
+
+    for (let i = 0; i < this.lights.length; ++i) {
+      const light = this.lights[i];
+      if (
+           x_w >= light.x && x_w < light.x + light.width
+        && y_w >= light.y && y_w < light.y + light.height
+      ) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Returns true if a location of the level lies in magical darkness.
+   * @param {number} x_w - x-coordinate in world coordinates.
+   * @param {number} y_w - y-coordinate in world coordinates.
+   * @returns {boolean}
+   */
+  isDark(x_w, y_w) {
+    for (let i = 0; i < this.darkness.length; ++i) {
+      const zone = this.darkness[i];
+      if (zone.depth !== this.depth) continue;
+
+      const dx = x_w - zone.x;
+      const dy = y_w - zone.y;
+      if (dx * dx + dy * dy <= zone.radius * zone.radius) return true;
+    }
+    return false;
+  }
+
   /**
    * Draw a rectangle of tiles.
    * @param {Tile} tile - Tile to draw.
@@ -223,9 +351,561 @@ export class World {
       this.drawShop(rng, shops[i], shopPositions[i]);
     }
 
+    // Stairs down into the dungeon, south of the shops.
+    this.stairsDown = {x: spawn.x, y: this.height - 4};
+    this.insert(Tile.StairsDown, this.stairsDown.x, this.stairsDown.y);
+
     return spawn;
   }
 
+  /**
+   * Generate the level at the world's depth: the town on the surface and
+   * dungeon levels below it.
+   * @returns {import("./types").Position} spawn - Character spawn location.
+   */
+  generate() {
+    if (this.depth === 0) return this.generateTown();
+    if (World.isCave(this.seed, this.depth)) return this.generateCave();
+    return this.generateDungeon();
+  }
+
+  /** Deepest dungeon level. */
+  static maxDepth = 10;
+
+  /** Width and height of a dungeon level in chunks. */
+  static dungeonChunks = 8;
+
+  /** Areas are split in two until either half would be narrower than this. */
+  static minArea = 14;
+
+  /** Smallest width or height of a room. */
+  static minRoom = 4;
+
+  /** Largest width or height of a room. */
+  static maxRoom = 12;
+
+  /** X-in-6 chance of a doorway getting a door. */
+  static doorChance = 4;
+
+  /** Percent chance of a doorway getting a portcullis worked by a lever. */
+  static leverChance = 5;
+
+  /** Monsters met below the town. */
+  static monsters = [Tile.Goblin, Tile.Skeleton];
+
+  /** X-in-6 chance of a room other than the arrival room holding monsters. */
+  static monsterChance = 2;
+
+  /** Monsters in a room at most. */
+  static maxGroup = 3;
+
+  /** Monsters wandering a cave level. */
+  static caveMonsters = 12;
+
+  /** Cells walked from the stairs up within which no cave monster starts. */
+  static safeDistance = 10;
+
+  /** Percent chance of a dungeon level below the first being a cave. */
+  static caveChance = 30;
+
+  /** Percent chance of a cell starting as rock before the caves settle. */
+  static caveFill = 53;
+
+  /** Rounds of smoothing the caves. */
+  static caveSteps = 5;
+
+  /** Caves smaller than this many cells are filled in rather than joined. */
+  static minCave = 16;
+
+  /** Ore veins running through the rock of a cave level. */
+  static veinCount = 60;
+
+  /** Cells in a vein at most. */
+  static veinLength = 10;
+
+  /** Ores of veins, indexed as in `World.veinChance`. */
+  static veins = [Tile.Rubble, Tile.Quartz, Tile.Copper, Tile.Silver, Tile.Gold];
+
+  /** Percent chance of each ore in a vein at each depth. */
+  static veinChance = [
+    [ 0,  0,  0,  0,  0], // Depth 0
+    [45, 30, 20,  5,  0], // Depth 1
+    [40, 30, 20,  9,  1], // Depth 2
+    [35, 30, 22, 11,  2], // Depth 3
+    [30, 30, 23, 14,  3], // Depth 4
+    [30, 25, 24, 16,  5], // Depth 5
+    [25, 25, 25, 18,  7], // Depth 6
+    [25, 20, 25, 21,  9], // Depth 7
+    [20, 20, 25, 23, 12], // Depth 8
+    [20, 15, 25, 25, 15], // Depth 9
+    [15, 15, 25, 27, 18], // Depth 10
+  ];
+
+  /**
+   * Returns the seed a dungeon level is generated from, so every level of a
+   * world differs but is the same each time it is generated.
+   * @param {number} seed - Seed of the world.
+   * @param {number} depth - Depth of the level.
+   * @returns {number}
+   */
+  static levelSeed(seed, depth) {
+    return Math.imul(seed ^ 0x9E3779B9, depth + 1) >>> 0;
+  }
+
+  /**
+   * Returns true if a dungeon level is a cave rather than rooms. The first
+   * level is always rooms.
+   * @param {number} seed - Seed of the world.
+   * @param {number} depth - Depth of the level.
+   * @returns {boolean}
+   */
+  static isCave(seed, depth) {
+    const rng = mulberry32(World.levelSeed(seed, depth) ^ 0xCA7E);
+    return depth > 1 && FRNG.randInt(rng, 0, 100) < World.caveChance;
+  }
+
+  /**
+   * Split an area across its longer side, and each half again, until the
+   * halves would be too small. The leaves of the tree each hold a room.
+   * @param {function(): number} rng - Random number generator (0,1).
+   * @param {RoomBounds} area - Area split.
+   * @returns {AreaNode}
+   */
+  static splitArea(rng, area) {
+    const node = {area: area, left: null, right: null, room: null};
+    const vertical = (area.width === area.height) ? rng() < 0.5 : area.width > area.height;
+    const length = vertical ? area.width : area.height;
+
+    if (length < 2 * World.minArea) return node;
+
+    const cut = FRNG.randInt(rng, World.minArea, length - World.minArea + 1);
+    if (vertical) {
+      node.left = World.splitArea(rng, {x: area.x, y: area.y, width: cut, height: area.height});
+      node.right = World.splitArea(rng, {x: area.x + cut, y: area.y, width: area.width - cut, height: area.height});
+    } else {
+      node.left = World.splitArea(rng, {x: area.x, y: area.y, width: area.width, height: cut});
+      node.right = World.splitArea(rng, {x: area.x, y: area.y + cut, width: area.width, height: area.height - cut});
+    }
+    return node;
+  }
+
+  /**
+   * Returns the rooms in the leaves under a node.
+   * @param {AreaNode} node - Node of the partition.
+   * @param {Array.<RoomBounds>} rooms - Rooms found so far.
+   * @returns {Array.<RoomBounds>}
+   */
+  static roomsOf(node, rooms=[]) {
+    if (node.room !== null) rooms.push(node.room);
+    if (node.left !== null) {
+      World.roomsOf(node.left, rooms);
+      World.roomsOf(node.right, rooms);
+    }
+    return rooms;
+  }
+
+  /**
+   * Returns the cell at the centre of a room.
+   * @param {RoomBounds} room - A room.
+   * @returns {import("./types").Position}
+   */
+  static roomCentre(room) {
+    return {x: room.x + Math.floor(room.width / 2), y: room.y + Math.floor(room.height / 2)};
+  }
+
+  /**
+   * Returns a random cell of a room's floor other than its centre.
+   * @param {function(): number} rng - Random number generator (0,1).
+   * @param {RoomBounds} room - A room.
+   * @returns {import("./types").Position}
+   */
+  static roomPoint(rng, room) {
+    const centre = World.roomCentre(room);
+
+    let point;
+    do {
+      point = {
+        x: FRNG.randInt(rng, room.x, room.x + room.width),
+        y: FRNG.randInt(rng, room.y, room.y + room.height),
+      };
+    } while (point.x === centre.x && point.y === centre.y);
+
+    return point;
+  }
+
+  /**
+   * Dig a room inside each leaf of a partition, leaving walls around it.
+   * @param {function(): number} rng - Random number generator (0,1).
+   * @param {AreaNode} node - Node of the partition.
+   */
+  digRooms(rng, node) {
+    if (node.left !== null) {
+      this.digRooms(rng, node.left);
+      this.digRooms(rng, node.right);
+      return;
+    }
+
+    const area = node.area;
+    const width = FRNG.randInt(rng, World.minRoom, Math.min(World.maxRoom, area.width - 2) + 1);
+    const height = FRNG.randInt(rng, World.minRoom, Math.min(World.maxRoom, area.height - 2) + 1);
+
+    node.room = {
+      x: area.x + FRNG.randInt(rng, 1, area.width - width),
+      y: area.y + FRNG.randInt(rng, 1, area.height - height),
+      width: width,
+      height: height,
+    };
+    this.drawRectangle(Tile.Floor, node.room, width, height, true);
+  }
+
+  /**
+   * Dig a straight line of floor through the walls between two cells.
+   * @param {import("./types").Position} from - First cell.
+   * @param {import("./types").Position} to - Last cell, in line with the first.
+   */
+  digLine(from, to) {
+    const dx = Math.sign(to.x - from.x);
+    const dy = Math.sign(to.y - from.y);
+
+    for (let x = from.x, y = from.y; ; x += dx, y += dy) {
+      if (this.lookup(x, y) === Tile.Wall) this.insert(Tile.Floor, x, y);
+      if (x === to.x && y === to.y) break;
+    }
+  }
+
+  /**
+   * Join the two halves of every split with a corridor between their
+   * closest rooms, so every room is reached.
+   * @param {function(): number} rng - Random number generator (0,1).
+   * @param {AreaNode} node - Node of the partition.
+   */
+  digCorridors(rng, node) {
+    if (node.left === null) return;
+
+    this.digCorridors(rng, node.left);
+    this.digCorridors(rng, node.right);
+
+    const left = World.roomsOf(node.left);
+    const right = World.roomsOf(node.right);
+    const distance = (a, b) => {
+      const p = World.roomCentre(a);
+      const q = World.roomCentre(b);
+      return Math.abs(p.x - q.x) + Math.abs(p.y - q.y);
+    };
+
+    let best = [left[0], right[0]];
+    for (let i = 0; i < left.length; ++i) {
+      for (let j = 0; j < right.length; ++j) {
+        if (distance(left[i], right[j]) < distance(best[0], best[1])) best = [left[i], right[j]];
+      }
+    }
+
+    // Bend once, turning either way.
+    const from = World.roomPoint(rng, best[0]);
+    const to = World.roomPoint(rng, best[1]);
+    const corner = (rng() < 0.5) ? {x: to.x, y: from.y} : {x: from.x, y: to.y};
+    this.digLine(from, corner);
+    this.digLine(corner, to);
+  }
+
+  /**
+   * Put doors in the doorways a room's walls were dug through. Some get a
+   * portcullis with its lever set in the corridor wall outside.
+   * @param {function(): number} rng - Random number generator (0,1).
+   * @param {RoomBounds} room - A room.
+   */
+  placeDoors(rng, room) {
+    // Each wall: first cell, direction along it, and outward direction.
+    const walls = [
+      {x: room.x, y: room.y - 1,           along: {x: 1, y: 0}, out: {x:  0, y: -1}, length: room.width},
+      {x: room.x, y: room.y + room.height, along: {x: 1, y: 0}, out: {x:  0, y:  1}, length: room.width},
+      {x: room.x - 1,          y: room.y,  along: {x: 0, y: 1}, out: {x: -1, y:  0}, length: room.height},
+      {x: room.x + room.width, y: room.y,  along: {x: 0, y: 1}, out: {x:  1, y:  0}, length: room.height},
+    ];
+
+    for (let i = 0; i < walls.length; ++i) {
+      const wall = walls[i];
+
+      for (let j = 0; j < wall.length; ++j) {
+        const x = wall.x + j * wall.along.x;
+        const y = wall.y + j * wall.along.y;
+
+        // A doorway has wall on both sides, a corridor along the wall has not.
+        if (
+             this.lookup(x, y) !== Tile.Floor
+          || this.lookup(x - wall.along.x, y - wall.along.y) !== Tile.Wall
+          || this.lookup(x + wall.along.x, y + wall.along.y) !== Tile.Wall
+        ) {
+          continue;
+        }
+
+        if (FRNG.randInt(rng, 0, 100) < World.leverChance) {
+          const outside = {x: x + wall.out.x, y: y + wall.out.y};
+          const niches = [
+            {x: outside.x - wall.along.x, y: outside.y - wall.along.y},
+            {x: outside.x + wall.along.x, y: outside.y + wall.along.y},
+          ].filter((niche) => this.lookup(niche.x, niche.y) === Tile.Wall);
+
+          if (niches.length > 0) {
+            this.placeLever({x: x, y: y}, niches[FRNG.randInt(rng, 0, niches.length)]);
+            continue;
+          }
+        }
+
+        if (FRNG.randInt(rng, 0, 6) < World.doorChance) {
+          this.insert(Tile.ClosedDoor, x, y);
+        }
+      }
+    }
+  }
+
+  /**
+   * Dungeon level generation algorithm. Rooms are dug in the leaves of a
+   * binary space partition and joined by corridors up the tree, then given
+   * doors, stairs and lights. Deeper levels are darker. The same seed and
+   * depth always give the same level, so it is only generated once per
+   * visit and every change is kept in chunk diffs.
+   * @returns {import("./types").Position} spawn - Character spawn location.
+   */
+  generateDungeon() {
+    this.defaultTile = Tile.Wall;
+    this.width = World.dungeonChunks * Chunk.size;
+    this.height = World.dungeonChunks * Chunk.size;
+
+    const rng = mulberry32(World.levelSeed(this.seed, this.depth));
+
+    // Bedrock surrounds the level.
+    this.drawRectangle(Tile.Bedrock, {x: 0, y: 0}, this.width, this.height);
+
+    const root = World.splitArea(rng, {x: 1, y: 1, width: this.width - 2, height: this.height - 2});
+    this.digRooms(rng, root);
+    this.digCorridors(rng, root);
+
+    const rooms = World.roomsOf(root);
+    for (let i = 0; i < rooms.length; ++i) {
+      this.placeDoors(rng, rooms[i]);
+    }
+
+    // Stairs up in a random room, and down in the room furthest from it.
+    const up = rooms[FRNG.randInt(rng, 0, rooms.length)];
+    const upCentre = World.roomCentre(up);
+    let down = up;
+    let furthest = 0;
+    for (let i = 0; i < rooms.length; ++i) {
+      const centre = World.roomCentre(rooms[i]);
+      const distance = Math.abs(centre.x - upCentre.x) + Math.abs(centre.y - upCentre.y);
+      if (distance > furthest) {
+        down = rooms[i];
+        furthest = distance;
+      }
+    }
+
+    this.stairsUp = World.roomPoint(rng, up);
+    this.insert(Tile.StairsUp, this.stairsUp.x, this.stairsUp.y);
+
+    if (this.depth < World.maxDepth) {
+      this.stairsDown = World.roomPoint(rng, down);
+      this.insert(Tile.StairsDown, this.stairsDown.x, this.stairsDown.y);
+    }
+
+    // Mark each room, lighting fewer of them deeper down.
+    for (let i = 0; i < rooms.length; ++i) {
+      const room = rooms[i];
+      const centre = World.roomCentre(room);
+      const lit = FRNG.randInt(rng, 0, World.maxDepth + 2) >= this.depth;
+
+      this.insert(Tile.RoomNode, centre.x, centre.y);
+      this.rooms[World.coordToString(centre.x, centre.y)] = {bounds: room, lit: lit};
+
+      if (lit) {
+        this.addLight({x: room.x - 1, y: room.y - 1}, room.width + 2, room.height + 2);
+      }
+    }
+
+    // Monsters lie in wait in some rooms, never the one arrived in.
+    for (let i = 0; i < rooms.length; ++i) {
+      if (rooms[i] === up || FRNG.randInt(rng, 0, 6) >= World.monsterChance) continue;
+
+      const count = FRNG.randInt(rng, 1, World.maxGroup + 1);
+      for (let j = 0; j < count; ++j) {
+        const point = World.roomPoint(rng, rooms[i]);
+        const monster = World.monsters[FRNG.randInt(rng, 0, World.monsters.length)];
+        if (this.lookup(point.x, point.y) === Tile.Floor) this.insert(monster, point.x, point.y);
+      }
+    }
+
+    return this.stairsUp;
+  }
+
+  /**
+   * Returns the caves of a rock grid as lists of cell indices, largest
+   * first, found by flood fill.
+   * @param {Uint8Array} rock - 1 where a cell is rock, indexed by y * width + x.
+   * @param {number} width - Width of the grid.
+   * @returns {Array.<Array.<number>>}
+   */
+  static findCaves(rock, width) {
+    const caves = [];
+    const seen = new Uint8Array(rock.length);
+
+    for (let start = 0; start < rock.length; ++start) {
+      if (rock[start] || seen[start]) continue;
+
+      const cave = [start];
+      seen[start] = 1;
+      for (let i = 0; i < cave.length; ++i) {
+        const idx = cave[i];
+        const next = [idx - width, idx + width, idx - 1, idx + 1];
+        for (let j = 0; j < next.length; ++j) {
+          if (rock[next[j]] || seen[next[j]]) continue;
+          seen[next[j]] = 1;
+          cave.push(next[j]);
+        }
+      }
+      caves.push(cave);
+    }
+
+    return caves.sort((a, b) => b.length - a.length);
+  }
+
+  /**
+   * Cave level generation algorithm. Random rock is smoothed into caves by
+   * cellular automata, small caves are filled in and the rest are tunnelled
+   * into the largest, so flood fill finds a single cave. Veins of ore, richer
+   * deeper down, run through the rock, and the stairs down are placed as far
+   * as can be walked from the stairs up. The same seed and depth always give
+   * the same level.
+   * @returns {import("./types").Position} spawn - Character spawn location.
+   */
+  generateCave() {
+    this.defaultTile = Tile.Granite;
+    this.width = World.dungeonChunks * Chunk.size;
+    this.height = World.dungeonChunks * Chunk.size;
+
+    const width = this.width;
+    const height = this.height;
+    const rng = mulberry32(World.levelSeed(this.seed, this.depth));
+    const border = (x, y) => x <= 0 || y <= 0 || x >= width - 1 || y >= height - 1;
+
+    let rock = new Uint8Array(width * height);
+    for (let y = 0; y < height; ++y) {
+      for (let x = 0; x < width; ++x) {
+        rock[y * width + x] = (border(x, y) || FRNG.randInt(rng, 0, 100) < World.caveFill) ? 1 : 0;
+      }
+    }
+
+    // A cell becomes rock when most of the cells around it are.
+    for (let step = 0; step < World.caveSteps; ++step) {
+      const next = new Uint8Array(rock.length);
+      for (let y = 0; y < height; ++y) {
+        for (let x = 0; x < width; ++x) {
+          if (border(x, y)) {
+            next[y * width + x] = 1;
+            continue;
+          }
+
+          let count = 0;
+          for (let dy = -1; dy <= 1; ++dy) {
+            for (let dx = -1; dx <= 1; ++dx) {
+              count += rock[(y + dy) * width + x + dx];
+            }
+          }
+          next[y * width + x] = (count >= 5) ? 1 : 0;
+        }
+      }
+      rock = next;
+    }
+
+    // Tunnel from each cave to the nearest cell of the largest.
+    const caves = World.findCaves(rock, width);
+    const main = caves[0];
+    for (let i = 1; i < caves.length; ++i) {
+      if (caves[i].length < World.minCave) {
+        caves[i].forEach((idx) => rock[idx] = 1);
+        continue;
+      }
+
+      const from = caves[i][FRNG.randInt(rng, 0, caves[i].length)];
+      const fx = from % width;
+      const fy = Math.floor(from / width);
+
+      let to = main[0];
+      let nearest = Infinity;
+      for (let j = 0; j < main.length; ++j) {
+        const distance = Math.abs(main[j] % width - fx) + Math.abs(Math.floor(main[j] / width) - fy);
+        if (distance < nearest) {
+          to = main[j];
+          nearest = distance;
+        }
+      }
+
+      const tx = to % width;
+      const ty = Math.floor(to / width);
+      for (let x = fx; x !== tx; x += Math.sign(tx - fx)) rock[fy * width + x] = 0;
+      for (let y = fy; y !== ty; y += Math.sign(ty - fy)) rock[y * width + tx] = 0;
+    }
+
+    const floor = World.findCaves(rock, width)[0];
+
+    // Copy the caves into the world, rock being the default.
+    for (let i = 0; i < floor.length; ++i) {
+      this.insert(Tile.Floor, floor[i] % width, Math.floor(floor[i] / width));
+    }
+    this.drawRectangle(Tile.Bedrock, {x: 0, y: 0}, width, height);
+
+    // Veins wander through the rock, never into the caves.
+    for (let i = 0; i < World.veinCount; ++i) {
+      const ore = World.veins[FRNG.randPdf(rng, World.veinChance[Math.min(this.depth, World.maxDepth)])];
+      const length = FRNG.randInt(rng, 1, World.veinLength + 1);
+      let x = FRNG.randInt(rng, 1, width - 1);
+      let y = FRNG.randInt(rng, 1, height - 1);
+
+      for (let j = 0; j < length; ++j) {
+        if (this.lookup(x, y) === Tile.Granite) this.insert(ore, x, y);
+
+        const dirs = [[1, 0], [-1, 0], [0, 1], [0, -1]];
+        const dir = dirs[FRNG.randInt(rng, 0, dirs.length)];
+        x = Math.min(Math.max(x + dir[0], 1), width - 2);
+        y = Math.min(Math.max(y + dir[1], 1), height - 2);
+      }
+    }
+
+    // Stairs down at the cell furthest along the cave from the stairs up.
+    const up = floor[FRNG.randInt(rng, 0, floor.length)];
+    const distance = new Int32Array(rock.length).fill(-1);
+    const queue = [up];
+    distance[up] = 0;
+    for (let i = 0; i < queue.length; ++i) {
+      const next = [queue[i] - width, queue[i] + width, queue[i] - 1, queue[i] + 1];
+      for (let j = 0; j < next.length; ++j) {
+        if (rock[next[j]] || distance[next[j]] >= 0) continue;
+        distance[next[j]] = distance[queue[i]] + 1;
+        queue.push(next[j]);
+      }
+    }
+    const down = queue[queue.length - 1];
+
+    this.stairsUp = {x: up % width, y: Math.floor(up / width)};
+    this.insert(Tile.StairsUp, this.stairsUp.x, this.stairsUp.y);
+
+    if (this.depth < World.maxDepth) {
+      this.stairsDown = {x: down % width, y: Math.floor(down / width)};
+      this.insert(Tile.StairsDown, this.stairsDown.x, this.stairsDown.y);
+    }
+
+    // Monsters wander the cave away from the stairs up.
+    const far = queue.filter((idx) => distance[idx] > World.safeDistance);
+    for (let i = 0; i < World.caveMonsters && far.length > 0; ++i) {
+      const idx = far[FRNG.randInt(rng, 0, far.length)];
+      const monster = World.monsters[FRNG.randInt(rng, 0, World.monsters.length)];
+      if (this.lookup(idx % width, Math.floor(idx / width)) === Tile.Floor) {
+        this.insert(monster, idx % width, Math.floor(idx / width));
+      }
+    }
+
+    return this.stairsUp;
+  }
+
   /**
    * Test Map generation algorithm.
    * @returns {import("./types").Position} spawn - Character spawn location.
@@ -274,6 +954,18 @@ export class World {
 
     this.drawRectangle(Tile.ClosedDoor, {x: this.width / 4, y: this.height / 4}, this.width / 4, this.height / 4);
 
+    // Everything is lit but the room inside the doors.
+    this.addLight({x: 0, y: 0}, this.width, this.height / 4 + 1);
+    this.addLight({x: 0, y: this.height / 2 - 1}, this.width, this.height / 2 + 1);
+    this.addLight({x: 0, y: this.height / 4 + 1}, this.width / 4 + 1, this.height / 4 - 2);
+    this.addLight({x: this.width / 2 - 1, y: this.height / 4 + 1}, this.width / 2 + 1, this.height / 4 - 2);
+
+    // Portcullis in the door rectangle with its lever outside.
+    this.placeLever(
+      {x: this.width / 4 + this.width / 8, y: this.height / 4},
+      {x: this.width / 4 + this.width / 8 + 2, y: this.height / 4 - 1}
+    );
+
     return spawn;
   }
 }
@@ -0,0 +1,133 @@
+/**
+ * @fileoverview Copyright (c) 2023 Jaedin Davasligil
+ *
+ * Rogue-JS is a pure javascript browser dungeon crawler.
+ * @package
+ */
+
+"use strict";
+
+import { HIRO } from "../lib/hiro.js";
+import { Player } from "./archetype/player.js";
+import { Interact } from "./interact.js";
+import { writeLog } from "./render/text.js";
+import { Tile } from "./tile.js";
+import { Event } from "./types.js";
+
+/**
+ * Coins found digging out a vein of ore.
+ * @typedef {Object} OreYield
+ * @property {string} coin - Key of `Player.coins`.
+ * @property {number} n - Number of dice.
+ * @property {number} m - Faces on each die.
+ * @property {number} times - Multiplier of the roll.
+ */
+
+/** Class of functions digging through rock and clearing rubble. */
+export class Mining {
+  /** A pick cuts through solid rock. Every new character carries one. */
+  static pick = {name: "Pick", weight: 100, damage: "1d6", dig: "pick"};
+
+  /**
+   * Moves spent digging out each rock with each tool, or null if it cannot.
+   * Bare hands only manage rubble.
+   * @type {Object.<Tile, {pick: number | null, hands: number | null}>}
+   */
+  static digMoves = {
+    [Tile.Rubble]:  {pick: 12,  hands: 24},
+    [Tile.Granite]: {pick: 96,  hands: null},
+    [Tile.Quartz]:  {pick: 144, hands: null},
+    [Tile.Copper]:  {pick: 72,  hands: null},
+    [Tile.Silver]:  {pick: 96,  hands: null},
+    [Tile.Gold]:    {pick: 72,  hands: null},
+  };
+
+  /**
+   * Coins yielded by veins of ore.
+   * @type {Object.<Tile, OreYield>}
+   */
+  static yields = {
+    [Tile.Copper]: {coin: "copper", n: 4, m: 6, times: 10},
+    [Tile.Silver]: {coin: "silver", n: 3, m: 6, times: 5},
+    [Tile.Gold]:   {coin: "gold",   n: 2, m: 6, times: 1},
+  };
+
+  /** Names of rocks in the log. */
+  static names = {
+    [Tile.Rubble]:  "rubble",
+    [Tile.Granite]: "granite",
+    [Tile.Quartz]:  "quartz",
+    [Tile.Copper]:  "copper vein",
+    [Tile.Silver]:  "silver vein",
+    [Tile.Gold]:    "gold vein",
+  };
+
+  /**
+   * Returns the digging tools the player holds or carries, by kind.
+   * @param {Player} player - Player data.
+   * @returns {Set.<string>}
+   */
+  static tools(player) {
+    const items = [player.equipment.mainHand, player.equipment.offHand, ...player.inventory];
+    return new Set(items.filter((item) => item?.dig !== undefined).map((item) => item.dig));
+  }
+
+  /**
+   * Returns the moves the player spends digging out a rock with the best
+   * tool to hand, or null if they cannot. Strength shortens the work by a
+   * tenth per point of modifier.
+   * @param {Player} player - Player data.
+   * @param {Tile} tile - Rock dug.
+   * @returns {number | null}
+   */
+  static moves(player, tile) {
+    const table = Mining.digMoves[tile];
+    if (table === undefined) return null;
+
+    const tools = Mining.tools(player);
+    const options = [table.hands];
+    if (tools.has("pick")) options.push(table.pick);
+
+    const usable = options.filter((moves) => moves !== null);
+    if (usable.length === 0) return null;
+
+    const strength = 1 - Player.getMod(player.scores.str) / 10;
+    return Math.ceil(Math.min(...usable) * strength);
+  }
+
+  /**
+   * Dig out the rock at a position, leaving floor. Veins of ore yield coins.
+   * The tile changed is kept in the chunk diff.
+   * @param {import("./main.js").Game} game - Game data.
+   * @param {import("./types.js").Position} position - World coordinate of the rock.
+   */
+  static dig(game, position) {
+    const player = game.player;
+    const tile = game.chunks.getTile(position);
+    const moves = Mining.moves(player, tile);
+
+    if (moves === null) {
+      writeLog(`You need a pick to dig through the ${Mining.names[tile]}.`);
+      return;
+    }
+
+    game.chunks.setTile(position, Tile.Floor);
+    game.chunks.refreshCell(position, game.entities);
+
+    if (tile === Tile.Rubble) {
+      writeLog("You clear away the rubble.");
+    } else {
+      writeLog(`You dig through the ${Mining.names[tile]}.`);
+    }
+
+    const ore = Mining.yields[tile];
+    if (ore !== undefined) {
+      const coins = HIRO.rollSum(game.rng, ore.n, ore.m) * ore.times;
+      player.coins[ore.coin] += coins;
+      writeLog(`You find ${coins} ${ore.coin} pieces.`);
+    }
+
+    Interact.spendTime(game, moves);
+    game.events.pushBack(Event.PlayerActed);
+  }
+}
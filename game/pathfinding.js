@@ -0,0 +1,212 @@
+/**
+ * @fileoverview Copyright (c) 2023 Jaedin Davasligil
+ *
+ * Rogue-JS is a pure javascript browser dungeon crawler.
+ * @package
+ */
+
+"use strict";
+
+import { MinHeap } from "../lib/minheap.js";
+import { EntityType } from "./archetype/archetype.js";
+import { EntityManager } from "./entity-manager.js";
+import { tileCollision } from "./tile.js";
+import { Direction } from "./types.js";
+
+/**
+ * Distances to the nearest goal within a square window of the map. Cells
+ * outside the window or never reached are Infinity. A field can be shared
+ * by every monster heading for the same goals.
+ * @typedef {Object} DistanceField
+ * @property {number} x - World x of the top left corner.
+ * @property {number} y - World y of the top left corner.
+ * @property {number} size - Width and height of the window in tiles.
+ * @property {Float64Array} data - Distances indexed by y * size + x.
+ */
+
+/** Class of functions finding paths over the loaded chunks. */
+export class Pathfinding {
+  /** Extra cost of stepping through a cell another creature stands in. */
+  static crowdCost = 4;
+
+  /** Cells expanded by A* before giving up on a path. */
+  static maxNodes = 4096;
+
+  /**
+   * Returns the cost of stepping into a cell. Walls, closed doors and other
+   * obstacles are Infinity, and so are unloaded chunks, which are unknown.
+   * Creatures may move on, so their cells only cost more.
+   * @param {import("./chunk-manager.js").ChunkManager} chunks - Loaded chunks.
+   * @param {EntityManager} em - Entity manager.
+   * @param {import("./types.js").Position} position - World coordinate.
+   * @returns {number}
+   */
+  static cost(chunks, em, position) {
+    const collision = chunks.getCollision(position);
+    if (collision === undefined) return Infinity;
+    if (!collision) return 1;
+    if (tileCollision(chunks.getTile(position))) return Infinity;
+
+    const id = chunks.getID(position);
+    const type = (id === undefined) ? undefined : EntityManager.getIDType(id);
+    if (type === EntityType.Monster || type === EntityType.Player) {
+      return 1 + Pathfinding.crowdCost;
+    }
+    return Infinity;
+  }
+
+  /**
+   * Returns the cells reached in one step from a position.
+   * @param {import("./types.js").Position} position - World coordinate.
+   * @returns {Array.<import("./types.js").Position>}
+   */
+  static neighbors(position) {
+    const dirs = Object.values(Direction);
+    return dirs.map((dir) => ({x: position.x + dir.x, y: position.y + dir.y}));
+  }
+
+  /**
+   * Find the cheapest path between two positions with A*. The goal itself
+   * is always entered, so a path may end on the creature being chased.
+   * @param {import("./chunk-manager.js").ChunkManager} chunks - Loaded chunks.
+   * @param {EntityManager} em - Entity manager.
+   * @param {import("./types.js").Position} from - World coordinate.
+   * @param {import("./types.js").Position} to - World coordinate.
+   * @returns {Array.<import("./types.js").Position> | null} - Steps excluding the start, or null.
+   */
+  static findPath(chunks, em, from, to) {
+    const key = (p) => `${p.x},${p.y}`;
+    const heuristic = (p) => Math.abs(p.x - to.x) + Math.abs(p.y - to.y);
+
+    const open = new MinHeap((a, b) => (a.f - b.f) || (b.g - a.g));
+    const cost = new Map([[key(from), 0]]);
+    const previous = new Map();
+
+    open.add({position: from, g: 0, f: heuristic(from)});
+
+    let expanded = 0;
+    while (open.length > 0 && expanded < Pathfinding.maxNodes) {
+      const node = open.remove();
+      const nodeKey = key(node.position);
+
+      if (node.g > cost.get(nodeKey)) continue;
+      if (node.position.x === to.x && node.position.y === to.y) {
+        const path = [];
+        for (let k = nodeKey, p = node.position; k !== key(from); p = previous.get(k), k = key(p)) {
+          path.push(p);
+        }
+        return path.reverse();
+      }
+      expanded += 1;
+
+      const neighbors = Pathfinding.neighbors(node.position);
+      for (let i = 0; i < neighbors.length; ++i) {
+        const next = neighbors[i];
+        const isGoal = next.x === to.x && next.y === to.y;
+        const step = isGoal ? 1 : Pathfinding.cost(chunks, em, next);
+        if (step === Infinity) continue;
+
+        const g = node.g + step;
+        const nextKey = key(next);
+        if (g >= (cost.get(nextKey) ?? Infinity)) continue;
+
+        cost.set(nextKey, g);
+        previous.set(nextKey, node.position);
+        open.add({position: next, g: g, f: g + heuristic(next)});
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Build a Dijkstra map of the distance to the nearest goal within a
+   * radius of the first goal.
+   * @param {import("./chunk-manager.js").ChunkManager} chunks - Loaded chunks.
+   * @param {EntityManager} em - Entity manager.
+   * @param {Array.<import("./types.js").Position>} goals - World coordinates.
+   * @param {number} radius - Tiles the window extends around the first goal.
+   * @returns {DistanceField}
+   */
+  static distanceField(chunks, em, goals, radius) {
+    const size = 2 * radius + 1;
+    const field = {
+      x: goals[0].x - radius,
+      y: goals[0].y - radius,
+      size: size,
+      data: new Float64Array(size * size).fill(Infinity),
+    };
+
+    const open = new MinHeap((a, b) => a.distance - b.distance);
+    for (let i = 0; i < goals.length; ++i) {
+      const idx = Pathfinding.fieldIndex(field, goals[i]);
+      if (idx < 0) continue;
+
+      field.data[idx] = 0;
+      open.add({position: goals[i], distance: 0});
+    }
+
+    while (open.length > 0) {
+      const node = open.remove();
+      if (node.distance > field.data[Pathfinding.fieldIndex(field, node.position)]) continue;
+
+      const neighbors = Pathfinding.neighbors(node.position);
+      for (let i = 0; i < neighbors.length; ++i) {
+        const idx = Pathfinding.fieldIndex(field, neighbors[i]);
+        if (idx < 0) continue;
+
+        const distance = node.distance + Pathfinding.cost(chunks, em, neighbors[i]);
+        if (distance >= field.data[idx]) continue;
+
+        field.data[idx] = distance;
+        open.add({position: neighbors[i], distance: distance});
+      }
+    }
+
+    return field;
+  }
+
+  /**
+   * Returns the index of a position in a distance field, or -1 outside it.
+   * @param {DistanceField} field - Distance field.
+   * @param {import("./types.js").Position} position - World coordinate.
+   * @returns {number}
+   */
+  static fieldIndex(field, position) {
+    const x = position.x - field.x;
+    const y = position.y - field.y;
+    if (x < 0 || y < 0 || x >= field.size || y >= field.size) return -1;
+    return y * field.size + x;
+  }
+
+  /**
+   * Returns the distance of a position in a distance field.
+   * @param {DistanceField} field - Distance field.
+   * @param {import("./types.js").Position} position - World coordinate.
+   * @returns {number}
+   */
+  static distanceAt(field, position) {
+    const idx = Pathfinding.fieldIndex(field, position);
+    return (idx < 0) ? Infinity : field.data[idx];
+  }
+
+  /**
+   * Returns the directions that roll downhill in a distance field from a
+   * position, nearest to the goals first.
+   * @param {DistanceField} field - Distance field.
+   * @param {import("./types.js").Position} position - World coordinate.
+   * @returns {Array.<Direction>}
+   */
+  static descend(field, position) {
+    const here = Pathfinding.distanceAt(field, position);
+
+    return Object.values(Direction)
+      .map((dir) => ({
+        dir: dir,
+        distance: Pathfinding.distanceAt(field, {x: position.x + dir.x, y: position.y + dir.y}),
+      }))
+      .filter((step) => step.distance < here)
+      .sort((a, b) => a.distance - b.distance)
+      .map((step) => step.dir);
+  }
+}
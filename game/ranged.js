@@ -0,0 +1,344 @@
+/**
+ * @fileoverview Copyright (c) 2023 Jaedin Davasligil
+ *
+ * Rogue-JS is a pure javascript browser dungeon crawler.
+ * @package
+ */
+
+"use strict";
+
+import { FRNG } from "../lib/fast-random.js";
+import { EntityType } from "./archetype/archetype.js";
+import { Item } from "./archetype/item.js";
+import { Player } from "./archetype/player.js";
+import { Combat } from "./combat.js";
+import { EntityManager } from "./entity-manager.js";
+import { Interact } from "./interact.js";
+import { Action } from "./keybind.js";
+import { writeLog } from "./render/text.js";
+import { Tile } from "./tile.js";
+import { Event } from "./types.js";
+
+/**
+ * A missile ready to be fired or thrown.
+ * @typedef {Object} Missile
+ * @property {object} item - Carried item leaving the player, count 1 if stackable.
+ * @property {string | undefined} damage - Dice expression of the damage dealt.
+ * @property {Array.<number>} range - [short, medium, long] range bands in tiles.
+ */
+
+/** Class of functions resolving missile attacks fired or thrown at a target. */
+export class Ranged {
+  /** Attack roll penalty in each range band: short, medium, long. */
+  static bandPenalty = [0, -2, -5];
+
+  /** Names of the range bands. */
+  static bandNames = ["short", "medium", "long"];
+
+  /** Range bands in tiles of items thrown without their own. */
+  static thrownRange = [3, 6, 9];
+
+  /** Percent chance of breaking for missiles without their own. */
+  static breakChance = 25;
+
+  /** A sling hurls stones 40' / 80' / 160'. */
+  static sling = {name: "Sling", weight: 20, damage: "1d4", ammo: "stone", range: [4, 8, 16]};
+
+  /** Stones for a sling, which seldom break. */
+  static stones = {name: "Sling Stone", weight: 1, count: 20, type: "stone", breakChance: 5};
+
+  /** Daggers are thrown at the default range. */
+  static dagger = {name: "Dagger", weight: 10, damage: "1d4", thrown: true, breakChance: 0};
+
+  /**
+   * Returns the distance in tiles between two positions.
+   * @param {import("./types.js").Position} a - World coordinate.
+   * @param {import("./types.js").Position} b - World coordinate.
+   * @returns {number}
+   */
+  static distance(a, b) {
+    return Math.max(Math.abs(a.x - b.x), Math.abs(a.y - b.y));
+  }
+
+  /**
+   * Returns the range band a distance falls in, or -1 if out of range.
+   * @param {Array.<number>} range - [short, medium, long] range bands in tiles.
+   * @param {number} distance - Distance in tiles.
+   * @returns {number}
+   */
+  static band(range, distance) {
+    for (let i = 0; i < range.length; ++i) {
+      if (distance <= range[i]) return i;
+    }
+    return -1;
+  }
+
+  /**
+   * Returns the positions a missile passes through on its way to a target,
+   * excluding where it starts.
+   * @param {import("./types.js").Position} from - World coordinate.
+   * @param {import("./types.js").Position} to - World coordinate.
+   * @returns {Array.<import("./types.js").Position>}
+   */
+  static lineOfFire(from, to) {
+    const line = [];
+    const dx = Math.abs(to.x - from.x);
+    const dy = -Math.abs(to.y - from.y);
+    const sx = from.x < to.x ? 1 : -1;
+    const sy = from.y < to.y ? 1 : -1;
+
+    let err = dx + dy;
+    let x = from.x;
+    let y = from.y;
+    let e2 = 0;
+
+    while (x !== to.x || y !== to.y) {
+      e2 = 2 * err;
+      if (e2 >= dy) {
+        err += dy;
+        x += sx;
+      }
+      if (e2 <= dx) {
+        err += dx;
+        y += sy;
+      }
+      line.push({x: x, y: y});
+    }
+    return line;
+  }
+
+  /**
+   * Returns the item that would be fired or thrown, and where it is carried,
+   * or null if there is none.
+   * @param {Player} player - Player data.
+   * @param {Action} action - Action.Fire or Action.Throw.
+   * @returns {{item: object, slot: string | number} | null} - Slot is an equipment key or inventory index.
+   */
+  static findMissile(player, action) {
+    if (action === Action.Fire) {
+      const launcher = player.equipment.mainHand;
+      const ammo = player.equipment.ammunition;
+      if (
+           launcher?.ammo === undefined
+        || ammo === null
+        || ammo.type !== launcher.ammo
+        || ammo.count <= 0
+      ) {
+        return null;
+      }
+      return {item: ammo, slot: "ammunition"};
+    }
+
+    if (player.equipment.mainHand?.thrown) {
+      return {item: player.equipment.mainHand, slot: "mainHand"};
+    }
+
+    const idx = player.inventory.findIndex((item) => item?.thrown);
+    return idx < 0 ? null : {item: player.inventory[idx], slot: idx};
+  }
+
+  /**
+   * Take one missile from where it is carried, ready to leave the player.
+   * @param {Player} player - Player data.
+   * @param {Action} action - Action.Fire or Action.Throw.
+   * @returns {Missile | null}
+   */
+  static takeMissile(player, action) {
+    const found = Ranged.findMissile(player, action);
+    if (found === null) return null;
+
+    const launcher = player.equipment.mainHand;
+    const stacked = found.item.count !== undefined && found.item.count > 1;
+    const item = stacked ? Item.split(found.item, 1) : found.item;
+
+    if (!stacked) {
+      if (typeof found.slot === "number") {
+        player.inventory.splice(found.slot, 1);
+      } else {
+        player.equipment[found.slot] = null;
+      }
+    }
+
+    if (action === Action.Fire) {
+      return {item: item, damage: launcher.damage, range: launcher.range};
+    }
+    return {item: item, damage: item.damage, range: item.range ?? Ranged.thrownRange};
+  }
+
+  /**
+   * Start aiming a missile with the targeting cursor. The cursor starts on
+   * the current target if it is a monster, otherwise on the player.
+   * @param {import("./main.js").Game} game - Game data.
+   * @param {Action} action - Action.Fire or Action.Throw.
+   */
+  static aim(game, action) {
+    const found = Ranged.findMissile(game.player, action);
+    if (found === null) {
+      writeLog(action === Action.Fire ? "You have nothing to fire." : "You have nothing to throw.");
+      return;
+    }
+
+    const target = game.player.target;
+    const start = (
+         target
+      && EntityManager.getIDType(target.id) === EntityType.Monster
+      && game.entities.lookup(target.id) === target
+    ) ? target.position : game.player.position;
+
+    game.pending = action;
+    game.cursor = {x: start.x, y: start.y};
+    writeLog(`Aim the ${found.item.name}. Enter to release, Escape to cancel.`);
+    game.events.pushBack(Event.PlayerActed);
+  }
+
+  /**
+   * Move the targeting cursor, keeping it within long range.
+   * @param {import("./main.js").Game} game - Game data.
+   * @param {import("./types.js").Direction} dir - Direction moved.
+   */
+  static moveCursor(game, dir) {
+    const found = Ranged.findMissile(game.player, game.pending);
+    const range = (game.pending === Action.Fire)
+      ? game.player.equipment.mainHand.range
+      : found?.item.range ?? Ranged.thrownRange;
+    const next = {x: game.cursor.x + dir.x, y: game.cursor.y + dir.y};
+
+    if (Ranged.distance(game.player.position, next) <= range[range.length - 1]) {
+      game.cursor = next;
+    }
+    game.events.pushBack(Event.PlayerActed);
+  }
+
+  /**
+   * Stop aiming without releasing the missile.
+   * @param {import("./main.js").Game} game - Game data.
+   */
+  static cancel(game) {
+    game.pending = null;
+    game.cursor = null;
+    game.events.pushBack(Event.PlayerActed);
+  }
+
+  /**
+   * Roll a missile attack against a monster.
+   * @param {import("./main.js").Game} game - Game data.
+   * @param {Missile} missile - Missile released.
+   * @param {import("./archetype/monster.js").Monster} monster - Monster in the line of fire.
+   */
+  static attack(game, missile, monster) {
+    const band = Math.max(0, Ranged.band(missile.range, Ranged.distance(game.player.position, monster.position)));
+    const bonus = Player.missileBonus(game.player) + Ranged.bandPenalty[band];
+    const attack = Combat.rollAttack(game.rng, bonus, monster.armorClass);
+
+    monster.asleep = false;
+    monster.hostile = true;
+
+    writeLog(
+      `The ${missile.item.name} flies at the ${monster.name} (${Ranged.bandNames[band]} range): `
+      + `d20 ${attack.roll} + ${bonus} = ${attack.total} vs AC ${monster.armorClass}.`
+    );
+
+    if (!attack.hit) {
+      writeLog(attack.fumble ? "A wild miss!" : "It misses.");
+      return;
+    }
+    if (missile.damage === undefined) {
+      writeLog(`The ${missile.item.name} strikes the ${monster.name}.`);
+      return;
+    }
+
+    const damage = Combat.rollDamage(game.rng, missile.damage, 0, attack.critical);
+    writeLog(
+      (attack.critical ? "Critical hit! " : "")
+      + `It hits for ${damage} damage (${attack.critical ? "2x " : ""}${missile.damage}).`
+    );
+
+    monster.hitPoints -= damage;
+    if (monster.hitPoints <= 0) {
+      Combat.kill(game, monster);
+    }
+  }
+
+  /**
+   * Leave a missile on the floor, stacking it with a matching item there.
+   * @param {import("./main.js").Game} game - Game data.
+   * @param {import("./types.js").Position} position - World coordinate.
+   * @param {object} item - Carried item dropped.
+   */
+  static drop(game, position, item) {
+    const stack = game.chunks.entitiesAt(position) ?? [];
+    for (let i = 0; i < stack.length; ++i) {
+      const floor = game.entities.lookup(stack[i]);
+      if (EntityManager.getIDType(stack[i]) === EntityType.Item && Item.stacks(floor.item, item)) {
+        floor.item.count += item.count;
+        return;
+      }
+    }
+
+    const floor = new Item();
+    floor.tile = item.damage !== undefined || item.type !== undefined ? Tile.Weapon : Tile.Item;
+    floor.position = {x: position.x, y: position.y};
+    floor.item = item;
+    game.chunks.setUnderID(position, game.entities.insert(floor));
+  }
+
+  /**
+   * Release the missile being aimed at the cursor. It stops at the first
+   * monster or obstacle in the line of fire, then breaks or drops there.
+   * @param {import("./main.js").Game} game - Game data.
+   */
+  static release(game) {
+    const cursor = game.cursor;
+    const action = game.pending;
+
+    game.pending = null;
+    game.cursor = null;
+
+    const missile = (cursor.x === game.player.position.x && cursor.y === game.player.position.y)
+      ? null
+      : Ranged.takeMissile(game.player, action);
+
+    if (missile === null) {
+      writeLog("Never mind.");
+      game.events.pushBack(Event.PlayerActed);
+      return;
+    }
+
+    const line = Ranged.lineOfFire(game.player.position, cursor);
+
+    let landing = game.player.position;
+    let struck = false;
+
+    for (let i = 0; i < line.length; ++i) {
+      const collision = game.chunks.getCollision(line[i]);
+      if (collision === undefined) break;
+
+      const id = game.chunks.getID(line[i]);
+      const entity = (id === undefined) ? undefined : game.entities.lookup(id);
+
+      if (entity?.collision && EntityManager.getIDType(id) === EntityType.Monster) {
+        Ranged.attack(game, missile, entity);
+        landing = line[i];
+        struck = true;
+        break;
+      }
+      if (collision) {
+        writeLog(`The ${missile.item.name} hits an obstacle.`);
+        struck = true;
+        break;
+      }
+      landing = line[i];
+    }
+
+    if (!struck) writeLog(`The ${missile.item.name} flies and lands on the floor.`);
+
+    if (FRNG.randInt(game.rng, 0, 100) < (missile.item.breakChance ?? Ranged.breakChance)) {
+      writeLog(`The ${missile.item.name} breaks.`);
+    } else {
+      Ranged.drop(game, landing, missile.item);
+    }
+
+    Interact.spendTime(game, 1);
+    game.events.pushBack(Event.PlayerActed);
+  }
+}
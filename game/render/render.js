@@ -9,10 +9,12 @@
 
 import { InteractMode, Player } from "../archetype/player.js";
 import { Chunk, ChunkManager } from "../chunk-manager.js";
+import { Creation, CreationStep, RollMethod, ScoreOrder } from "../creation.js";
 import { EntityManager } from "../entity-manager.js";
+import { Rules } from "../rules.js";
 import { World } from "../map-generation.js";
 import { Tile } from "../tile.js";
-import { MainMenuOption } from "../types.js";
+import { MainMenuOption, SlotAction } from "../types.js";
 import { Camera } from "./camera.js";
 
 /**
@@ -71,6 +73,7 @@ export class RenderEngine {
     this.frameWidth = 4;
     this.bgColor = Color.Night;
     this.frameColor = Color.Brown;
+    this.unseenAlpha = 0.35; // Opacity of tiles out of sight.
   }
 
   /**
@@ -92,11 +95,26 @@ export class RenderEngine {
       case Tile.Player:
         return Color.White;
 
+      case Tile.LeverUp:
+      case Tile.LeverDown:
+        return Color.Steel;
+
       case Tile.StairsUp:
       case Tile.StairsDown:
       case Tile.Townsfolk:
         return Color.White;
 
+      case Tile.Rubble:
+        return Color.Brown;
+      case Tile.Quartz:
+        return Color.White;
+      case Tile.Copper:
+        return Color.Copper;
+      case Tile.Silver:
+        return Color.Silver;
+      case Tile.Gold:
+        return Color.Gold;
+
       case Tile.Alchemist:   
         return Color.Green;
       case Tile.Armoury:     
@@ -141,6 +159,11 @@ export class RenderEngine {
       case Tile.PortcullisDown:
         return ':';
 
+      case Tile.LeverUp:
+        return '/';
+      case Tile.LeverDown:
+        return '\\';
+
       case Tile.StairsUp:
         return '<';
       case Tile.StairsDown:
@@ -309,6 +332,220 @@ export class RenderEngine {
     }
   }
 
+  /**
+   * Format a duration as `HH:MM:SS`.
+   * @param {number} ms - Duration in milliseconds.
+   * @returns {string}
+   */
+  static formatPlayTime(ms) {
+    const seconds = Math.floor(ms / 1000);
+    return [
+      Math.floor(seconds / 3600),
+      Math.floor(seconds / 60) % 60,
+      seconds % 60
+    ].map((n) => n.toString().padStart(2, '0')).join(':');
+  }
+
+  /**
+   * Drawing function for the save slot picker.
+   * @param {number} selection - Slot selected.
+   * @param {Array.<import("../save.js").SaveMeta | null>} slots - Summary of each slot.
+   * @param {SlotAction} action - What choosing a slot does.
+   * @param {number | null} confirm - Slot awaiting confirmation.
+   * @param {string | null} message - Result of the last export or import.
+   * @param {Object.<string, import("../rules.js").ClassRules>} classes - Class data.
+   */
+  drawSlots(selection, slots, action, confirm, message, classes) {
+    const XOFFSET = 96;
+    const YOFFSET = 128;
+    const FSIZE = 22;
+    const VSPACE = 2*FSIZE + 16;
+    const highlightColor = Color.DarkOrange;
+
+    this.drawBackground();
+
+    // Draw Title Text
+    this.ctx.textAlign = 'start';
+    this.ctx.font = "small-caps bold 48px cursive";
+    this.ctx.fillStyle = "#101010";
+    this.ctx.strokeStyle = Color.Orange;
+    this.ctx.lineWidth = 1;
+    this.ctx.fillText((action === SlotAction.New) ? "New Game" : "Continue", XOFFSET, 64);
+    this.ctx.strokeText((action === SlotAction.New) ? "New Game" : "Continue", XOFFSET, 64);
+
+    for (let i = 0; i < slots.length; ++i) {
+      const y = YOFFSET + VSPACE * i;
+
+      this.ctx.font = `bold ${FSIZE}px monospace`;
+      this.ctx.fillStyle = (i === selection) ? highlightColor : Color.White;
+      this.ctx.fillText(`Slot ${i + 1}`, XOFFSET, y);
+
+      this.ctx.font = `${FSIZE}px monospace`;
+      if (slots[i] === null) {
+        this.ctx.fillStyle = Color.Slate;
+        this.ctx.fillText("Empty", XOFFSET + 6*FSIZE, y);
+        continue;
+      }
+
+      this.ctx.fillStyle = Color.Green;
+      this.ctx.fillText(slots[i].name, XOFFSET + 6*FSIZE, y);
+      this.ctx.fillStyle = Color.Blue;
+      this.ctx.fillText(
+        `${classes[slots[i].combatClass]?.name ?? slots[i].combatClass}`
+        + `  Level ${slots[i].level}`
+        + `  Depth ${slots[i].depth}`
+        + `  ${RenderEngine.formatPlayTime(slots[i].playTime)}`,
+        XOFFSET + 6*FSIZE,
+        y + FSIZE
+      );
+    }
+
+    // Draw Controls
+    this.ctx.font = `${FSIZE - 4}px monospace`;
+    if (message !== null) {
+      this.ctx.fillStyle = Color.Caution;
+      this.ctx.fillText(message, XOFFSET, this.canvas.height - 32 - FSIZE);
+    }
+    this.ctx.fillStyle = Color.Orange;
+    if (confirm !== null) {
+      this.ctx.fillStyle = Color.Blood;
+      this.ctx.fillText(
+        (action === SlotAction.New)
+          ? `Press Enter again to overwrite slot ${confirm + 1}, or Delete to erase it.`
+          : `Press Delete again to erase slot ${confirm + 1}.`,
+        XOFFSET,
+        this.canvas.height - 32
+      );
+    } else {
+      this.ctx.fillText(
+        "Up/Down: Select  Enter: Confirm  Delete: Erase  X: Export  I: Import  Esc: Back",
+        XOFFSET,
+        this.canvas.height - 32
+      );
+    }
+  }
+
+  /**
+   * Drawing function for the character creation screen.
+   * @param {Creation} creation - Character creation state.
+   * @param {Object.<string, import("../rules.js").AncestryRules>} ancestries - Ancestry data.
+   * @param {Object.<string, import("../rules.js").ClassRules>} classes - Class data.
+   */
+  drawCreation(creation, ancestries, classes) {
+    const XOFFSET = 96;
+    const YOFFSET = 112;
+    const SUMMARY = 640;
+    const FSIZE = 22;
+    const VSPACE = FSIZE + 8;
+    const highlightColor = Color.DarkOrange;
+
+    let options = [];
+    let allowed = [];
+    let title = "";
+
+    switch (creation.step) {
+      case CreationStep.Method:
+        title = "Choose how to generate ability scores";
+        options = ["3d6 In Order", "4d6 Keep High", "Point Buy"];
+        break;
+      case CreationStep.Scores:
+        title = (creation.method === RollMethod.PointBuy)
+          ? `Spend your points (${creation.points} left)`
+          : "Your ability scores";
+        options = ScoreOrder.map((s) => `${s.toUpperCase()}  ${creation.scores[s].toString().padStart(2)}`);
+        break;
+      case CreationStep.Ancestry:
+        title = "Choose your ancestry";
+        options = Object.values(ancestries).map((a) => a.name);
+        allowed = Object.values(ancestries).map((a) => Rules.ancestryAllowed(creation.scores, a));
+        break;
+      case CreationStep.Class:
+        title = "Choose your class";
+        options = Object.values(classes).map((c) => c.name);
+        allowed = Object.keys(classes).map((k) => Rules.classAllowed(
+          creation.scores,
+          ancestries[creation.ancestry],
+          k,
+          classes[k]
+        ));
+        break;
+      case CreationStep.Name:
+        title = "Enter your name";
+        options = [creation.name + '_'];
+        break;
+      case CreationStep.Confirm:
+        title = "Begin your adventure?";
+        options = ["Enter the Town"];
+        break;
+    }
+
+    this.drawBackground();
+
+    // Draw Title Text
+    this.ctx.textAlign = 'start';
+    this.ctx.font = "small-caps bold 48px cursive";
+    this.ctx.fillStyle = "#101010";
+    this.ctx.strokeStyle = Color.Orange;
+    this.ctx.lineWidth = 1;
+    this.ctx.fillText("Character Creation", XOFFSET, 64);
+    this.ctx.strokeText("Character Creation", XOFFSET, 64);
+
+    this.ctx.font = `${FSIZE}px monospace`;
+    this.ctx.fillStyle = Color.Blue;
+    this.ctx.fillText(title, XOFFSET, YOFFSET);
+
+    // Draw Options and selection highlight
+    this.ctx.font = `bold ${FSIZE}px monospace`;
+    for (let i = 0; i < options.length; ++i) {
+      if (i === creation.selection) {
+        this.ctx.fillStyle = highlightColor;
+      } else if (allowed[i] === false) {
+        this.ctx.fillStyle = Color.Slate;
+      } else {
+        this.ctx.fillStyle = Color.White;
+      }
+      this.ctx.fillText(options[i], XOFFSET, YOFFSET + VSPACE * (i + 1));
+    }
+
+    // Draw Summary
+    this.ctx.font = `${FSIZE}px monospace`;
+    this.ctx.fillStyle = Color.Blue;
+    this.ctx.fillText("Name",     SUMMARY, YOFFSET);
+    this.ctx.fillText("Ancestry", SUMMARY, YOFFSET + FSIZE);
+    this.ctx.fillText("Class",    SUMMARY, YOFFSET + 2*FSIZE);
+
+    this.ctx.fillStyle = Color.Green;
+    this.ctx.fillText(creation.name, SUMMARY + 6*FSIZE, YOFFSET);
+    this.ctx.fillText(ancestries[creation.ancestry]?.name ?? "", SUMMARY + 6*FSIZE, YOFFSET + FSIZE);
+    this.ctx.fillText(classes[creation.combatClass]?.name ?? "", SUMMARY + 6*FSIZE, YOFFSET + 2*FSIZE);
+
+    if (creation.step > CreationStep.Method) {
+      const scores = (creation.ancestry !== "")
+        ? Rules.adjustedScores(creation.scores, ancestries[creation.ancestry])
+        : creation.scores;
+
+      for (let i = 0; i < ScoreOrder.length; ++i) {
+        this.ctx.fillStyle = Color.White;
+        this.ctx.fillText(ScoreOrder[i].toUpperCase(), SUMMARY, YOFFSET + (4 + i)*FSIZE);
+        this.ctx.fillStyle = Color.Green;
+        this.ctx.fillText(
+          scores[ScoreOrder[i]].toString(),
+          SUMMARY + 6*FSIZE,
+          YOFFSET + (4 + i)*FSIZE
+        );
+      }
+    }
+
+    // Draw Controls
+    this.ctx.font = `${FSIZE - 6}px monospace`;
+    this.ctx.fillStyle = Color.Orange;
+    this.ctx.fillText(
+      "Up/Down: Select  Left/Right: Adjust  Enter: Confirm  Esc: Back",
+      XOFFSET,
+      this.canvas.height - 32
+    );
+  }
+
   /**
    * Draws the background for the side bars used for the UI.
    */
@@ -816,7 +1053,9 @@ export class RenderEngine {
   }
 
   /**
-   * Renders ASCII tiles to the screen grid.
+   * Renders ASCII tiles to the screen grid. Tiles the player sees are drawn
+   * at full brightness. Tiles explored before are drawn dimmed as they were
+   * last seen, monsters included. Tiles never seen are left black.
    * @param {EntityManager} em - Entity Manager.
    * @param {ChunkManager} cm - Chunk Manager.
    */
@@ -835,6 +1074,7 @@ export class RenderEngine {
     let colOffset = 0;
     let tile;
     let entityID;
+    let visible;
 
     // Iterate over all canvas grids, querying tiles in each.
     for (let row = 0; row < canvasGrids; row++) {
@@ -842,13 +1082,20 @@ export class RenderEngine {
         rowOffset = this.camera.position.y - center + row;
         colOffset = this.camera.position.x - center + col;
 
-        tile = cm.getTile({x: colOffset, y: rowOffset});
-        entityID = cm.getID({x: colOffset, y: rowOffset});
+        visible = cm.getVisibility({x: colOffset, y: rowOffset});
+
+        if (visible) {
+          tile = cm.getTile({x: colOffset, y: rowOffset});
+          entityID = cm.getID({x: colOffset, y: rowOffset});
 
-        if (entityID !== undefined) {
-          tile = em.lookup(entityID).tile;
+          if (entityID !== undefined && em.lookup(entityID).visible) {
+            tile = em.lookup(entityID).tile;
+          }
+        } else {
+          tile = cm.getMemory({x: colOffset, y: rowOffset});
         }
 
+        this.ctx.globalAlpha = visible ? 1.0 : this.unseenAlpha;
         this.ctx.fillStyle = RenderEngine.matchTileColor(tile);
         if (tile !== undefined) {
           this.ctx.fillText(
@@ -859,6 +1106,22 @@ export class RenderEngine {
         }
       }
     }
+    this.ctx.globalAlpha = 1.0;
+  }
+
+  /**
+   * Draw the targeting cursor around a world position.
+   * @param {import("../types.js").Position} position - World coordinate.
+   */
+  drawCursor(position) {
+    const res = this.camera.resolution;
+    const center = Math.floor(Math.floor(this.canvas.height / res) / 2);
+    const col = position.x - this.camera.position.x + center;
+    const row = position.y - this.camera.position.y + center;
+
+    this.ctx.strokeStyle = Color.Caution;
+    this.ctx.lineWidth = 2;
+    this.ctx.strokeRect(this.sideWidth + res * col, res * row, res, res);
   }
 
   /**
@@ -29,9 +29,16 @@ export function writeDescription(text, s) {
 /**
  *
  */
-function writeAction(text, s) {
+export function writeAction(text, s) {
   text.innerHTML += "<p style='color: red;'>" + s + "</p><br />";
 }
+/**
+ * Write a line to the game text log.
+ * @param {string} s - Text written.
+ */
+export function writeLog(s) {
+  writeDescription(document.getElementById('game-text'), s);
+}
 /**
  *
  */
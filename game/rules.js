@@ -0,0 +1,178 @@
+/**
+ * @fileoverview Copyright (c) 2023 Jaedin Davasligil
+ *
+ * Rogue-JS is a pure javascript browser dungeon crawler.
+ * @package
+ */
+
+"use strict";
+
+import { GAMMA2 } from "../lib/gamma.js";
+import { Player } from "./archetype/player.js";
+
+/**
+ * @typedef {Object.<string, number>} ScoreTable - Ability score key to value.
+ */
+
+/**
+ * A row of a class saving throw table applying from the given level onward.
+ * @typedef {Object} SaveRow
+ * @property {number} level - First level the row applies to.
+ * @property {number} death - Death ray or poison.
+ * @property {number} wands - Magic wands.
+ * @property {number} paralysis - Paralysis or petrification.
+ * @property {number} breath - Breath attacks.
+ * @property {number} spells - Spells, rods, or staves.
+ */
+
+/**
+ * Ancestry rule definition as found in `data/ancestries.json`.
+ * @typedef {Object} AncestryRules
+ * @property {string} name - Display name.
+ * @property {ScoreTable} minimums - Minimum ability scores required.
+ * @property {ScoreTable} adjustments - Ability score adjustments applied.
+ * @property {Object.<string, number>} classes - Allowed class keys to level cap.
+ * @property {Array.<string>} languages - Languages known.
+ * @property {Array.<string>} abilities - Special abilities.
+ */
+
+/**
+ * Class rule definition as found in `data/classes.json`.
+ * @typedef {Object} ClassRules
+ * @property {string} name - Display name.
+ * @property {number} hitDie - Faces on the hit die rolled each level.
+ * @property {Array.<string>} primeRequisite - Prime requisite ability scores.
+ * @property {ScoreTable} minimums - Minimum ability scores required.
+ * @property {number} maxLevel - Maximum level attainable.
+ * @property {Array.<string>} languages - Additional languages known.
+ * @property {Array.<string>} abilities - Special abilities.
+ * @property {Array.<SaveRow>} saves - Saving throw table ordered by level.
+ */
+
+/** Class of functions applying ancestry and class rule data. */
+export class Rules {
+  /**
+   * Returns true if the scores meet every minimum given.
+   * @param {ScoreTable} scores - Ability scores.
+   * @param {ScoreTable} minimums - Minimum ability scores.
+   * @returns {boolean}
+   */
+  static meetsMinimums(scores, minimums) {
+    const keys = Object.keys(minimums);
+    for (let i = 0; i < keys.length; ++i) {
+      if (scores[keys[i]] < minimums[keys[i]]) {
+        return false;
+      }
+    }
+    return true;
+  }
+
+  /**
+   * Returns a copy of the scores with ancestry adjustments applied.
+   * @param {ScoreTable} scores - Rolled ability scores.
+   * @param {AncestryRules} ancestry - Ancestry rules.
+   * @returns {ScoreTable}
+   */
+  static adjustedScores(scores, ancestry) {
+    const adjusted = Object.assign({}, scores);
+    const keys = Object.keys(ancestry.adjustments);
+    for (let i = 0; i < keys.length; ++i) {
+      adjusted[keys[i]] = GAMMA2.clamp(adjusted[keys[i]] + ancestry.adjustments[keys[i]], 3, 18);
+    }
+    return adjusted;
+  }
+
+  /**
+   * Returns true if rolled scores qualify for the ancestry.
+   * @param {ScoreTable} scores - Rolled ability scores.
+   * @param {AncestryRules} ancestry - Ancestry rules.
+   * @returns {boolean}
+   */
+  static ancestryAllowed(scores, ancestry) {
+    return Rules.meetsMinimums(scores, ancestry.minimums);
+  }
+
+  /**
+   * Returns true if the class may be taken with the ancestry and scores.
+   * Class minimums are checked against the ancestry adjusted scores.
+   * @param {ScoreTable} scores - Rolled ability scores.
+   * @param {AncestryRules} ancestry - Ancestry rules.
+   * @param {string} classKey - Key of the class in the class data.
+   * @param {ClassRules} combatClass - Class rules.
+   * @returns {boolean}
+   */
+  static classAllowed(scores, ancestry, classKey, combatClass) {
+    return (
+         ancestry.classes[classKey] !== undefined
+      && Rules.meetsMinimums(Rules.adjustedScores(scores, ancestry), combatClass.minimums)
+    );
+  }
+
+  /**
+   * Returns the maximum level for an ancestry and class pair.
+   * @param {AncestryRules} ancestry - Ancestry rules.
+   * @param {string} classKey - Key of the class in the class data.
+   * @param {ClassRules} combatClass - Class rules.
+   * @returns {number}
+   */
+  static levelCap(ancestry, classKey, combatClass) {
+    return Math.min(ancestry.classes[classKey] ?? 0, combatClass.maxLevel);
+  }
+
+  /**
+   * Returns the saving throws for a class at the given level.
+   * @param {ClassRules} combatClass - Class rules.
+   * @param {number} level - Character level.
+   * @returns {{death: number, wands: number, paralysis: number, breath: number, spells: number}}
+   */
+  static savesFor(combatClass, level) {
+    let row = combatClass.saves[0];
+    for (let i = 1; i < combatClass.saves.length; ++i) {
+      if (combatClass.saves[i].level <= level) {
+        row = combatClass.saves[i];
+      }
+    }
+    return {
+      death:     row.death,
+      wands:     row.wands,
+      paralysis: row.paralysis,
+      breath:    row.breath,
+      spells:    row.spells,
+    };
+  }
+
+  /**
+   * Apply ancestry and class rules to a player with rolled scores.
+   * @param {Player} player - Player data with rolled scores.
+   * @param {string} ancestryKey - Key of the ancestry in the ancestry data.
+   * @param {AncestryRules} ancestry - Ancestry rules.
+   * @param {string} classKey - Key of the class in the class data.
+   * @param {ClassRules} combatClass - Class rules.
+   */
+  static apply(player, ancestryKey, ancestry, classKey, combatClass) {
+    const scores = Rules.adjustedScores(player.scores, ancestry);
+
+    player.ancestry = ancestryKey;
+    player.combatClass = classKey;
+
+    player.scores.str = scores.str;
+    player.scores.dex = scores.dex;
+    player.scores.con = scores.con;
+    player.scores.int = scores.int;
+    player.scores.wis = scores.wis;
+    player.scores.cha = scores.cha;
+    player.scores.maxStr = scores.str;
+    player.scores.maxDex = scores.dex;
+    player.scores.maxCon = scores.con;
+    player.scores.maxInt = scores.int;
+    player.scores.maxWis = scores.wis;
+    player.scores.maxCha = scores.cha;
+
+    player.hitDice = {n: player.level, d: combatClass.hitDie};
+    player.saves = Rules.savesFor(combatClass, player.level);
+    player.primeRequisite = combatClass.primeRequisite.slice();
+    player.maxLevel = Rules.levelCap(ancestry, classKey, combatClass);
+    player.languages = [...new Set(ancestry.languages.concat(combatClass.languages))];
+    player.abilities = ancestry.abilities.concat(combatClass.abilities);
+  }
+}
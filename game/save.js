@@ -0,0 +1,613 @@
+/**
+ * @fileoverview Copyright (c) 2023 Jaedin Davasligil
+ *
+ * Rogue-JS is a pure javascript browser dungeon crawler.
+ * @package
+ */
+
+"use strict";
+
+import { EntityType } from "./archetype/archetype.js";
+import { Player } from "./archetype/player.js";
+import { Stairs } from "./archetype/stairs.js";
+import { Chunk, ChunkManager } from "./chunk-manager.js";
+import { DiffCodec } from "./diff-codec.js";
+import { EntityManager } from "./entity-manager.js";
+import { World } from "./map-generation.js";
+import { Camera } from "./render/camera.js";
+import { Scheduler } from "./scheduler.js";
+import { StorageCache } from "./storage.js";
+import { Tile } from "./tile.js";
+
+// STORAGE FORMATS
+// Each slot owns every key under its namespace `slot{N}/`:
+//   `slot{N}/save`                 - SaveData
+//   `slot{N}/meta`                 - SaveMeta
+//   `slot{N}/{ChunkString}`        - ChunkDiff
+//   `slot{N}/entity/{ChunkString}` - EntityDiff
+//   `slot{N}/explored/{ChunkString}` - ExploredDiff
+
+/**
+ * A full game session as stored in its slot.
+ * @typedef {Object} SaveData
+ * @property {number} version - Save format version.
+ * @property {object} player - Serialized Player. Its target is stored by position.
+ * @property {object} world - Serialized World.
+ * @property {object} scheduler - Serialized Scheduler clock.
+ * @property {object} camera - Serialized Camera.
+ * @property {number} distance - Chunk loading distance.
+ * @property {number} playTime - Time played in milliseconds.
+ * @property {Object.<import("./chunk-manager.js").ChunkString, import("./chunk-manager.js").ChunkDiff>} chunkDiffs
+ * @property {Object.<import("./chunk-manager.js").ChunkString, import("./chunk-manager.js").EntityDiff>} entityDiffs
+ * @property {Object.<import("./chunk-manager.js").ChunkString, import("./chunk-manager.js").ExploredDiff>} exploredDiffs
+ */
+
+/**
+ * Summary of a save shown in the slot picker.
+ * @typedef {Object} SaveMeta
+ * @property {string} name - Character name.
+ * @property {string} combatClass - Class key.
+ * @property {number} level - Character level.
+ * @property {number} depth - Dungeon depth.
+ * @property {number} playTime - Time played in milliseconds.
+ */
+
+/**
+ * A save exported as a portable file.
+ * @typedef {Object} SaveDocument
+ * @property {string} format - Always `Save.format`.
+ * @property {number} version - Save format version of the save data.
+ * @property {SaveMeta} meta - Summary of the save.
+ * @property {SaveData} save - The save data including every chunk diff.
+ */
+
+/** Class of functions for saving and restoring game sessions in slots. */
+export class Save {
+  /** Number of save slots available. */
+  static slotCount = 5;
+
+  /** Legacy single save key. */
+  static legacyKey = "save";
+
+  /**
+   * Storage every slot is kept in. Replaced by the browser storage on startup.
+   * @type {StorageCache}
+   */
+  static storage = new StorageCache();
+
+  /** Format identifier of exported saves. */
+  static format = "rogue-js-save";
+
+  /** Current save format version. */
+  static version = 6;
+
+  /**
+   * Migrations upgrading save data by one version, indexed by the version
+   * they upgrade from. Entities are rebuilt onto freshly constructed
+   * archetypes, so new fields get their defaults without a migration. Add a
+   * migration when a saved field is renamed, removed or changes type.
+   * @type {Array.<function(SaveData): SaveData>}
+   */
+  static migrations = [
+    // 0 -> 1: Unversioned saves predate exports and load unchanged.
+    (save) => save,
+
+    // 1 -> 2: Entities are stored in the entity diff of the chunk they stand
+    // in instead of an entity manager, and the target is stored by position.
+    (save) => {
+      const em = EntityManager.from(save.entities);
+      const player = em.lookup(save.player);
+      const target = (player.target === null) ? null : em.lookup(player.target);
+      const keys = Object.keys(save.entityDiffs);
+
+      for (let i = 0; i < keys.length; ++i) {
+        const entities = [];
+        const diffs = save.entityDiffs[keys[i]].split(';');
+
+        for (let j = 0; j < diffs.length; ++j) {
+          if (diffs[j] === "") continue;
+
+          const keyVal = diffs[j].split(':'); // E.g., "a,3:ID"
+          const id = EntityManager.StrToID(keyVal[1]);
+          const entity = em.lookup(id);
+          if (!entity || EntityManager.getIDType(id) === EntityType.Player) continue;
+
+          entities.push([
+            parseInt(keyVal[0], 16),
+            parseInt(keyVal[0].slice(keyVal[0].indexOf(',') + 1), 16),
+            entity,
+          ]);
+        }
+        save.entityDiffs[keys[i]] = JSON.stringify(entities);
+      }
+
+      player.target = target ? target.position : null;
+      save.player = player;
+      delete save.entities;
+
+      return save;
+    },
+
+    // 2 -> 3: The scheduler keeps the clock in ticks instead of the player
+    // counting moves.
+    (save) => {
+      save.scheduler = {
+        time: save.world.time / Scheduler.minutesPerTurn * Scheduler.ticksPerTurn,
+      };
+      delete save.player.moves;
+
+      return save;
+    },
+
+    // 3 -> 4: The map explored is remembered.
+    (save) => {
+      save.exploredDiffs = {};
+
+      return save;
+    },
+
+    // 4 -> 5: The town has stairs down into the dungeon. Where the town
+    // chunk was generated already, the stairs join its entities.
+    (save) => {
+      if (save.world.depth !== 0) return save;
+
+      const stairs = {x: save.world.width / 2, y: save.world.height - 4};
+      const chunkStr = Chunk.toChunkString(0, Chunk.worldToUV(stairs));
+      save.world.stairsDown = stairs;
+
+      if (save.entityDiffs[chunkStr] === undefined) {
+        save.world.tiles[World.coordToString(stairs.x, stairs.y)] = Tile.StairsDown;
+      } else {
+        const entities = DiffCodec.decodeEntities(save.entityDiffs[chunkStr]);
+        entities.push([
+          stairs.x % Chunk.size,
+          stairs.y % Chunk.size,
+          Stairs.from({position: {x: stairs.x, y: stairs.y}}),
+        ]);
+        save.entityDiffs[chunkStr] = DiffCodec.encodeEntities(entities);
+      }
+
+      return save;
+    },
+
+    // 5 -> 6: Magical darkness is kept for every level, so each zone
+    // records the level it is on.
+    (save) => {
+      const zones = save.world.darkness ?? [];
+      for (let i = 0; i < zones.length; ++i) {
+        zones[i].depth = save.world.depth;
+      }
+
+      return save;
+    },
+  ];
+
+  /**
+   * Migration hook applying a function to the player and every entity of a
+   * type stored in the entity diffs.
+   * @param {SaveData} save - Save data.
+   * @param {EntityType} type - Entity archetype.
+   * @param {function(object): void} fn - Function updating an entity in place.
+   */
+  static migrateEntities(save, type, fn) {
+    if (type === EntityType.Player) {
+      fn(save.player);
+      return;
+    }
+
+    const keys = Object.keys(save.entityDiffs);
+    for (let i = 0; i < keys.length; ++i) {
+      const entities = DiffCodec.decodeEntities(save.entityDiffs[keys[i]]);
+      for (let j = 0; j < entities.length; ++j) {
+        if (EntityManager.getIDType(entities[j][2].id) === type) {
+          entities[j][2] = EntityManager.entityFrom(type, entities[j][2]);
+          fn(entities[j][2]);
+        }
+      }
+      save.entityDiffs[keys[i]] = DiffCodec.encodeEntities(entities);
+    }
+  }
+
+  /**
+   * Upgrade save data to the current version.
+   * @param {SaveData} save - Save data of any version.
+   * @returns {SaveData}
+   */
+  static migrate(save) {
+    let version = save.version ?? 0;
+    while (version < Save.version) {
+      save = Save.migrations[version](save);
+      version += 1;
+    }
+    save.version = version;
+    return save;
+  }
+
+  /**
+   * Local storage key prefix owned by a slot.
+   * @param {number} slot - Save slot.
+   * @returns {string}
+   */
+  static namespace(slot) {
+    return `slot${slot}/`;
+  }
+
+  /**
+   * Returns true if a storage key belongs to the game: a slot, or the save
+   * from before slots existed and its bare chunk diffs.
+   * @param {string} key - Storage key.
+   * @returns {boolean}
+   */
+  static ownsKey(key) {
+    return (
+         /^slot\d+\//.test(key)
+      || key === Save.legacyKey
+      || Chunk.isChunkString(key)
+    );
+  }
+
+  /**
+   * Entity references are stored as positions since entity IDs are
+   * reassigned when chunks are loaded.
+   * @param {string} key - Property name.
+   * @param {any} value - Property value.
+   * @returns {any}
+   */
+  static replacer(key, value) {
+    if (key === "target") {
+      return (value === null) ? null : value.position;
+    }
+    return value;
+  }
+
+  /**
+   * Returns true if a save exists in the slot.
+   * @param {number} slot - Save slot.
+   * @returns {boolean}
+   */
+  static exists(slot) {
+    return Save.storage.get(Save.namespace(slot) + "meta") !== null;
+  }
+
+  /**
+   * Returns true if a save exists in any slot.
+   * @returns {boolean}
+   */
+  static anyExists() {
+    for (let slot = 0; slot < Save.slotCount; ++slot) {
+      if (Save.exists(slot)) return true;
+    }
+    return false;
+  }
+
+  /**
+   * Read the summary of every slot. Empty slots are null.
+   * @returns {Array.<SaveMeta | null>}
+   */
+  static listMeta() {
+    const metas = [];
+    for (let slot = 0; slot < Save.slotCount; ++slot) {
+      metas.push(Save.readMeta(slot));
+    }
+    return metas;
+  }
+
+  /**
+   * Read the summary of a slot.
+   * @param {number} slot - Save slot.
+   * @returns {SaveMeta | null}
+   */
+  static readMeta(slot) {
+    const json = Save.storage.get(Save.namespace(slot) + "meta");
+    if (json === null) return null;
+
+    try {
+      return JSON.parse(json);
+    } catch (error) {
+      console.error("Error:", error);
+      return null;
+    }
+  }
+
+  /**
+   * Capture the state of a running game.
+   * @param {import("./main.js").Game} game - Game data.
+   * @returns {SaveData}
+   */
+  static create(game) {
+    const diffs = game.chunks.collectDiffs(game.world, game.entities);
+
+    return {
+      version: Save.version,
+      player: game.player,
+      world: game.world,
+      scheduler: game.scheduler,
+      camera: game.renderer.camera,
+      distance: game.chunks.distance,
+      playTime: game.playTime,
+      chunkDiffs: diffs.chunkDiffs,
+      entityDiffs: diffs.entityDiffs,
+      exploredDiffs: diffs.exploredDiffs,
+    };
+  }
+
+  /**
+   * Write the state of a running game to its slot.
+   * @param {import("./main.js").Game} game - Game data.
+   */
+  static write(game) {
+    const now = Date.now();
+    game.playTime += now - game.playClock;
+    game.playClock = now;
+
+    Save.storage.set(
+      Save.namespace(game.slot) + "save",
+      JSON.stringify(Save.create(game), Save.replacer)
+    );
+    Save.storage.set(
+      Save.namespace(game.slot) + "meta",
+      JSON.stringify(Save.metaFrom(game.player, game.world.depth, game.playTime))
+    );
+  }
+
+  /**
+   * Summarize a save.
+   * @param {object} player - Player data.
+   * @param {number} depth - Dungeon depth.
+   * @param {number} playTime - Time played in milliseconds.
+   * @returns {SaveMeta}
+   */
+  static metaFrom(player, depth, playTime) {
+    return {
+      name: player.name,
+      combatClass: player.combatClass,
+      level: player.level,
+      depth: depth,
+      playTime: playTime,
+    };
+  }
+
+  /**
+   * Read the save of a slot.
+   * @param {number} slot - Save slot.
+   * @returns {SaveData | null}
+   */
+  static read(slot) {
+    const json = Save.storage.get(Save.namespace(slot) + "save");
+    if (json === null) return null;
+
+    try {
+      return Save.migrate(JSON.parse(json));
+    } catch (error) {
+      console.error("Error:", error);
+      return null;
+    }
+  }
+
+  /**
+   * Export the save of a slot as a portable JSON document.
+   * @param {number} slot - Save slot.
+   * @returns {string | null}
+   */
+  static exportSlot(slot) {
+    const save = Save.read(slot);
+    const meta = Save.readMeta(slot);
+    if (save === null || meta === null) return null;
+
+    /** @type {SaveDocument} */
+    const doc = {
+      format: Save.format,
+      version: save.version,
+      meta: meta,
+      save: save,
+    };
+
+    return JSON.stringify(doc);
+  }
+
+  /**
+   * Check that a parsed document is an exported save this version can read.
+   * @param {any} doc - Parsed JSON document.
+   * @returns {string | null} - A description of the problem, or null if valid.
+   */
+  static checkDocument(doc) {
+    const isObject = (o) => typeof o === "object" && o !== null && !Array.isArray(o);
+
+    if (!isObject(doc) || doc.format !== Save.format) {
+      return "Not a Rogue JS save file.";
+    }
+    if (!Number.isInteger(doc.version) || doc.version < 0) {
+      return "Save file has no valid version.";
+    }
+    if (doc.version > Save.version) {
+      return `Save file version ${doc.version} is newer than this game (${Save.version}).`;
+    }
+    if (!isObject(doc.save) || !isObject(doc.meta)) {
+      return "Save file is missing its save data.";
+    }
+
+    return null;
+  }
+
+  /**
+   * Check that save data of the current version can be restored.
+   * @param {any} save - Migrated save data.
+   * @returns {string | null} - A description of the problem, or null if valid.
+   */
+  static validate(save) {
+    const isObject = (o) => typeof o === "object" && o !== null && !Array.isArray(o);
+
+    if (
+         !isObject(save.world)
+      || !Number.isInteger(save.world.seed)
+      || !Number.isInteger(save.world.depth)
+      || !Number.isInteger(save.world.width)
+      || !Number.isInteger(save.world.height)
+      || !isObject(save.world.tiles)
+    ) {
+      return "Save file has an invalid world.";
+    }
+    if (
+         !isObject(save.player)
+      || !isObject(save.player.position)
+      || EntityManager.getIDType(save.player.id) !== EntityType.Player
+    ) {
+      return "Save file has an invalid player.";
+    }
+    if (!isObject(save.scheduler) || !Number.isInteger(save.scheduler.time)) {
+      return "Save file has an invalid scheduler.";
+    }
+    if (!isObject(save.camera) || !Number.isInteger(save.distance)) {
+      return "Save file has an invalid camera.";
+    }
+
+    const diffs = [save.chunkDiffs, save.entityDiffs, save.exploredDiffs];
+    for (let i = 0; i < diffs.length; ++i) {
+      if (!isObject(diffs[i])) {
+        return "Save file has invalid chunk diffs.";
+      }
+      const keys = Object.keys(diffs[i]);
+      for (let j = 0; j < keys.length; ++j) {
+        if (!Chunk.isChunkString(keys[j]) || typeof diffs[i][keys[j]] !== "string") {
+          return `Save file has an invalid chunk diff: ${keys[j]}`;
+        }
+      }
+    }
+
+    const keys = Object.keys(save.entityDiffs);
+    for (let i = 0; i < keys.length; ++i) {
+      try {
+        if (!Array.isArray(JSON.parse(save.entityDiffs[keys[i]]))) throw keys[i];
+      } catch (error) {
+        return `Save file has an invalid entity diff: ${keys[i]}`;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Import a portable JSON document into a slot, replacing its save.
+   * @param {string} json - Exported save document.
+   * @param {number} slot - Save slot.
+   * @returns {string | null} - A description of the problem, or null on success.
+   */
+  static importSlot(json, slot) {
+    let doc;
+    try {
+      doc = JSON.parse(json);
+    } catch (error) {
+      return "Save file is not valid JSON.";
+    }
+
+    let error = Save.checkDocument(doc);
+    if (error !== null) return error;
+
+    let save;
+    try {
+      doc.save.version = doc.version;
+      save = Save.migrate(doc.save);
+    } catch (error) {
+      return `Save file version ${doc.version} could not be upgraded.`;
+    }
+
+    error = Save.validate(save);
+    if (error !== null) return error;
+
+    Save.delete(slot);
+    Save.storage.set(Save.namespace(slot) + "save", JSON.stringify(save));
+    Save.storage.set(
+      Save.namespace(slot) + "meta",
+      JSON.stringify(Save.metaFrom(save.player, save.world.depth, save.playTime ?? 0))
+    );
+
+    return null;
+  }
+
+  /**
+   * Delete the save of a slot along with all of its chunk diffs.
+   * @param {number} slot - Save slot.
+   */
+  static delete(slot) {
+    const keys = Save.storage.list(Save.namespace(slot));
+    for (let i = 0; i < keys.length; ++i) {
+      Save.storage.delete(keys[i]);
+    }
+  }
+
+  /**
+   * Move a save from before slots existed into the first empty slot.
+   */
+  static migrateLegacy() {
+    const json = Save.storage.get(Save.legacyKey);
+    if (json === null) return;
+
+    let slot = 0;
+    while (slot < Save.slotCount && Save.exists(slot)) slot += 1;
+    if (slot === Save.slotCount) return;
+
+    try {
+      const save = Save.migrate(JSON.parse(json));
+      const namespace = Save.namespace(slot);
+
+      // Bare chunk diff keys belonged to the legacy save.
+      const keys = Save.storage.list("");
+      for (let i = 0; i < keys.length; ++i) {
+        if (Chunk.isChunkString(keys[i])) {
+          Save.storage.set(namespace + keys[i], Save.storage.get(keys[i]));
+          Save.storage.delete(keys[i]);
+        }
+      }
+
+      save.playTime = 0;
+      Save.storage.set(namespace + "save", JSON.stringify(save));
+      Save.storage.set(
+        namespace + "meta",
+        JSON.stringify(Save.metaFrom(save.player, save.world.depth, 0))
+      );
+    } catch (error) {
+      console.error("Error:", error);
+      return;
+    }
+
+    Save.storage.delete(Save.legacyKey);
+  }
+
+  /**
+   * Restore a game session from save data. Chunk diffs left in storage
+   * are replaced by the diffs of the save.
+   * @param {SaveData} save - Save data.
+   * @param {number} slot - Save slot the session belongs to.
+   * @param {import("./main.js").Game} game - Game data.
+   */
+  static restore(save, slot, game) {
+    game.slot = slot;
+    game.playTime = save.playTime ?? 0;
+    game.playClock = Date.now();
+    game.world = World.from(save.world);
+    game.scheduler = Scheduler.from(save.scheduler);
+    game.entities = new EntityManager();
+    game.player = Player.from(save.player);
+    game.entities.insert(game.player);
+    game.renderer.camera = Camera.from(save.camera);
+
+    ChunkManager.clearStorage(Save.storage, Save.namespace(slot));
+
+    game.chunks = new ChunkManager(
+      game.player.position,
+      game.world.width,
+      game.world.height,
+      save.distance,
+      Save.namespace(slot),
+      Save.storage
+    );
+    game.chunks.storeDiffs(save);
+    game.chunks.update(game.player.position, game.world, game.entities, true);
+    game.chunks.setID(game.player.position, game.player.id);
+
+    if (game.player.target !== null) {
+      const id = game.chunks.getID(game.player.target);
+      game.player.target = (id === undefined) ? null : game.entities.lookup(id);
+    }
+  }
+}
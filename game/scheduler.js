@@ -0,0 +1,207 @@
+/**
+ * @fileoverview Copyright (c) 2023 Jaedin Davasligil
+ *
+ * Rogue-JS is a pure javascript browser dungeon crawler.
+ * @package
+ */
+
+"use strict";
+
+import { MinHeap } from "../lib/minheap.js";
+import { EntityType } from "./archetype/archetype.js";
+import { AI } from "./ai.js";
+import { Light } from "./light.js";
+import { writeLog } from "./render/text.js";
+import { Event } from "./types.js";
+
+/**
+ * An actor waiting in the queue for its next action.
+ * @typedef {Object} ScheduleEntry
+ * @property {number} time - Tick the actor acts at.
+ * @property {number} order - Tie-breaker, earlier entries act first.
+ * @property {object} actor - Player or monster.
+ */
+
+/**
+ * Class ordering the actions of the player and monsters by the time they
+ * are next due. Every actor stores its own `nextAction` tick, which is saved
+ * along with it, so only the clock needs to be saved with the session.
+ */
+export class Scheduler {
+  /** Ticks in a turn, divisible by every common speed. */
+  static ticksPerTurn = 1440;
+
+  /** Game-minutes in a turn. */
+  static minutesPerTurn = 10;
+
+  /**
+   * Create a Scheduler.
+   * @param {number} time - Ticks elapsed since character creation.
+   * @returns {Scheduler}
+   */
+  constructor(time=0) {
+    this.time = time;
+    this.order = 0;
+
+    /** @type {MinHeap} */
+    this.queue = new MinHeap((a, b) => (a.time - b.time) || (a.order - b.order));
+
+    /**
+     * Actors with an entry in the queue.
+     * @type {Set.<object>}
+     */
+    this.actors = new Set();
+  }
+
+  /**
+   * Deserialize from JSON. Actors are scheduled again once loaded.
+   * @param {object} json - JSON object.
+   * @returns {Scheduler}
+   */
+  static from(json) {
+    return new Scheduler(json.time);
+  }
+
+  /**
+   * Serialize only the clock, the queue is rebuilt from the actors.
+   * @returns {object}
+   */
+  toJSON() {
+    return {time: this.time};
+  }
+
+  /**
+   * Returns the ticks an action takes at a given speed.
+   * @param {number} moves - Moves the action costs.
+   * @param {number} speed - Moves per turn of the actor.
+   * @returns {number}
+   */
+  static delay(moves, speed) {
+    return Math.ceil(moves * Scheduler.ticksPerTurn / Math.max(1, speed));
+  }
+
+  /**
+   * Returns the game-minutes elapsed.
+   * @returns {number}
+   */
+  minutes() {
+    return Math.floor(this.time * Scheduler.minutesPerTurn / Scheduler.ticksPerTurn);
+  }
+
+  /**
+   * Queue an actor to act at a given tick, never earlier than now.
+   * @param {object} actor - Player or monster.
+   * @param {number} time - Tick the actor acts at.
+   */
+  schedule(actor, time) {
+    actor.nextAction = Math.max(this.time, time);
+    this.actors.add(actor);
+    this.queue.add({time: actor.nextAction, order: this.order++, actor: actor});
+  }
+
+  /**
+   * Push back the next action of an actor by the time an action costs it.
+   * @param {object} actor - Player or monster.
+   * @param {number} moves - Moves the action costs.
+   */
+  spend(actor, moves) {
+    this.schedule(actor, Math.max(this.time, actor.nextAction) + Scheduler.delay(moves, actor.speed));
+  }
+
+  /**
+   * Queue the player and every loaded monster not yet queued. Monsters
+   * left frozen in unloaded chunks act as soon as they are loaded again.
+   * @param {import("./main.js").Game} game - Game data.
+   */
+  admit(game) {
+    if (!this.actors.has(game.player)) {
+      this.schedule(game.player, game.player.nextAction);
+    }
+
+    const monsters = game.entities.all(EntityType.Monster);
+    for (let i = 0; i < monsters.length; ++i) {
+      if (monsters[i] && !this.actors.has(monsters[i])) {
+        this.schedule(monsters[i], monsters[i].nextAction);
+      }
+    }
+  }
+
+  /**
+   * Returns true if a queued entry is out of date: the actor was pushed back
+   * or is no longer loaded.
+   * @param {import("./main.js").Game} game - Game data.
+   * @param {ScheduleEntry} entry - Queued entry.
+   * @returns {boolean}
+   */
+  stale(game, entry) {
+    return (
+         entry.time !== entry.actor.nextAction
+      || game.entities.lookup(entry.actor.id) !== entry.actor
+    );
+  }
+
+  /**
+   * Move the clock forward, keeping `world.time` in step and ending every
+   * turn passed.
+   * @param {import("./main.js").Game} game - Game data.
+   * @param {number} time - Tick moved to.
+   */
+  advance(game, time) {
+    const turns = Math.floor(time / Scheduler.ticksPerTurn) - Math.floor(this.time / Scheduler.ticksPerTurn);
+
+    this.time = time;
+    game.world.time = this.minutes();
+
+    for (let i = 0; i < turns; ++i) {
+      Scheduler.endTurn(game);
+    }
+  }
+
+  /**
+   * Effects lasting a number of turns wear off, light sources burn fuel,
+   * and the game is saved.
+   * @param {import("./main.js").Game} game - Game data.
+   */
+  static endTurn(game) {
+    game.player.turn += 1;
+    game.events.pushBack(Event.SaveGame);
+
+    if (game.player.blinded > 0) {
+      game.player.blinded -= 1;
+      if (game.player.blinded === 0) writeLog("You can see again.");
+    }
+
+    Light.burn(game);
+    Light.fade(game);
+  }
+
+  /**
+   * Let every actor due act in order until it is the player's turn again,
+   * or the player is dead.
+   * @param {import("./main.js").Game} game - Game data.
+   * @param {import("./ai.js").MoveFunction} move - Moves an entity one step.
+   */
+  run(game, move) {
+    this.admit(game);
+    AI.chase = null;
+
+    while (this.queue.length > 0) {
+      const entry = this.queue.peek();
+
+      if (this.stale(game, entry)) {
+        this.queue.remove();
+        if (entry.actor.nextAction === entry.time) this.actors.delete(entry.actor);
+        continue;
+      }
+
+      // Nothing acts once the player is dead.
+      if (game.player.hitPoints <= 0) return;
+
+      this.advance(game, entry.time);
+      if (entry.actor === game.player) return;
+
+      this.queue.remove();
+      this.spend(entry.actor, AI.act(game, entry.actor, move));
+    }
+  }
+}
@@ -0,0 +1,261 @@
+/**
+ * @fileoverview Copyright (c) 2023 Jaedin Davasligil
+ *
+ * Rogue-JS is a pure javascript browser dungeon crawler.
+ * @package
+ */
+
+"use strict";
+
+import { FRNG } from "../lib/fast-random.js";
+import { LockTrapType, LockType } from "./archetype/archetype.js";
+import { Door } from "./archetype/door.js";
+import { Player } from "./archetype/player.js";
+import { writeLog } from "./render/text.js";
+import { Tile } from "./tile.js";
+import { Trap } from "./trap.js";
+
+/** Class of functions resolving actions made in Stealth mode. */
+export class Stealth {
+  /** Moves spent on each attempt to pick a lock. */
+  static pickMoves = 6;
+
+  /** Moves spent working jammed picks free of a lock. */
+  static jamMoves = 12;
+
+  /** Moves spent searching a lock for traps. */
+  static searchMoves = 6;
+
+  /** Moves spent on each attempt to disarm a trap. */
+  static disarmMoves = 6;
+
+  /** Base percentile chance to find a trap on a lock. */
+  static findChance = 15;
+
+  /** Base percentile chance to disarm a trap found. */
+  static disarmChance = 20;
+
+  /** Percentile rolls above this are fumbles when picking a lock. */
+  static fumbleRoll = 95;
+
+  /** Name of the inventory item used to pick locks. */
+  static toolName = "Thieves' Picks";
+
+  /** Spell opening magic locks, cast from a level 2 spell slot. */
+  static knockSpell = {name: "Knock", level: 2};
+
+  /** Inventory items opening magic locks, and whether each is used up. */
+  static knockItems = {
+    "Scroll of Knock":  true,
+    "Chime of Opening": false,
+  };
+
+  /** Base percentile chance to pick a lock, indexed by LockType. */
+  static lockChance = [
+     0, // None
+    60, // Rusty
+    45, // Simple
+    30, // Sturdy
+    15, // Intricate
+     5, // Master
+     0, // Magic
+  ];
+
+  /** Percentile bonus to pick locks and handle traps by class: base plus per level. */
+  static classChance = {
+    Thief:    {base: 20, perLevel: 5},
+    Assassin: {base: 10, perLevel: 4},
+    Acrobat:  {base:  5, perLevel: 2},
+  };
+
+  /**
+   * Returns the index of an inventory item by name, or -1.
+   * @param {Player} player - Player data.
+   * @param {string} name - Item name.
+   * @returns {number}
+   */
+  static findItem(player, name) {
+    return player.inventory.findIndex((item) => item?.name === name);
+  }
+
+  /**
+   * Returns the percentile chance of a stealth skill, adding the class bonus
+   * and the modifier of the ability score it relies on.
+   * @param {Player} player - Player data.
+   * @param {number} base - Base percentile chance.
+   * @param {string} score - Ability score key, e.g., "dex".
+   * @param {boolean} tools - Whether the skill needs picks to be done well.
+   * @returns {number}
+   */
+  static skillChance(player, base, score, tools) {
+    const skill = Stealth.classChance[player.combatClass];
+
+    let chance = base + Player.getMod(player.scores[score]) * 5;
+    if (skill !== undefined) {
+      chance += skill.base + skill.perLevel * (player.level - 1);
+    }
+
+    // Improvised tools only manage half as well.
+    if (tools && Stealth.findItem(player, Stealth.toolName) < 0) {
+      chance = Math.floor(chance / 2);
+    }
+
+    return Math.min(95, Math.max(1, chance));
+  }
+
+  /**
+   * Returns the percentile chance of the player picking a lock.
+   * @param {Player} player - Player data.
+   * @param {LockType} lock - Lock tier.
+   * @returns {number}
+   */
+  static pickChance(player, lock) {
+    return Stealth.skillChance(player, Stealth.lockChance[lock], "dex", true);
+  }
+
+  /**
+   * Search a lock for traps. Each lock is only searched once.
+   * @param {import("./main.js").Game} game - Game data.
+   * @param {Door} door - Door searched.
+   * @returns {number} - Moves spent.
+   */
+  static searchTrap(game, door) {
+    const chance = Stealth.skillChance(game.player, Stealth.findChance, "wis", false);
+
+    door.trapSearched = true;
+    door.trapFound = door.trap !== LockTrapType.None
+      && FRNG.randInt(game.rng, 1, 101) <= chance;
+
+    writeLog(
+      door.trapFound
+        ? `You find a ${Trap.names[door.trap]} trap on the lock.`
+        : "You search the lock and find no traps."
+    );
+    return Stealth.searchMoves;
+  }
+
+  /**
+   * Try to disarm a trap found on a lock. A fumble sets it off.
+   * @param {import("./main.js").Game} game - Game data.
+   * @param {Door} door - Door disarmed.
+   * @returns {number} - Moves spent.
+   */
+  static disarmTrap(game, door) {
+    const chance = Stealth.skillChance(game.player, Stealth.disarmChance, "dex", true);
+    const roll = FRNG.randInt(game.rng, 1, 101);
+
+    if (roll <= chance) {
+      writeLog(`You disarm the ${Trap.names[door.trap]} trap.`);
+      door.trap = LockTrapType.None;
+      door.trapFound = false;
+    } else if (roll <= Stealth.fumbleRoll) {
+      writeLog(`You fail to disarm the ${Trap.names[door.trap]} trap.`);
+    } else {
+      writeLog("You slip!");
+      Trap.trigger(game, door);
+    }
+    return Stealth.disarmMoves;
+  }
+
+  /**
+   * Open a magic lock with the Knock spell or an item. Never rolled.
+   * @param {import("./main.js").Game} game - Game data.
+   * @param {Door} door - Door unlocked.
+   * @returns {number} - Moves spent.
+   */
+  static unlockMagic(game, door) {
+    const player = game.player;
+    const slot = Stealth.knockSpell.level - 1;
+
+    if (player.spells.includes(Stealth.knockSpell.name) && player.spellSlots[slot] > 0) {
+      player.spellSlots[slot] -= 1;
+      door.lock = LockType.None;
+      writeLog(`You cast ${Stealth.knockSpell.name}. The magic lock springs open.`);
+      return 1;
+    }
+
+    const names = Object.keys(Stealth.knockItems);
+    for (let i = 0; i < names.length; ++i) {
+      const idx = Stealth.findItem(player, names[i]);
+      if (idx < 0) continue;
+
+      if (Stealth.knockItems[names[i]]) player.inventory.splice(idx, 1);
+      door.lock = LockType.None;
+      writeLog(`You use the ${names[i]}. The magic lock springs open.`);
+      return 1;
+    }
+
+    writeLog("The lock is sealed by magic. No pick will open it.");
+    return 0;
+  }
+
+  /**
+   * Work on a locked door: search the lock for traps, disarm any trap
+   * found, then pick the lock.
+   * @param {import("./main.js").Game} game - Game data.
+   * @param {Door} door - Door bumped.
+   * @returns {number} - Moves spent.
+   */
+  static handleLock(game, door) {
+    if (door.tile !== Tile.Granite && door.lock !== LockType.None) {
+      if (!door.trapSearched) return Stealth.searchTrap(game, door);
+      if (door.trapFound) return Stealth.disarmTrap(game, door);
+    }
+    return Stealth.pickLock(game, door);
+  }
+
+  /**
+   * Try to pick the lock of a door, costing `Stealth.pickMoves` per attempt.
+   * A failure sets off any trap on the lock. A fumble also jams the picks,
+   * which may snap, or breaks the lock for good.
+   * @param {import("./main.js").Game} game - Game data.
+   * @param {Door} door - Door bumped.
+   * @returns {number} - Moves spent.
+   */
+  static pickLock(game, door) {
+    if (door.tile === Tile.Granite) {
+      writeLog("There is a wall in the way.");
+      return 0;
+    }
+    if (door.lock === LockType.None) {
+      writeLog("There is no lock to pick.");
+      return 0;
+    }
+    if (door.lock === LockType.Magic) {
+      return Stealth.unlockMagic(game, door);
+    }
+    if (door.jammed) {
+      writeLog("The lock is broken. It will have to be forced.");
+      return 0;
+    }
+
+    const player = game.player;
+    const roll = FRNG.randInt(game.rng, 1, 101);
+
+    if (roll <= Stealth.pickChance(player, door.lock)) {
+      door.lock = LockType.None;
+      writeLog("You pick the lock.");
+      return Stealth.pickMoves;
+    }
+
+    writeLog("You fail to pick the lock.");
+    Trap.trigger(game, door);
+
+    if (roll <= Stealth.fumbleRoll) return Stealth.pickMoves;
+
+    const picks = Stealth.findItem(player, Stealth.toolName);
+    if (picks < 0) {
+      door.jammed = true;
+      writeLog("Something snaps inside the lock. It is broken.");
+      return Stealth.pickMoves;
+    }
+
+    if (FRNG.randInt(game.rng, 0, 2) === 0) {
+      player.inventory.splice(picks, 1);
+      writeLog("Your picks jam in the lock and snap.");
+    } else {
+      writeLog("Your picks jam in the lock. You work them free.");
+    }
+    return Stealth.pickMoves + Stealth.jamMoves;
+  }
+}
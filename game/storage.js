@@ -0,0 +1,338 @@
+/**
+ * @fileoverview Copyright (c) 2023 Jaedin Davasligil
+ *
+ * Rogue-JS is a pure javascript browser dungeon crawler.
+ * @package
+ */
+
+"use strict";
+
+/**
+ * Interface of a key-value storage backend. Every method is async.
+ * @typedef {Object} StorageBackend
+ * @property {function(string): Promise<string | null>} get - Value of a key, or null.
+ * @property {function(string, string): Promise<void>} set - Set the value of a key.
+ * @property {function(string): Promise<void>} delete - Delete a key.
+ * @property {function(string): Promise<Array.<string>>} list - Keys starting with a prefix.
+ */
+
+/** Storage backend keeping everything in memory. Used outside the browser. */
+export class MemoryStorage {
+  /**
+   * Create an empty MemoryStorage.
+   * @returns {MemoryStorage}
+   */
+  constructor() {
+    /** @type {Map.<string, string>} */
+    this.data = new Map();
+  }
+
+  /**
+   * Get the value of a key.
+   * @param {string} key - Storage key.
+   * @returns {Promise<string | null>}
+   */
+  async get(key) {
+    return this.data.get(key) ?? null;
+  }
+
+  /**
+   * Set the value of a key.
+   * @param {string} key - Storage key.
+   * @param {string} value - Value stored.
+   * @returns {Promise<void>}
+   */
+  async set(key, value) {
+    this.data.set(key, value);
+  }
+
+  /**
+   * Delete a key.
+   * @param {string} key - Storage key.
+   * @returns {Promise<void>}
+   */
+  async delete(key) {
+    this.data.delete(key);
+  }
+
+  /**
+   * List the keys starting with a prefix.
+   * @param {string} prefix - Key prefix.
+   * @returns {Promise<Array.<string>>}
+   */
+  async list(prefix) {
+    return [...this.data.keys()].filter((key) => key.startsWith(prefix));
+  }
+}
+
+/** Storage backend using the browser local storage (about 5MB). */
+export class LocalStorage {
+  /**
+   * Create a LocalStorage backend.
+   * @param {Storage} storage - Web storage object.
+   * @returns {LocalStorage}
+   */
+  constructor(storage=window.localStorage) {
+    this.storage = storage;
+  }
+
+  /**
+   * Get the value of a key.
+   * @param {string} key - Storage key.
+   * @returns {Promise<string | null>}
+   */
+  async get(key) {
+    return this.storage.getItem(key);
+  }
+
+  /**
+   * Set the value of a key.
+   * @param {string} key - Storage key.
+   * @param {string} value - Value stored.
+   * @returns {Promise<void>}
+   */
+  async set(key, value) {
+    this.storage.setItem(key, value);
+  }
+
+  /**
+   * Delete a key.
+   * @param {string} key - Storage key.
+   * @returns {Promise<void>}
+   */
+  async delete(key) {
+    this.storage.removeItem(key);
+  }
+
+  /**
+   * List the keys starting with a prefix.
+   * @param {string} prefix - Key prefix.
+   * @returns {Promise<Array.<string>>}
+   */
+  async list(prefix) {
+    const keys = [];
+    for (let i = 0; i < this.storage.length; ++i) {
+      if (this.storage.key(i).startsWith(prefix)) {
+        keys.push(this.storage.key(i));
+      }
+    }
+    return keys;
+  }
+}
+
+/** Storage backend using a browser IndexedDB object store. */
+export class IndexedDBStorage {
+  /**
+   * Create an IndexedDBStorage from an open database.
+   * @param {IDBDatabase} db - Open database.
+   * @returns {IndexedDBStorage}
+   */
+  constructor(db) {
+    this.db = db;
+  }
+
+  static storeName = "keyval";
+
+  /**
+   * Open (or create) the database.
+   * @param {string} name - Database name.
+   * @returns {Promise<IndexedDBStorage>}
+   */
+  static open(name="rogue-js") {
+    return new Promise((resolve, reject) => {
+      const request = window.indexedDB.open(name, 1);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(IndexedDBStorage.storeName);
+      };
+      request.onsuccess = () => resolve(new IndexedDBStorage(request.result));
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * Run a single request in its own transaction.
+   * @param {IDBTransactionMode} mode - Transaction mode.
+   * @param {function(IDBObjectStore): IDBRequest} fn - Creates the request.
+   * @returns {Promise<any>} - Resolves to the request result once committed.
+   */
+  transact(mode, fn) {
+    return new Promise((resolve, reject) => {
+      const tx = this.db.transaction(IndexedDBStorage.storeName, mode);
+      const request = fn(tx.objectStore(IndexedDBStorage.storeName));
+      tx.oncomplete = () => resolve(request.result);
+      tx.onerror = () => reject(tx.error ?? request.error);
+      tx.onabort = () => reject(tx.error ?? request.error);
+    });
+  }
+
+  /**
+   * Get the value of a key.
+   * @param {string} key - Storage key.
+   * @returns {Promise<string | null>}
+   */
+  async get(key) {
+    return (await this.transact("readonly", (store) => store.get(key))) ?? null;
+  }
+
+  /**
+   * Set the value of a key.
+   * @param {string} key - Storage key.
+   * @param {string} value - Value stored.
+   * @returns {Promise<void>}
+   */
+  async set(key, value) {
+    await this.transact("readwrite", (store) => store.put(value, key));
+  }
+
+  /**
+   * Delete a key.
+   * @param {string} key - Storage key.
+   * @returns {Promise<void>}
+   */
+  async delete(key) {
+    await this.transact("readwrite", (store) => store.delete(key));
+  }
+
+  /**
+   * List the keys starting with a prefix.
+   * @param {string} prefix - Key prefix.
+   * @returns {Promise<Array.<string>>}
+   */
+  async list(prefix) {
+    return this.transact(
+      "readonly",
+      (store) => store.getAllKeys(IDBKeyRange.bound(prefix, prefix + '\uffff'))
+    );
+  }
+}
+
+/**
+ * Synchronous view of a storage backend. Every key is read into memory when
+ * opened, so chunk streaming never waits on the backend. Writes apply in
+ * memory at once and reach the backend in order in the background.
+ */
+export class StorageCache {
+  /**
+   * Create an empty StorageCache. Use `StorageCache.open` for existing data.
+   * @param {StorageBackend} backend - Storage backend.
+   * @returns {StorageCache}
+   */
+  constructor(backend=new MemoryStorage()) {
+    this.backend = backend;
+
+    /** @type {Map.<string, string>} */
+    this.data = new Map();
+
+    /**
+     * Pending backend writes.
+     * @type {Promise<void>}
+     */
+    this.writes = Promise.resolve();
+
+    /**
+     * Called with any error raised by a backend write.
+     * @type {function(Error): void}
+     */
+    this.onError = (error) => console.error("Error:", error);
+  }
+
+  /**
+   * Open a backend, reading all of its data into memory.
+   * @param {StorageBackend} backend - Storage backend.
+   * @returns {Promise<StorageCache>}
+   */
+  static async open(backend) {
+    const cache = new StorageCache(backend);
+    const keys = await backend.list("");
+    for (let i = 0; i < keys.length; ++i) {
+      cache.data.set(keys[i], await backend.get(keys[i]));
+    }
+    return cache;
+  }
+
+  /**
+   * Returns true if the error was caused by running out of storage space.
+   * @param {any} error - Error raised by a backend.
+   * @returns {boolean}
+   */
+  static isQuotaExceeded(error) {
+    return (
+         error?.name === "QuotaExceededError"
+      || error?.name === "NS_ERROR_DOM_QUOTA_REACHED"
+    );
+  }
+
+  /**
+   * Get the value of a key.
+   * @param {string} key - Storage key.
+   * @returns {string | null}
+   */
+  get(key) {
+    return this.data.get(key) ?? null;
+  }
+
+  /**
+   * Set the value of a key.
+   * @param {string} key - Storage key.
+   * @param {string} value - Value stored.
+   */
+  set(key, value) {
+    this.data.set(key, value);
+    this.persist(() => this.backend.set(key, value));
+  }
+
+  /**
+   * Delete a key.
+   * @param {string} key - Storage key.
+   */
+  delete(key) {
+    if (!this.data.delete(key)) return;
+    this.persist(() => this.backend.delete(key));
+  }
+
+  /**
+   * List the keys starting with a prefix.
+   * @param {string} prefix - Key prefix.
+   * @returns {Array.<string>}
+   */
+  list(prefix) {
+    return [...this.data.keys()].filter((key) => key.startsWith(prefix));
+  }
+
+  /**
+   * Queue a backend write after those already pending.
+   * @param {function(): Promise<void>} write - Backend write.
+   */
+  persist(write) {
+    this.writes = this.writes.then(write).catch((error) => this.onError(error));
+  }
+
+  /**
+   * Wait for every pending backend write.
+   * @returns {Promise<void>}
+   */
+  flush() {
+    return this.writes;
+  }
+
+  /**
+   * Move the data of another backend into this one. Only keys accepted by
+   * the filter are moved, the rest may belong to other pages of the origin.
+   * Keys already present are kept. Data is only removed from the other
+   * backend once written.
+   * @param {StorageBackend} other - Backend data is moved from.
+   * @param {function(string): boolean} owns - Returns true for keys to move.
+   * @returns {Promise<void>}
+   */
+  async adopt(other, owns) {
+    const keys = (await other.list("")).filter(owns);
+    for (let i = 0; i < keys.length; ++i) {
+      if (!this.data.has(keys[i])) {
+        const value = await other.get(keys[i]);
+        await this.backend.set(keys[i], value);
+        this.data.set(keys[i], value);
+      }
+      await other.delete(keys[i]);
+    }
+  }
+}
@@ -64,6 +64,19 @@ export const Tile = {
   Dog:            37,
   Skeleton:       38,
   Goblin:         39,
+
+  LeverUp:        40,
+  LeverDown:      41,
+}
+
+/**
+ * Whether or not the tile is rock or ore, which is terrain dug out of the
+ * map rather than an entity.
+ * @param {Tile} tile - Tile.
+ * @returns {boolean}
+ */
+export function tileRock(tile) {
+  return tile >= Tile.Granite && tile <= Tile.Gold;
 }
 
 /**
@@ -78,7 +91,27 @@ export function tileCollision(tile) {
       return true;
 
     default:
+      return tileRock(tile);
+  }
+}
+
+/**
+ * Whether or not the tile blocks sight by default.
+ * @param {Tile} tile - Tile.
+ * @returns {boolean}
+ */
+export function tileOcclusion(tile) {
+  switch(tile) {
+    case Tile.Wall:
+    case Tile.Bedrock:
+      return true;
+
+    // Rubble is heaped low enough to see over.
+    case Tile.Rubble:
       return false;
+
+    default:
+      return tileRock(tile);
   }
 }
 
@@ -88,7 +121,7 @@ export function tileCollision(tile) {
  * @returns {boolean}
  */
 export function tileEntity(tile) {
-  return tile > 3;
+  return tile > 3 && !tileRock(tile);
 }
 
 /**
@@ -0,0 +1,142 @@
+/**
+ * @fileoverview Copyright (c) 2023 Jaedin Davasligil
+ *
+ * Rogue-JS is a pure javascript browser dungeon crawler.
+ * @package
+ */
+
+"use strict";
+
+import { HIRO } from "../lib/hiro.js";
+import { EntityType, LockTrapType } from "./archetype/archetype.js";
+import { writeAction } from "./render/text.js";
+import { Tile } from "./tile.js";
+import { Event } from "./types.js";
+
+/**
+ * Damage dealt by a lock trap, halved by a successful saving throw.
+ * @typedef {Object} TrapDamage
+ * @property {number} n - Number of dice.
+ * @property {number} m - Faces on each die.
+ * @property {string | null} save - Key of `Player.saves` rolled, or null for none.
+ * @property {string} text - Description of the trap going off.
+ */
+
+/** Class of functions setting off lock traps. */
+export class Trap {
+  /** Distance in tiles within which an alarm wakes monsters. */
+  static alarmRadius = 16;
+
+  /** Turns (10 game-minutes each) the player stays blinded by darkness. */
+  static blindTurns = 3;
+
+  /** Radius in tiles of the magical darkness left by a darkness trap. */
+  static darknessRadius = 2;
+
+  /** Turns the magical darkness left by a darkness trap lasts. */
+  static darknessTurns = 6;
+
+  /**
+   * Names of lock traps, indexed by LockTrapType.
+   * @type {Array.<string>}
+   */
+  static names = ["", "alarm", "rock", "darkness", "cold", "poison", "fire"];
+
+  /**
+   * Damage of lock traps that hurt the player.
+   * @type {Object.<LockTrapType, TrapDamage>}
+   */
+  static damage = {
+    [LockTrapType.Rocks]:  {n: 2, m: 6, save: null,     text: "Rocks fall from the ceiling!"},
+    [LockTrapType.Cold]:   {n: 2, m: 6, save: "breath", text: "A blast of frost bursts from the lock!"},
+    [LockTrapType.Poison]: {n: 1, m: 8, save: "death",  text: "A poisoned needle pricks your finger!"},
+    [LockTrapType.Fire]:   {n: 3, m: 6, save: "breath", text: "Flames burst from the lock!"},
+  };
+
+  /**
+   * Returns true if the player makes a saving throw.
+   * @param {import("./main.js").Game} game - Game data.
+   * @param {string} save - Key of `Player.saves`.
+   * @returns {boolean}
+   */
+  static savingThrow(game, save) {
+    return HIRO.rollSum(game.rng, 1, 20) >= game.player.saves[save];
+  }
+
+  /**
+   * Wake every loaded monster within `Trap.alarmRadius` of a position.
+   * @param {import("./main.js").Game} game - Game data.
+   * @param {import("./types.js").Position} position - World coordinate.
+   * @returns {number} - Monsters woken.
+   */
+  static wakeMonsters(game, position) {
+    const monsters = game.entities.all(EntityType.Monster);
+
+    let woken = 0;
+    for (let i = 0; i < monsters.length; ++i) {
+      if (!monsters[i]?.asleep) continue;
+
+      if (
+           Math.abs(monsters[i].position.x - position.x) <= Trap.alarmRadius
+        && Math.abs(monsters[i].position.y - position.y) <= Trap.alarmRadius
+      ) {
+        monsters[i].asleep = false;
+        woken += 1;
+      }
+    }
+    return woken;
+  }
+
+  /**
+   * Set off the trap on a door's lock. Traps only go off once.
+   * @param {import("./main.js").Game} game - Game data.
+   * @param {import("./archetype/door.js").Door} door - Trapped door.
+   */
+  static trigger(game, door) {
+    const text = document.getElementById('game-text');
+    const player = game.player;
+    const trap = door.trap;
+
+    door.trap = LockTrapType.None;
+    door.trapFound = false;
+
+    switch (trap) {
+      case LockTrapType.None:
+        return;
+
+      case LockTrapType.Alarm:
+        Trap.wakeMonsters(game, door.position);
+        writeAction(text, "A bell rings out from the lock! Something stirs in the dark.");
+        return;
+
+      case LockTrapType.Darkness:
+        player.blinded = Math.max(player.blinded, Trap.blindTurns);
+        game.world.addDarkness(door.position, Trap.darknessRadius, player.turn + Trap.darknessTurns);
+        writeAction(text, "A cloud of inky darkness bursts from the lock. You are blinded!");
+        return;
+    }
+
+    const effect = Trap.damage[trap];
+    let damage = HIRO.rollSum(game.rng, effect.n, effect.m);
+
+    writeAction(text, effect.text);
+
+    if (effect.save !== null && Trap.savingThrow(game, effect.save)) {
+      damage = Math.floor(damage / 2);
+      writeAction(text, "You make your saving throw.");
+    }
+
+    player.hitPoints -= damage;
+    writeAction(text, `You take ${damage} damage.`);
+
+    if (player.hitPoints <= 0) {
+      writeAction(text, "The trap has killed you.");
+      game.events.pushBack(Event.PlayerDied);
+    }
+
+    if (trap === LockTrapType.Rocks) {
+      game.chunks.setTile(player.position, Tile.Rubble);
+      game.chunks.refreshCell(player.position, game.entities);
+    }
+  }
+}
@@ -19,6 +19,13 @@ export const Event = {
   ExitMainMenu:  2,
   EnterTutorial: 3,
   ExitTutorial:  4,
+  EnterCreation: 5,
+  ExitCreation:  6,
+  LoadGame:      7,
+  SaveGame:      8,
+  EnterSlots:    9,
+  PlayerActed:   10,
+  PlayerDied:    11,
 }
 
 
@@ -32,6 +39,15 @@ export const MainMenuOption = {
   Tutorial: "Tutorial",
 }
 
+/**
+ * Enumeration of what choosing a save slot does.
+ * @enum {number}
+ */
+export const SlotAction = {
+  Load: 0,
+  New:  1,
+}
+
 /**
  * Enumeration of all movement directions.
  * @enum {{x: number, y: number}}
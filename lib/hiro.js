@@ -17,6 +17,15 @@ export class HIRO {
   static isDigit(c) {
     return "0" <= c && c <= "9";
   }
+
+  /**
+   * Rolls a single die, every face equally likely.
+   * @param {function(): number} rng - Random Number Generator in range [0,1].
+   * @param {number} m - Number of faces on the die.
+   */
+  static rollDie(rng, m) {
+    return Math.min(m, 1 + Math.floor(rng() * m));
+  }
   
   /**
    * Rolls dice and returns the sum.
@@ -27,7 +36,7 @@ export class HIRO {
   static rollSum(rng, n, m) {
     let total = 0;
     for (let i = 0; i < n; ++i) {
-      total += Math.round(1 + rng() * (m - 1));
+      total += HIRO.rollDie(rng, m);
     }
     return total;
   }
@@ -44,7 +53,7 @@ export class HIRO {
     let iter = 0;
     for (let i = 0; i < n; ++i) {
       do {
-        roll = Math.round(1 + rng() * (m - 1));
+        roll = HIRO.rollDie(rng, m);
         total += roll;
         iter += 1;
       } while (roll === m && iter < 100);
@@ -62,12 +71,33 @@ export class HIRO {
     let roll = 0;
     let rollStar = 0;
     for (let i = 0; i < n; ++i) {
-      roll = Math.round(1 + rng() * (m - 1));
+      roll = HIRO.rollDie(rng, m);
       rollStar = Math.max(roll, rollStar);
     }
     return rollStar;
   }
 
+  /**
+   * Rolls dice and returns the sum of the k highest rolls.
+   * @param {function(): number} rng - Random Number Generator in range [0,1].
+   * @param {number} n - Number of dice.
+   * @param {number} m - Number of faces on each die.
+   * @param {number} k - Number of dice kept.
+   */
+  static rollSumKeepHigh(rng, n, m, k) {
+    const rolls = [];
+    for (let i = 0; i < n; ++i) {
+      rolls.push(HIRO.rollDie(rng, m));
+    }
+    rolls.sort((a, b) => b - a);
+
+    let total = 0;
+    for (let i = 0; i < Math.min(k, n); ++i) {
+      total += rolls[i];
+    }
+    return total;
+  }
+
   /**
    * Rolls open (exploding) dice and returns the highest roll.
    * @param {function(): number} rng - Random Number Generator in range [0,1].
@@ -83,7 +113,7 @@ export class HIRO {
       total = 0;
       iter = 0;
       do {
-        roll = Math.round(1 + rng() * (m - 1));
+        roll = HIRO.rollDie(rng, m);
         total += roll;
         iter += 1
       } while (roll === m && iter < 100);
@@ -102,7 +132,7 @@ export class HIRO {
     let roll = 0;
     let rollStar = Number.MAX_SAFE_INTEGER;
     for (let i = 0; i < n; ++i) {
-      roll = Math.round(1 + rng() * (m - 1));
+      roll = HIRO.rollDie(rng, m);
       rollStar = Math.min(roll, rollStar);
     }
     return rollStar;
@@ -123,7 +153,7 @@ export class HIRO {
       total = 0;
       iter = 0;
       do {
-        roll = Math.round(1 + rng() * (m - 1));
+        roll = HIRO.rollDie(rng, m);
         total += roll;
         iter += 1
       } while (roll === m && iter < 100);
@@ -154,18 +184,18 @@ export class HIRO {
     let y = parseInt(e.slice(e.indexOf('d') + 1));
 
     // Check if either are invalid
-    if (x * y === NaN) {
+    if (Number.isNaN(x * y)) {
       return NaN;
     }
 
     // Case of 'XdY'
-    if (HIRO.isDigit(e.at(e.length))) {
+    if (HIRO.isDigit(e.at(-1))) {
       return HIRO.rollSum(rng, x, y);
     }
 
-    switch(e.at(e.length)) {
+    switch(e.at(-1)) {
       case '!':
-        switch(e.at(e.length - 1)) {
+        switch(e.at(-2)) {
           case 'h':
             return HIRO.rollKeepHighOpen(rng, x, y);
           case 'l':
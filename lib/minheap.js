@@ -6,28 +6,36 @@
  * worldwide. This software is distributed without any warranty.
  * See <http://creativecommons.org/publicdomain/zero/1.0/>.
  *
- * A min-heap for storing numbers.
+ * A min-heap for storing numbers, or any items given a comparator.
  * @package
  */
 
 "use strict";
 
-/** Class for a numeric min-heap. */
+/** Class for a min-heap, numeric unless given a comparator. */
 export class MinHeap {
   /**
    * Create a min-heap.
+   * @param {function(any, any): number} compare - Negative if the first item comes first.
    * @returns {MinHeap}
    */
-  constructor() {
+  constructor(compare=(a, b) => a - b) {
     this.heap = [];
+    this.compare = compare;
   }
 
   /**
    * Deserialize from JSON.
    * @param {object} json - JSON object.
+   * @param {function(any, any): number} compare - Negative if the first item comes first.
    */
-  static from(json) {
-    return Object.assign(new MinHeap(), json);
+  static from(json, compare=undefined) {
+    return Object.assign(new MinHeap(compare), json);
+  }
+
+  /** Number of items in the heap. */
+  get length() {
+    return this.heap.length;
   }
 
   getLeftChildIndex(parentIndex) {
@@ -66,7 +74,7 @@ export class MinHeap {
 
   /**
    * Peek at the element at the top of the heap.
-   * @returns {number}
+   * @returns {any}
    */
   peek() {
     if (this.heap.length === 0) {
@@ -77,7 +85,7 @@ export class MinHeap {
 
   /**
    * Remove and return the item at the top of the heap.
-   * @returns {number}
+   * @returns {any}
    */
   remove() {
     if (this.heap.length === 0) {
@@ -92,7 +100,7 @@ export class MinHeap {
 
   /**
    * Add an item onto the heap.
-   * @returns {number}
+   * @param {any} item - Item added.
    */
   add(item) {
     this.heap.push(item);
@@ -101,7 +109,7 @@ export class MinHeap {
 
   heapifyUp() {
     let index = this.heap.length - 1;
-    while (this.hasParent(index) && this.parent(index) > this.heap[index]) {
+    while (this.hasParent(index) && this.compare(this.parent(index), this.heap[index]) > 0) {
       this.swap(this.getParentIndex(index), index);
       index = this.getParentIndex(index);
     }
@@ -111,10 +119,10 @@ export class MinHeap {
     let index = 0;
     while (this.hasLeftChild(index)) {
       let smallerChildIndex = this.getLeftChildIndex(index);
-      if (this.hasRightChild(index) && this.rightChild(index) < this.leftChild(index)) {
+      if (this.hasRightChild(index) && this.compare(this.rightChild(index), this.leftChild(index)) < 0) {
         smallerChildIndex = this.getRightChildIndex(index);
       }
-      if (this.heap[index] < this.heap[smallerChildIndex]) {
+      if (this.compare(this.heap[index], this.heap[smallerChildIndex]) < 0) {
         break;
       } else {
         this.swap(index, smallerChildIndex);
@@ -0,0 +1,119 @@
+/**
+ * @fileoverview Copyright (c) 2023 Jaedin Davasligil
+ *
+ * Rogue-JS is a pure javascript browser dungeon crawler.
+ * @package
+ */
+
+"use strict";
+
+import assert from "node:assert/strict";
+import { beforeEach, test } from "node:test";
+import { AI } from "../game/ai.js";
+import { Monster } from "../game/archetype/monster.js";
+import { InteractMode } from "../game/archetype/player.js";
+import { Interact } from "../game/interact.js";
+import { Direction, Event } from "../game/types.js";
+import { installDocument, logText } from "./document.js";
+import { move, newGame, sequence } from "./game.js";
+
+beforeEach(() => {
+  installDocument();
+  AI.chase = null;
+});
+
+/**
+ * A player and a monster some tiles east of them.
+ * @param {number} distance - Tiles between the player and the monster.
+ * @param {function(): number} rng - Random number generator of the game.
+ * @returns {{game: import("../game/main.js").Game, monster: Monster}}
+ */
+function setup(distance, rng) {
+  const game = newGame(rng);
+  game.player.hitPoints = 20;
+  game.player.armorClass = 10;
+
+  const monster = new Monster();
+  monster.name = "Goblin";
+  monster.hitPoints = monster.maxHitPoints = 8;
+  monster.position = {x: game.player.position.x + distance, y: game.player.position.y};
+  game.chunks.setID(monster.position, game.entities.insert(monster));
+  game.chunks.refreshCell(monster.position, game.entities);
+
+  return {game, monster};
+}
+
+test("steps toward and away from a position take the long axis first", () => {
+  assert.deepEqual(AI.directionsToward({x: 0, y: 0}, {x: 3, y: -1}), [Direction.Right, Direction.Up]);
+  assert.deepEqual(AI.directionsToward({x: 0, y: 0}, {x: 0, y: 2}), [Direction.Down]);
+  assert.deepEqual(
+    AI.directionsAway({x: 0, y: 0}, {x: 1, y: 0}),
+    [Direction.Left, Direction.Up, Direction.Down]
+  );
+});
+
+test("sleeping monsters nearby may wake, less often when the player sneaks", () => {
+  // A roll of 2 on a d6 wakes on 2 in 6, but not on 1 in 6.
+  let {game, monster} = setup(3, sequence(0.25));
+  monster.asleep = true;
+  AI.act(game, monster, move);
+  assert.equal(monster.asleep, false);
+
+  ({game, monster} = setup(3, sequence(0.25)));
+  monster.asleep = true;
+  game.player.mode = InteractMode.Stealth;
+  AI.act(game, monster, move);
+  assert.equal(monster.asleep, true);
+
+  ({game, monster} = setup(AI.wakeRadius + 1, sequence(0)));
+  monster.asleep = true;
+  AI.act(game, monster, move);
+  assert.equal(monster.asleep, true);
+});
+
+test("hostile monsters chase the player and attack when next to them", () => {
+  // The attack rolls a natural 20, then 6 and 6 on the 1d6 damage.
+  const {game, monster} = setup(2, sequence(0.99));
+  monster.hostile = true;
+
+  AI.act(game, monster, move);
+  assert.equal(monster.position.x, game.player.position.x + 1);
+  assert.equal(game.player.hitPoints, 20);
+
+  AI.act(game, monster, move);
+  assert.equal(game.player.hitPoints, 8);
+  assert.match(logText(), /The Goblin attacks you: d20 20/);
+});
+
+test("badly hurt monsters may flee", () => {
+  // 2d6 rolls 12, over a morale of 7.
+  const {game, monster} = setup(1, sequence(0.99));
+  monster.hostile = true;
+  monster.hitPoints = 3;
+
+  AI.act(game, monster, move);
+
+  assert.equal(monster.fleeing, true);
+  assert.equal(monster.position.x, game.player.position.x + 2);
+  assert.equal(game.player.hitPoints, 20);
+});
+
+test("monsters only turn hostile when attacked", () => {
+  const {game, monster} = setup(1, sequence(0.5));
+  assert.equal(monster.hostile, false);
+
+  game.player.mode = InteractMode.Combat;
+  Interact.dispatch(game, monster.id);
+
+  assert.equal(monster.hostile, true);
+});
+
+test("a monster dealing the last hit points slays the player", () => {
+  const {game, monster} = setup(1, sequence(0.99));
+  monster.hostile = true;
+  game.player.hitPoints = 1;
+
+  AI.act(game, monster, move);
+  assert.match(logText(), /You are slain by the Goblin/);
+  assert.equal(game.events.popFront(), Event.PlayerDied);
+});
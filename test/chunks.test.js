@@ -0,0 +1,122 @@
+/**
+ * @fileoverview Copyright (c) 2023 Jaedin Davasligil
+ *
+ * Rogue-JS is a pure javascript browser dungeon crawler.
+ * @package
+ */
+
+"use strict";
+
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { Door } from "../game/archetype/door.js";
+import { Monster } from "../game/archetype/monster.js";
+import { Chunk, ChunkManager } from "../game/chunk-manager.js";
+import { DiffCodec } from "../game/diff-codec.js";
+import { EntityManager } from "../game/entity-manager.js";
+import { World } from "../game/map-generation.js";
+import { MemoryStorage, StorageCache } from "../game/storage.js";
+import { Tile } from "../game/tile.js";
+
+const namespace = "slot0/";
+const door = {x: 3, y: 4};
+const near = {x: 8, y: 8};
+const far = {x: 5 * Chunk.size + 8, y: 8};
+
+/**
+ * A strip of floor six chunks long with a door in the first chunk.
+ * @returns {{world: World, em: EntityManager, storage: StorageCache, chunks: ChunkManager}}
+ */
+function setup() {
+  const world = new World(5, 1);
+  world.width = 6 * Chunk.size;
+  world.height = Chunk.size;
+  world.insert(Tile.ClosedDoor, door.x, door.y);
+
+  const em = new EntityManager();
+  const storage = new StorageCache(new MemoryStorage());
+  const chunks = new ChunkManager(near, world.width, world.height, 1, namespace, storage);
+  chunks.update(near, world, em, true);
+
+  return {world, em, storage, chunks};
+}
+
+test("entities are generated once and stored with their chunk", () => {
+  const {world, em, storage, chunks} = setup();
+
+  const generated = em.lookup(chunks.getID(door));
+  assert.ok(generated instanceof Door);
+  assert.equal(world.lookup(door.x, door.y), world.defaultTile);
+
+  Door.open(generated);
+  const monster = new Monster();
+  monster.position = {x: 10, y: 10};
+  chunks.setID(monster.position, em.insert(monster));
+
+  chunks.update(far, world, em);
+  assert.equal(chunks.getID(door), undefined);
+  assert.equal(em.lookup(generated.id), null);
+
+  const stored = storage.get(namespace + Chunk.toEntityKey("1_0_0"));
+  assert.equal(DiffCodec.decodeEntities(stored).length, 2);
+
+  chunks.update(near, world, em);
+
+  const reloaded = em.lookup(chunks.getID(door));
+  assert.ok(reloaded instanceof Door);
+  assert.equal(reloaded.open, true);
+  assert.ok(em.lookup(chunks.getID({x: 10, y: 10})) instanceof Monster);
+});
+
+test("chunks without entities are marked as generated", () => {
+  const {world, em, storage, chunks} = setup();
+
+  chunks.update(far, world, em);
+  assert.deepEqual(DiffCodec.decodeEntities(storage.get(namespace + Chunk.toEntityKey("1_1_0"))), []);
+});
+
+test("collected diffs include loaded, cached and stored chunks", () => {
+  const {world, em, storage, chunks} = setup();
+
+  chunks.setTile(near, Tile.Rubble);
+  chunks.update(far, world, em);
+  const diffs = chunks.collectDiffs(world, em);
+
+  assert.ok(diffs.chunkDiffs["1_0_0"].length > 0);
+  assert.equal(DiffCodec.decodeEntities(diffs.entityDiffs["1_0_0"]).length, 1);
+  assert.deepEqual(DiffCodec.decodeEntities(diffs.entityDiffs["1_5_0"]), []);
+
+  storage.set("theme", "dark");
+  ChunkManager.clearStorage(storage, namespace);
+  assert.deepEqual(storage.list(""), ["theme"]);
+});
+
+test("tile diffs in the version 0 text format are still loaded", () => {
+  const {world, em, storage} = setup();
+
+  storage.set(namespace + "1_5_0", "a,3:" + Tile.Rubble.toString(16) + ";f,f:" + Tile.Gold.toString(16));
+  const chunks = new ChunkManager(far, world.width, world.height, 1, namespace, storage);
+  chunks.update(far, world, em, true);
+
+  assert.equal(chunks.getTile({x: 5 * Chunk.size + 10, y: 3}), Tile.Rubble);
+  assert.equal(chunks.getTile({x: 5 * Chunk.size + 15, y: 15}), Tile.Gold);
+});
+
+test("the tiles seen are remembered once their chunk unloads", () => {
+  const {world, em, storage, chunks} = setup();
+
+  chunks.remember(door, em);
+  chunks.remember(near, em);
+  assert.equal(chunks.getMemory(door), Tile.ClosedDoor);
+  assert.equal(chunks.getMemory({x: 10, y: 10}), undefined);
+
+  chunks.update(far, world, em);
+  assert.ok(storage.get(namespace + Chunk.toExploredKey("1_0_0")).length > 0);
+  assert.equal(storage.get(namespace + Chunk.toExploredKey("1_5_0")), null);
+  assert.ok(chunks.collectDiffs(world, em).exploredDiffs["1_0_0"].length > 0);
+
+  chunks.update(near, world, em);
+  assert.equal(chunks.getMemory(door), Tile.ClosedDoor);
+  assert.equal(chunks.getMemory(near), Tile.Floor);
+  assert.equal(chunks.getMemory({x: 10, y: 10}), undefined);
+});
@@ -0,0 +1,104 @@
+/**
+ * @fileoverview Copyright (c) 2023 Jaedin Davasligil
+ *
+ * Rogue-JS is a pure javascript browser dungeon crawler.
+ * @package
+ */
+
+"use strict";
+
+import assert from "node:assert/strict";
+import { beforeEach, test } from "node:test";
+import { Monster } from "../game/archetype/monster.js";
+import { InteractMode } from "../game/archetype/player.js";
+import { Combat } from "../game/combat.js";
+import { Interact } from "../game/interact.js";
+import { installDocument, logText } from "./document.js";
+import { newGame, sequence, spent } from "./game.js";
+
+beforeEach(() => installDocument());
+
+/**
+ * Roll value giving a face of a d20.
+ * @param {number} face - Face from 1 to 20.
+ * @returns {number}
+ */
+function d20(face) {
+  return (face - 0.5) / 20;
+}
+
+/**
+ * A player in Combat mode next to a monster.
+ * @param {function(): number} rng - Random number generator of the game.
+ * @returns {{game: import("../game/main.js").Game, monster: Monster}}
+ */
+function setup(rng) {
+  const game = newGame(rng);
+  game.player.mode = InteractMode.Combat;
+  game.player.scores.str = 10;
+
+  const monster = new Monster();
+  monster.name = "Goblin";
+  monster.hitPoints = 5;
+  monster.armorClass = 12;
+  monster.experience = 10;
+  monster.position = {x: game.player.position.x + 1, y: game.player.position.y};
+  game.chunks.setID(monster.position, game.entities.insert(monster));
+  game.chunks.refreshCell(monster.position, game.entities);
+
+  return {game, monster};
+}
+
+test("attacks hit at or above the armor class, on a 20, and never on a 1", () => {
+  assert.equal(Combat.rollAttack(sequence(d20(10)), 2, 12).hit, true);
+  assert.equal(Combat.rollAttack(sequence(d20(9)), 2, 12).hit, false);
+
+  const critical = Combat.rollAttack(sequence(d20(20)), -10, 30);
+  assert.equal(critical.hit, true);
+  assert.equal(critical.critical, true);
+
+  const fumble = Combat.rollAttack(sequence(d20(1)), 30, 2);
+  assert.equal(fumble.hit, false);
+  assert.equal(fumble.fumble, true);
+});
+
+test("critical hits roll the damage dice twice and damage is at least 1", () => {
+  assert.equal(Combat.rollDamage(sequence(0.99), "1d8", 1, false), 9);
+  assert.equal(Combat.rollDamage(sequence(0.99), "1d8", 1, true), 17);
+  assert.equal(Combat.rollDamage(sequence(0), "1d4", -3, false), 1);
+});
+
+test("a hit wakes and damages the monster", () => {
+  // d20 roll of 12, then 1 damage from bare fists.
+  const {game, monster} = setup(sequence(d20(12), 0));
+  monster.asleep = true;
+
+  Interact.dispatch(game, monster.id);
+
+  assert.equal(monster.asleep, false);
+  assert.equal(monster.hitPoints, 4);
+  assert.equal(spent(game), 1);
+  assert.match(logText(), /You attack the Goblin with your fists: d20 12 \+ 0 = 12 vs AC 12/);
+});
+
+test("a fumble costs extra moves", () => {
+  const {game, monster} = setup(sequence(d20(1)));
+
+  Interact.dispatch(game, monster.id);
+
+  assert.equal(monster.hitPoints, 5);
+  assert.equal(spent(game), 1 + Combat.fumbleMoves);
+});
+
+test("slain monsters are removed and award their experience", () => {
+  const {game, monster} = setup(sequence(d20(15), 0.99));
+  game.player.equipment.mainHand = {name: "Sword", damage: "1d8", weight: 60};
+
+  Interact.dispatch(game, monster.id);
+
+  assert.equal(game.player.experience, 10);
+  assert.equal(game.player.target, null);
+  assert.equal(game.entities.lookup(monster.id), null);
+  assert.deepEqual(game.chunks.entitiesAt(monster.position), []);
+  assert.equal(game.chunks.getCollision(monster.position), false);
+});
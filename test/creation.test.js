@@ -0,0 +1,158 @@
+/**
+ * @fileoverview Copyright (c) 2023 Jaedin Davasligil
+ *
+ * Rogue-JS is a pure javascript browser dungeon crawler.
+ * @package
+ */
+
+"use strict";
+
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import { test } from "node:test";
+import { Player } from "../game/archetype/player.js";
+import { Creation, CreationStep, RollMethod, ScoreOrder } from "../game/creation.js";
+import { Light } from "../game/light.js";
+import { Mining } from "../game/mining.js";
+import { Ranged } from "../game/ranged.js";
+
+const Ancestries = JSON.parse(readFileSync(new URL("../data/ancestries.json", import.meta.url)));
+const Classes = JSON.parse(readFileSync(new URL("../data/classes.json", import.meta.url)));
+
+test("classic and heroic scores fall within 3 to 18", () => {
+  const creation = new Creation(42);
+
+  for (const method of [RollMethod.Classic, RollMethod.Heroic]) {
+    creation.method = method;
+    for (let i = 0; i < 50; ++i) {
+      Creation.rollScores(creation);
+      for (const score of ScoreOrder) {
+        assert.ok(creation.scores[score] >= 3 && creation.scores[score] <= 18);
+      }
+      assert.equal(creation.points, 0);
+    }
+  }
+});
+
+test("the same seed rolls the same scores", () => {
+  const a = new Creation(7);
+  const b = new Creation(7);
+  Creation.rollScores(a);
+  Creation.rollScores(b);
+  assert.deepEqual(a.scores, b.scores);
+});
+
+test("point buy spends the pool within the score limits", () => {
+  const creation = new Creation(1);
+  creation.method = RollMethod.PointBuy;
+  Creation.rollScores(creation);
+
+  assert.equal(creation.scores.str, Creation.pointBuyBase);
+  assert.equal(creation.points, Creation.pointBuyPool);
+
+  for (let i = 0; i < Creation.maxScore - Creation.pointBuyBase; ++i) {
+    assert.ok(Creation.adjustScore(creation, "str", 1));
+  }
+  assert.equal(creation.scores.str, Creation.maxScore);
+  assert.equal(Creation.adjustScore(creation, "str", 1), false);
+  assert.equal(creation.points, Creation.pointBuyPool - (Creation.maxScore - Creation.pointBuyBase));
+
+  assert.ok(Creation.adjustScore(creation, "str", -1));
+  assert.equal(creation.scores.str, Creation.maxScore - 1);
+
+  while (Creation.adjustScore(creation, "dex", 1));
+  assert.equal(creation.points, 0);
+  assert.equal(Creation.adjustScore(creation, "con", 1), false);
+});
+
+test("rolled scores cannot be adjusted", () => {
+  const creation = new Creation(1);
+  creation.method = RollMethod.Classic;
+  Creation.rollScores(creation);
+  assert.equal(Creation.adjustScore(creation, "str", 1), false);
+});
+
+test("names are limited in length and never start with or double a space", () => {
+  const creation = new Creation(1);
+
+  assert.equal(Creation.typeName(creation, " "), false);
+  assert.ok(Creation.typeName(creation, "A"));
+  assert.ok(Creation.typeName(creation, " "));
+  assert.equal(Creation.typeName(creation, " "), false);
+  assert.equal(Creation.typeName(creation, "ab"), false);
+
+  while (Creation.typeName(creation, "x"));
+  assert.equal(creation.name.length, Creation.maxNameLength);
+
+  Creation.eraseName(creation);
+  assert.equal(creation.name.length, Creation.maxNameLength - 1);
+});
+
+test("steps are complete once their choice is made", () => {
+  const creation = new Creation(1);
+
+  creation.step = CreationStep.Name;
+  assert.equal(Creation.stepComplete(creation), false);
+  creation.name = "  ";
+  assert.equal(Creation.stepComplete(creation), false);
+  creation.name = "Bo";
+  assert.ok(Creation.stepComplete(creation));
+
+  creation.method = RollMethod.PointBuy;
+  Creation.rollScores(creation);
+  creation.step = CreationStep.Scores;
+  assert.equal(Creation.stepComplete(creation), false);
+});
+
+test("ancestry and class are only selected when the scores allow", () => {
+  const creation = new Creation(1);
+  creation.scores.con = 8;
+  creation.scores.int = 9;
+
+  assert.equal(Creation.selectAncestry(creation, "Dwarf", Ancestries.Dwarf), false);
+  assert.ok(Creation.selectAncestry(creation, "Elf", Ancestries.Elf));
+  assert.equal(Creation.selectClass(creation, Ancestries.Elf, "Paladin", Classes.Paladin), false);
+  assert.ok(Creation.selectClass(creation, Ancestries.Elf, "Fighter", Classes.Fighter));
+  assert.equal(creation.combatClass, "Fighter");
+
+  Creation.rollScores(creation);
+  assert.equal(creation.ancestry, "");
+  assert.equal(creation.combatClass, "");
+});
+
+test("a created player keeps the name chosen and the adjusted scores", () => {
+  const creation = new Creation(3);
+  Creation.rollScores(creation);
+  Object.assign(creation.scores, {int: 12, dex: 12, con: 12});
+  creation.name = " Bo ";
+  creation.ancestry = "Elf";
+  creation.combatClass = "Fighter";
+
+  const player = Creation.createPlayer(creation, Ancestries, Classes);
+
+  assert.equal(player.name, "Bo");
+  assert.equal(player.seed, 3);
+  assert.equal(player.ancestry, "Elf");
+  assert.equal(player.combatClass, "Fighter");
+  assert.equal(player.scores.dex, 13);
+  assert.equal(player.scores.con, 11);
+  assert.equal(player.scores.str, creation.scores.str);
+  assert.ok(player.hitPoints >= 1);
+  assert.equal(player.hitPoints, player.maxHitPoints);
+  assert.equal(player.weight, Player.weight(player));
+});
+
+test("new characters set out with a sling, stones, a torch, daggers and a pick", () => {
+  const player = new Player();
+  Creation.outfit(player);
+
+  assert.equal(player.equipment.mainHand.ammo, player.equipment.ammunition.type);
+  assert.equal(player.inventory.find((item) => item.thrown).count, Creation.daggers);
+  assert.equal(Light.source(player), player.equipment.offHand);
+  assert.equal(player.inventory.find((item) => item.light > 0).count, Creation.spareTorches);
+  assert.ok(Mining.tools(player).has("pick"));
+
+  // Every character gets copies of the templates.
+  player.equipment.ammunition.count -= 1;
+  assert.equal(Ranged.stones.count, 20);
+});
@@ -0,0 +1,116 @@
+/**
+ * @fileoverview Copyright (c) 2023 Jaedin Davasligil
+ *
+ * Rogue-JS is a pure javascript browser dungeon crawler.
+ * @package
+ */
+
+"use strict";
+
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { Door } from "../game/archetype/door.js";
+import { Monster } from "../game/archetype/monster.js";
+import { DiffCodec, TileDiffMode } from "../game/diff-codec.js";
+import { EntityManager } from "../game/entity-manager.js";
+import { Tile } from "../game/tile.js";
+
+/**
+ * Returns the cells of a chunk with the given cells changed.
+ * @param {Object.<number, number>} changes - Tile of each changed cell.
+ * @returns {Uint8Array}
+ */
+function cellsWith(changes) {
+  const cells = new Uint8Array(DiffCodec.cells).fill(DiffCodec.unchanged);
+  for (const [cell, tile] of Object.entries(changes)) {
+    cells[cell] = tile;
+  }
+  return cells;
+}
+
+/**
+ * Returns the encoding mode of a tile diff.
+ * @param {string} diff - Tile diff.
+ * @returns {TileDiffMode}
+ */
+function modeOf(diff) {
+  return DiffCodec.fromBase64(diff)[1];
+}
+
+test("few changed tiles are stored sparse", () => {
+  const cells = cellsWith({0: Tile.Rubble, 255: Tile.Gold});
+  const diff = DiffCodec.encodeTiles(cells);
+
+  assert.equal(modeOf(diff), TileDiffMode.Sparse);
+  assert.deepEqual(DiffCodec.decodeTiles(diff), cells);
+});
+
+test("many scattered tiles are stored as a bitmap", () => {
+  const changes = {};
+  for (let i = 0; i < DiffCodec.cells; i += 3) changes[i] = i % 7;
+  const cells = cellsWith(changes);
+  const diff = DiffCodec.encodeTiles(cells);
+
+  assert.equal(modeOf(diff), TileDiffMode.Bitmap);
+  assert.deepEqual(DiffCodec.decodeTiles(diff), cells);
+});
+
+test("large areas of one tile are stored as runs", () => {
+  const cells = new Uint8Array(DiffCodec.cells).fill(Tile.Floor);
+  cells.fill(Tile.Wall, 100, 200);
+  const diff = DiffCodec.encodeTiles(cells);
+
+  assert.equal(modeOf(diff), TileDiffMode.Runs);
+  assert.deepEqual(DiffCodec.decodeTiles(diff), cells);
+});
+
+test("version 0 tile diffs are decoded", () => {
+  const cells = cellsWith({[3 * 16 + 10]: Tile.Rubble, 255: Tile.Gold});
+  const legacy = DiffCodec.encodeLegacyTiles(cells);
+
+  assert.equal(legacy, `a,3:${Tile.Rubble.toString(16)};f,f:${Tile.Gold.toString(16)}`);
+  assert.equal(DiffCodec.isLegacyTiles(legacy), true);
+  assert.equal(DiffCodec.isLegacyTiles(DiffCodec.encodeTiles(cells)), false);
+  assert.deepEqual(DiffCodec.decodeTiles(legacy), cells);
+});
+
+test("entity diffs leave out default fields and keep positions", () => {
+  const em = new EntityManager();
+  const door = new Door();
+  const monster = new Monster();
+  em.insert(door);
+  em.insert(monster);
+  Door.open(door);
+  monster.position = {x: 40, y: 3};
+
+  const diff = DiffCodec.encodeEntities([[2, 5, door], [15, 0, monster]]);
+  const data = JSON.parse(diff);
+  assert.equal(data[0], DiffCodec.version);
+  assert.equal(data[1], 5 * 16 + 2);
+  assert.equal(data[2].material, undefined);
+  assert.equal(data[2].open, true);
+
+  const entities = DiffCodec.decodeEntities(diff);
+  assert.deepEqual(entities.map((e) => e.slice(0, 2)), [[2, 5], [15, 0]]);
+
+  const rebuilt = EntityManager.entityFrom(EntityManager.getIDType(entities[1][2].id), entities[1][2]);
+  assert.deepEqual(rebuilt, monster);
+});
+
+test("version 0 entity diffs are decoded", () => {
+  const monster = new Monster();
+  const legacy = JSON.stringify([[1, 2, monster]]);
+
+  assert.deepEqual(DiffCodec.decodeEntities(legacy), [[1, 2, JSON.parse(JSON.stringify(monster))]]);
+  assert.deepEqual(DiffCodec.decodeEntities("[]"), []);
+});
+
+test("the size report compares the current and version 0 formats", () => {
+  const diff = DiffCodec.encodeTiles(cellsWith({0: Tile.Rubble}));
+  const report = DiffCodec.sizeReport({"1_0_0": diff}, {"1_0_0": DiffCodec.encodeEntities([])});
+
+  assert.equal(report.tiles.chunks, 1);
+  assert.equal(report.tiles.encoded, diff.length);
+  assert.equal(report.tiles.legacy, "0,0:".length + Tile.Rubble.toString(16).length);
+  assert.equal(report.entities.legacy, 2);
+});
@@ -0,0 +1,29 @@
+/**
+ * @fileoverview Copyright (c) 2023 Jaedin Davasligil
+ *
+ * Rogue-JS is a pure javascript browser dungeon crawler.
+ * @package
+ */
+
+"use strict";
+
+/**
+ * Give the global `document` empty elements to write text to, created on
+ * first lookup by ID.
+ * @returns {Object.<string, {innerHTML: string}>} - Elements by ID.
+ */
+export function installDocument() {
+  const elements = {};
+  globalThis.document = {
+    getElementById: (id) => (elements[id] ??= {innerHTML: ""}),
+  };
+  return elements;
+}
+
+/**
+ * Returns everything written to the game text log.
+ * @returns {string}
+ */
+export function logText() {
+  return globalThis.document.getElementById("game-text").innerHTML;
+}
@@ -0,0 +1,280 @@
+/**
+ * @fileoverview Copyright (c) 2023 Jaedin Davasligil
+ *
+ * Rogue-JS is a pure javascript browser dungeon crawler.
+ * @package
+ */
+
+"use strict";
+
+import assert from "node:assert/strict";
+import { beforeEach, test } from "node:test";
+import { RingBuffer } from "../lib/ring-buffer.js";
+import { SERDE } from "../lib/serde.js";
+import { EntityType } from "../game/archetype/archetype.js";
+import { Monster } from "../game/archetype/monster.js";
+import { Player } from "../game/archetype/player.js";
+import { ChunkManager } from "../game/chunk-manager.js";
+import { EntityManager } from "../game/entity-manager.js";
+import { Interact } from "../game/interact.js";
+import { World } from "../game/map-generation.js";
+import { Camera } from "../game/render/camera.js";
+import { Scheduler } from "../game/scheduler.js";
+import { MemoryStorage, StorageCache } from "../game/storage.js";
+import { Tile, tileCollision, tileEntity, tileOcclusion, tileRock } from "../game/tile.js";
+import { installDocument, logText } from "./document.js";
+
+beforeEach(() => installDocument());
+
+/**
+ * Returns the cells reached from a cell without digging or climbing.
+ * @param {World} world - A generated level.
+ * @param {import("../game/types.js").Position} from - First cell.
+ * @returns {Set.<string>}
+ */
+function flood(world, from) {
+  const reached = new Set([World.coordToString(from.x, from.y)]);
+  const open = [from];
+
+  while (open.length > 0) {
+    const p = open.pop();
+    for (const [dx, dy] of [[1, 0], [-1, 0], [0, 1], [0, -1]]) {
+      const next = {x: p.x + dx, y: p.y + dy};
+      const key = World.coordToString(next.x, next.y);
+      const tile = world.lookup(next.x, next.y);
+      if (reached.has(key) || tile === Tile.Wall || tile === Tile.Bedrock || tileRock(tile)) continue;
+
+      reached.add(key);
+      open.push(next);
+    }
+  }
+  return reached;
+}
+
+/**
+ * A player standing on the stairs down out of town.
+ * @returns {import("../game/main.js").Game}
+ */
+function newGame() {
+  const game = {
+    renderer: {camera: new Camera()},
+    entities: new EntityManager(),
+    events: new RingBuffer(),
+    scheduler: new Scheduler(),
+    world: new World(11),
+  };
+  game.world.generate();
+
+  game.player = new Player();
+  game.player.position = {x: game.world.stairsDown.x, y: game.world.stairsDown.y};
+  game.entities.insert(game.player);
+
+  game.chunks = new ChunkManager(
+    game.player.position, game.world.width, game.world.height, 1, "", new StorageCache(new MemoryStorage())
+  );
+  game.chunks.update(game.player.position, game.world, game.entities, true);
+  game.chunks.setID(game.player.position, game.player.id);
+
+  return game;
+}
+
+test("every level of a world is generated the same each time", () => {
+  const a = new World(11, 3);
+  const b = new World(11, 3);
+  const c = new World(11, 4);
+
+  assert.deepEqual(a.generate(), b.generate());
+  assert.deepEqual(a.tiles, b.tiles);
+  c.generate();
+  assert.notDeepEqual(a.tiles, c.tiles);
+  assert.notEqual(World.levelSeed(11, 3), World.levelSeed(11, 4));
+});
+
+test("every room and both stairs of a level are joined", () => {
+  for (let depth = 1; depth <= World.maxDepth; ++depth) {
+    const world = new World(7, depth);
+    const spawn = world.generate();
+    const reached = flood(world, spawn);
+
+    assert.equal(world.lookup(spawn.x, spawn.y), Tile.StairsUp);
+    for (const node of Object.keys(world.rooms)) {
+      assert.ok(reached.has(node), `room ${node} at depth ${depth}`);
+    }
+
+    if (depth < World.maxDepth) {
+      assert.equal(world.lookup(world.stairsDown.x, world.stairsDown.y), Tile.StairsDown);
+      assert.ok(reached.has(World.coordToString(world.stairsDown.x, world.stairsDown.y)));
+    } else {
+      assert.equal(world.stairsDown, null);
+    }
+  }
+});
+
+test("stairs lead down into the dungeon and back up to town", () => {
+  const game = newGame();
+  const town = {x: game.player.position.x, y: game.player.position.y};
+
+  Interact.takeStairs(game, false);
+  assert.match(logText(), /There are no stairs up here/);
+
+  Interact.takeStairs(game, true);
+  assert.equal(game.world.depth, 1);
+  assert.deepEqual(game.player.position, game.world.stairsUp);
+  assert.match(logText(), /You descend to depth 1/);
+
+  const stack = game.chunks.entitiesAt(game.player.position);
+  assert.ok(stack.some((id) => EntityManager.getIDType(id) === EntityType.Stairs));
+
+  Interact.takeStairs(game, false);
+  assert.equal(game.world.depth, 0);
+  assert.deepEqual(game.player.position, town);
+  assert.match(logText(), /You climb back up to town/);
+});
+
+test("magical darkness stays on its level", () => {
+  const game = newGame();
+  const stairs = {x: game.player.position.x, y: game.player.position.y};
+  game.world.addDarkness(stairs, 2, 6);
+
+  Interact.takeStairs(game, true);
+  assert.equal(game.world.isDark(stairs.x, stairs.y), false);
+  assert.equal(game.world.isDark(game.player.position.x, game.player.position.y), false);
+
+  Interact.takeStairs(game, false);
+  assert.equal(game.world.isDark(stairs.x, stairs.y), true);
+});
+
+test("rooms are marked with their bounds once generated", () => {
+  const game = newGame();
+  Interact.takeStairs(game, true);
+
+  const rooms = game.entities.all(EntityType.Room).filter((room) => room);
+  assert.ok(rooms.length > 0);
+  for (const room of rooms) {
+    assert.ok(room.position.x >= room.bounds.x && room.position.x < room.bounds.x + room.bounds.width);
+    assert.equal(game.chunks.getTile(room.position), Tile.Floor);
+  }
+});
+
+/**
+ * Returns the positions of the monsters waiting on a generated level.
+ * @param {World} world - A generated level.
+ * @returns {Array.<import("../game/types.js").Position>}
+ */
+function monsterPositions(world) {
+  return Object.entries(world.tiles)
+    .filter(([, tile]) => World.monsters.includes(tile))
+    .map(([key]) => SERDE.strToPos(key));
+}
+
+test("monsters wait in rooms other than the one arrived in", () => {
+  const world = new World(11, 1);
+  world.generate();
+  const up = Object.values(world.rooms)
+    .map((room) => room.bounds)
+    .find((b) => world.stairsUp.x >= b.x && world.stairsUp.x < b.x + b.width
+              && world.stairsUp.y >= b.y && world.stairsUp.y < b.y + b.height);
+
+  const monsters = monsterPositions(world);
+  assert.ok(monsters.length > 0);
+  for (const p of monsters) {
+    assert.ok(
+      !(p.x >= up.x && p.x < up.x + up.width && p.y >= up.y && p.y < up.y + up.height),
+      `monster at ${p.x},${p.y}`
+    );
+  }
+});
+
+test("monsters loaded from a level are hostile and rolled from the bestiary", () => {
+  const world = new World(11, 1);
+  world.generate();
+  const position = monsterPositions(world)[0];
+  const tile = world.lookup(position.x, position.y);
+
+  const em = new EntityManager();
+  const chunks = new ChunkManager(position, world.width, world.height, 1, "", new StorageCache(new MemoryStorage()));
+  chunks.update(position, world, em, true);
+
+  const monster = em.lookup(chunks.getID(position));
+  assert.ok(monster instanceof Monster);
+  assert.equal(monster.tile, tile);
+  assert.equal(monster.name, Monster.bestiary[tile].name);
+  assert.equal(monster.hostile, true);
+  assert.ok(monster.hitPoints >= 1 && monster.hitPoints === monster.maxHitPoints);
+  assert.equal(monster.level, Monster.levelFrom(monster.hitDice));
+  assert.equal(chunks.getCollision(position), true);
+  assert.equal(chunks.getTile(position), Tile.Floor);
+});
+
+/**
+ * Returns the depths of the first cave levels of a world.
+ * @param {number} seed - Seed of the world.
+ * @returns {Array.<number>}
+ */
+function caveDepths(seed) {
+  const depths = [];
+  for (let depth = 1; depth <= World.maxDepth; ++depth) {
+    if (World.isCave(seed, depth)) depths.push(depth);
+  }
+  return depths;
+}
+
+test("some levels below the first are caves", () => {
+  let caves = 0;
+  for (let seed = 0; seed < 20; ++seed) {
+    assert.equal(World.isCave(seed, 1), false);
+    caves += caveDepths(seed).length;
+  }
+  assert.ok(caves > 0);
+});
+
+test("rock and ore block movement and sight but are not entities", () => {
+  for (const tile of [Tile.Granite, Tile.Quartz, Tile.Copper, Tile.Silver, Tile.Gold]) {
+    assert.equal(tileRock(tile), true);
+    assert.equal(tileCollision(tile), true);
+    assert.equal(tileOcclusion(tile), true);
+    assert.equal(tileEntity(tile), false);
+  }
+  assert.equal(tileOcclusion(Tile.Rubble), false);
+  assert.equal(tileRock(Tile.Floor), false);
+});
+
+test("small caves are found largest first", () => {
+  const rock = Uint8Array.from([
+    1, 1, 1, 1, 1,
+    1, 0, 1, 0, 1,
+    1, 0, 1, 1, 1,
+    1, 1, 1, 1, 1,
+  ]);
+  assert.deepEqual(World.findCaves(rock, 5), [[6, 11], [8]]);
+});
+
+test("a cave level is one cave joining both stairs, with ore in the rock and monsters away from the stairs up", () => {
+  const seed = [...Array(20).keys()].find((s) => caveDepths(s).some((d) => d < World.maxDepth));
+  const depth = caveDepths(seed).find((d) => d < World.maxDepth);
+  const world = new World(seed, depth);
+  const spawn = world.generate();
+  const reached = flood(world, spawn);
+
+  assert.equal(world.defaultTile, Tile.Granite);
+  assert.equal(world.lookup(spawn.x, spawn.y), Tile.StairsUp);
+  assert.ok(reached.has(World.coordToString(world.stairsDown.x, world.stairsDown.y)));
+
+  const monsters = monsterPositions(world);
+  assert.ok(monsters.length > 0);
+  for (const p of monsters) {
+    assert.ok(reached.has(World.coordToString(p.x, p.y)));
+    assert.ok(Math.abs(p.x - spawn.x) + Math.abs(p.y - spawn.y) > World.safeDistance);
+  }
+
+  let ore = 0;
+  for (const [key, tile] of Object.entries(world.tiles)) {
+    if (tile === Tile.Floor) assert.ok(reached.has(key), `floor ${key}`);
+    if (World.veins.includes(tile)) ore += 1;
+  }
+  assert.ok(ore > 0);
+
+  const again = new World(seed, depth);
+  again.generate();
+  assert.deepEqual(again.tiles, world.tiles);
+});
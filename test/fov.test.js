@@ -0,0 +1,88 @@
+/**
+ * @fileoverview Copyright (c) 2023 Jaedin Davasligil
+ *
+ * Rogue-JS is a pure javascript browser dungeon crawler.
+ * @package
+ */
+
+"use strict";
+
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { mulberry32 } from "../lib/fast-random.js";
+import { FOV } from "../game/fov.js";
+import { Tile } from "../game/tile.js";
+import { newGame } from "./game.js";
+
+/**
+ * Returns the tiles seen from an origin as a set of "x,y" keys.
+ * @param {import("../game/types.js").Position} origin - Coordinate.
+ * @param {number} radius - Rows scanned in each direction.
+ * @param {Set.<string>} walls - Keys of the tiles blocking sight.
+ * @returns {Set.<string>}
+ */
+function seen(origin, radius, walls) {
+  const tiles = new Set();
+  FOV.compute(
+    origin,
+    radius,
+    (p) => walls.has(`${p.x},${p.y}`),
+    (p) => tiles.add(`${p.x},${p.y}`)
+  );
+  return tiles;
+}
+
+test("an open floor is seen out to the radius in every direction", () => {
+  const tiles = seen({x: 0, y: 0}, 3, new Set());
+
+  assert.ok(tiles.has("0,0"));
+  assert.ok(tiles.has("3,0"));
+  assert.ok(tiles.has("-3,3"));
+  assert.equal(tiles.has("4,0"), false);
+  assert.equal(tiles.size, 49);
+});
+
+test("walls are seen but hide the tiles behind them", () => {
+  const tiles = seen({x: 0, y: 0}, 5, new Set(["2,0"]));
+
+  assert.ok(tiles.has("2,0"));
+  assert.equal(tiles.has("3,0"), false);
+  assert.equal(tiles.has("5,0"), false);
+  assert.ok(tiles.has("1,0"));
+});
+
+test("every floor tile seen from another sees it back", () => {
+  const rng = mulberry32(7);
+  const walls = new Set();
+  for (let y = 0; y < 12; ++y) {
+    for (let x = 0; x < 12; ++x) {
+      if (rng() < 0.25) walls.add(`${x},${y}`);
+    }
+  }
+
+  for (let y = 0; y < 12; ++y) {
+    for (let x = 0; x < 12; ++x) {
+      if (walls.has(`${x},${y}`)) continue;
+
+      for (const key of seen({x, y}, 16, walls)) {
+        if (walls.has(key)) continue;
+        const [tx, ty] = key.split(",").map(Number);
+        assert.ok(seen({x: tx, y: ty}, 16, walls).has(`${x},${y}`), `${x},${y} sees ${key}`);
+      }
+    }
+  }
+});
+
+test("the player sees the loaded chunks until blinded", () => {
+  const game = newGame(undefined, (world) => world.insert(Tile.Wall, 6, 4));
+
+  FOV.update(game);
+  assert.equal(game.chunks.getVisibility({x: 6, y: 4}), true);
+  assert.equal(game.chunks.getVisibility({x: 8, y: 4}), false);
+  assert.equal(game.chunks.getVisibility({x: 8, y: 8}), true);
+
+  game.player.blinded = 1;
+  FOV.update(game);
+  assert.equal(game.chunks.getVisibility(game.player.position), true);
+  assert.equal(game.chunks.getVisibility({x: 8, y: 8}), false);
+});
@@ -0,0 +1,103 @@
+/**
+ * @fileoverview Copyright (c) 2023 Jaedin Davasligil
+ *
+ * Rogue-JS is a pure javascript browser dungeon crawler.
+ * @package
+ */
+
+"use strict";
+
+import { RingBuffer } from "../lib/ring-buffer.js";
+import { Door } from "../game/archetype/door.js";
+import { Player } from "../game/archetype/player.js";
+import { ChunkManager } from "../game/chunk-manager.js";
+import { EntityManager } from "../game/entity-manager.js";
+import { World } from "../game/map-generation.js";
+import { Scheduler } from "../game/scheduler.js";
+import { MemoryStorage, StorageCache } from "../game/storage.js";
+
+/**
+ * Returns a random number generator giving the values listed in turn, then
+ * repeating the last one.
+ * @param {...number} values - Values in range [0,1).
+ * @returns {function(): number}
+ */
+export function sequence(...values) {
+  return () => (values.length > 1) ? values.shift() : values[0];
+}
+
+/**
+ * A player standing in an empty room one chunk wide.
+ * @param {function(): number} rng - Random number generator of the game.
+ * @param {function(World): void} build - Places tiles in the world before it loads.
+ * @returns {import("../game/main.js").Game}
+ */
+export function newGame(rng=sequence(0.5), build=() => {}) {
+  const game = {
+    entities: new EntityManager(),
+    events: new RingBuffer(),
+    world: new World(3),
+    rng: rng,
+    scheduler: new Scheduler(),
+  };
+  game.world.width = 16;
+  game.world.height = 16;
+  build(game.world);
+
+  game.player = new Player();
+  game.player.position = {x: 4, y: 4};
+  game.entities.insert(game.player);
+
+  game.chunks = new ChunkManager(
+    game.player.position, 16, 16, 1, "", new StorageCache(new MemoryStorage())
+  );
+  game.chunks.update(game.player.position, game.world, game.entities, true);
+  game.chunks.setID(game.player.position, game.player.id);
+
+  return game;
+}
+
+/**
+ * Returns the moves the player has spent since the game started.
+ * @param {import("../game/main.js").Game} game - Game data.
+ * @returns {number}
+ */
+export function spent(game) {
+  return game.player.nextAction / Scheduler.delay(1, game.player.speed);
+}
+
+/**
+ * Place a closed door east of the player.
+ * @param {import("../game/main.js").Game} game - Game data.
+ * @returns {Door}
+ */
+export function placeDoor(game) {
+  const door = new Door();
+  door.position = {x: game.player.position.x + 1, y: game.player.position.y};
+  game.chunks.setID(door.position, game.entities.insert(door));
+  game.chunks.refreshCell(door.position, game.entities);
+  return door;
+}
+
+/**
+ * Move an entity one step unless something is in the way, as the game does
+ * for monsters.
+ * @param {import("../game/entity-manager.js").EntityID} id - Entity ID.
+ * @param {import("../game/types.js").Direction} dir - Movement direction.
+ * @param {import("../game/main.js").Game} game - Game data.
+ * @returns {boolean} - True if the entity moved.
+ */
+export function move(id, dir, game) {
+  const entity = game.entities.lookup(id);
+  const next = {x: entity.position.x + dir.x, y: entity.position.y + dir.y};
+
+  if (game.chunks.getCollision(next) !== false) return false;
+
+  game.chunks.removeID(entity.position, id);
+  game.chunks.setID(next, id);
+  game.chunks.refreshCell(entity.position, game.entities);
+  game.chunks.refreshCell(next, game.entities);
+  entity.position = next;
+
+  return true;
+}
@@ -0,0 +1,71 @@
+/**
+ * @fileoverview Copyright (c) 2023 Jaedin Davasligil
+ *
+ * Rogue-JS is a pure javascript browser dungeon crawler.
+ * @package
+ */
+
+"use strict";
+
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { mulberry32 } from "../lib/fast-random.js";
+import { HIRO } from "../lib/hiro.js";
+
+/**
+ * Returns a random number generator giving the values listed in turn.
+ * @param {...number} values - Values in range [0,1).
+ * @returns {function(): number}
+ */
+function sequence(...values) {
+  return () => values.shift();
+}
+
+test("every face of a die is equally likely", () => {
+  const rng = mulberry32(42);
+  const counts = new Array(7).fill(0);
+  const rolls = 60000;
+
+  for (let i = 0; i < rolls; ++i) {
+    counts[HIRO.rollDie(rng, 6)] += 1;
+  }
+
+  assert.equal(counts[0], 0);
+  for (let face = 1; face <= 6; ++face) {
+    assert.ok(Math.abs(counts[face] - rolls / 6) < rolls / 60, `face ${face}: ${counts[face]}`);
+  }
+});
+
+test("a die never rolls outside its faces", () => {
+  assert.equal(HIRO.rollDie(() => 0, 20), 1);
+  assert.equal(HIRO.rollDie(() => 0.9999999, 20), 20);
+  assert.equal(HIRO.rollDie(() => 1, 20), 20);
+});
+
+test("dice sums and kept dice", () => {
+  assert.equal(HIRO.rollSum(sequence(0, 0.5, 0.99), 3, 6), 1 + 4 + 6);
+  assert.equal(HIRO.rollSumKeepHigh(sequence(0, 0.5, 0.99, 0.2), 4, 6, 3), 4 + 6 + 2);
+  assert.equal(HIRO.rollKeepHigh(sequence(0, 0.5), 2, 6), 4);
+  assert.equal(HIRO.rollKeepLow(sequence(0, 0.5), 2, 6), 1);
+});
+
+test("open dice roll again on their highest face", () => {
+  assert.equal(HIRO.rollOpen(sequence(0.99, 0.99, 0.1), 1, 6), 6 + 6 + 1);
+});
+
+test("simple dice expressions are parsed", () => {
+  assert.equal(HIRO.parseRollExpr(sequence(0.5, 0.5), "2d6"), 8);
+  assert.equal(HIRO.parseRollExpr(sequence(0.99), "d4"), 4);
+  assert.equal(HIRO.parseRollExpr(sequence(0.99, 0.1), "1d6!"), 7);
+  assert.equal(HIRO.parseRollExpr(sequence(0.1, 0.7), "2d6kh"), 5);
+  assert.equal(HIRO.parseRollExpr(sequence(0.1, 0.7), "2d6kl"), 1);
+  assert.equal(HIRO.parseRollExpr(() => 0, "12"), 12);
+  assert.ok(Number.isNaN(HIRO.parseRollExpr(() => 0, "xdy")));
+  assert.ok(Number.isNaN(HIRO.parseRollExpr(() => 0, "2d6q")));
+});
+
+test("sums and multiples of expressions are parsed", () => {
+  assert.equal(HIRO.parseRoll(sequence(0.5, 0.5), "2d6+3"), 11);
+  assert.equal(HIRO.parseRoll(sequence(0.5), "2*1d6"), 8);
+  assert.equal(HIRO.parseRoll(() => 0, "1d8+1d4+2"), 4);
+});
@@ -0,0 +1,178 @@
+/**
+ * @fileoverview Copyright (c) 2023 Jaedin Davasligil
+ *
+ * Rogue-JS is a pure javascript browser dungeon crawler.
+ * @package
+ */
+
+"use strict";
+
+import assert from "node:assert/strict";
+import { beforeEach, test } from "node:test";
+import { LockType } from "../game/archetype/archetype.js";
+import { Door } from "../game/archetype/door.js";
+import { Monster } from "../game/archetype/monster.js";
+import { InteractMode, Player } from "../game/archetype/player.js";
+import { Interact } from "../game/interact.js";
+import { Tile } from "../game/tile.js";
+import { Event } from "../game/types.js";
+import { installDocument, logText } from "./document.js";
+import { move, newGame, placeDoor, sequence, spent } from "./game.js";
+
+beforeEach(() => installDocument());
+
+test("bumping a closed door opens it and spends a move", () => {
+  const game = newGame();
+  const door = placeDoor(game);
+  assert.equal(game.chunks.getCollision(door.position), true);
+
+  Interact.dispatch(game, door.id);
+
+  assert.equal(door.open, true);
+  assert.equal(game.chunks.getCollision(door.position), false);
+  assert.equal(game.chunks.getOcclusion(door.position), false);
+  assert.equal(game.player.target, door);
+  assert.equal(spent(game), 1);
+  assert.equal(game.events.popFront(), Event.PlayerActed);
+  assert.match(logText(), /You open the door/);
+});
+
+test("locked doors stay closed without spending time", () => {
+  const game = newGame();
+  const door = placeDoor(game);
+  door.lock = LockType.Simple;
+
+  Interact.dispatch(game, door.id);
+
+  assert.equal(door.open, false);
+  assert.equal(spent(game), 0);
+  assert.equal(game.events.isEmpty(), true);
+  assert.match(logText(), /locked/);
+});
+
+test("stuck doors are forced open on the strength roll", () => {
+  // Strength 10 forces a door open on 2 in 6: rolls of 0 or 1.
+  for (const [roll, opened] of [[0.3, true], [0.4, false]]) {
+    const game = newGame(sequence(roll));
+    const door = placeDoor(game);
+    door.stuck = true;
+    game.player.scores.str = 10;
+
+    Interact.dispatch(game, door.id);
+
+    assert.equal(door.open, opened);
+    assert.equal(spent(game), 1);
+  }
+  assert.deepEqual([3, 9, 13, 16, 18].map(Player.doorChance), [1, 2, 3, 4, 5]);
+});
+
+test("bashing a door in combat mode breaks it open for good", () => {
+  const game = newGame(sequence(0.99));
+  const door = placeDoor(game);
+  door.hitpoints = 8;
+  door.lock = LockType.Simple;
+  game.player.scores.str = 10;
+  game.player.mode = InteractMode.Combat;
+
+  Interact.dispatch(game, door.id);
+  assert.equal(door.hitpoints, 2);
+  assert.equal(door.open, false);
+
+  Interact.dispatch(game, door.id);
+  assert.equal(door.broken, true);
+  assert.equal(door.lock, LockType.None);
+  assert.equal(game.chunks.getCollision(door.position), false);
+  assert.match(logText(), /It breaks open!/);
+
+  Interact.closeDoor(game, {x: 1, y: 0});
+  assert.equal(door.open, true);
+  assert.match(logText(), /broken and will not close/);
+});
+
+test("open doors close unless something is in the doorway", () => {
+  const game = newGame();
+  const door = placeDoor(game);
+  Door.open(door);
+  game.chunks.refreshCell(door.position, game.entities);
+
+  const monster = new Monster();
+  game.chunks.setID(door.position, game.entities.insert(monster));
+  Interact.closeDoor(game, {x: 1, y: 0});
+  assert.equal(door.open, true);
+  assert.match(logText(), /Something is in the doorway/);
+
+  game.chunks.popID(door.position);
+  Interact.closeDoor(game, {x: 1, y: 0});
+  assert.equal(door.open, false);
+  assert.equal(door.tile, Tile.ClosedDoor);
+  assert.equal(game.chunks.getCollision(door.position), true);
+  assert.equal(game.events.popFront(), Event.PlayerActed);
+
+  Interact.closeDoor(game, {x: 0, y: 1});
+  assert.match(logText(), /no open door there/);
+});
+
+test("the interaction depends on the player's mode", () => {
+  const game = newGame();
+  const monster = new Monster();
+  monster.name = "Guard";
+  monster.description = "He nods.";
+  game.entities.insert(monster);
+
+  Interact.dispatch(game, monster.id);
+  assert.equal(spent(game), 0);
+
+  game.player.mode = InteractMode.Social;
+  Interact.dispatch(game, monster.id);
+  assert.equal(spent(game), 1);
+  assert.match(logText(), /The Guard listens. He nods./);
+});
+
+test("entities without a handler are only in the way", () => {
+  const game = newGame();
+  const door = placeDoor(game);
+  game.player.mode = InteractMode.Social;
+
+  Interact.dispatch(game, door.id);
+
+  assert.equal(door.open, false);
+  assert.equal(game.player.target, door);
+  assert.match(logText(), /Something is in the way/);
+});
+
+test("searching rolls once for each secret door next to the player", () => {
+  // 1 in 6: a roll of 0 finds the door, a roll of 1 does not.
+  for (const [roll, found] of [[0.1, true], [0.2, false]]) {
+    const game = newGame(sequence(roll));
+    const door = placeDoor(game);
+    door.tile = Tile.Granite;
+
+    Interact.search(game);
+    game.scheduler.run(game, move);
+
+    assert.equal(door.tile, found ? Tile.ClosedDoor : Tile.Granite);
+    assert.equal(game.player.turn, 1);
+    assert.equal(game.events.popFront(), Event.PlayerActed);
+    assert.equal(game.events.popFront(), Event.SaveGame);
+  }
+});
+
+test("ancestry abilities improve the chance to find secret doors", () => {
+  const player = new Player();
+  assert.equal(Interact.searchChanceOf(player), 1);
+
+  player.abilities.push("Infravision", "Detect Secret Doors");
+  assert.equal(Interact.searchChanceOf(player), 2);
+});
+
+test("a secret door is a wall until found", () => {
+  const game = newGame();
+  const door = placeDoor(game);
+  door.tile = Tile.Granite;
+
+  Interact.dispatch(game, door.id);
+
+  assert.equal(door.open, false);
+  assert.equal(spent(game), 0);
+  assert.match(logText(), /There is a wall in the way/);
+});
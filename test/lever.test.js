@@ -0,0 +1,97 @@
+/**
+ * @fileoverview Copyright (c) 2023 Jaedin Davasligil
+ *
+ * Rogue-JS is a pure javascript browser dungeon crawler.
+ * @package
+ */
+
+"use strict";
+
+import assert from "node:assert/strict";
+import { beforeEach, test } from "node:test";
+import { Lever } from "../game/archetype/lever.js";
+import { Monster } from "../game/archetype/monster.js";
+import { Interact } from "../game/interact.js";
+import { Tile } from "../game/tile.js";
+import { installDocument, logText } from "./document.js";
+import { newGame, sequence, spent } from "./game.js";
+
+const portcullis = {x: 8, y: 2};
+const lever = {x: 5, y: 4};
+
+beforeEach(() => installDocument());
+
+/**
+ * A player next to a lever wired to a lowered portcullis.
+ * @param {function(): number} rng - Random number generator of the game.
+ * @returns {{game: import("../game/main.js").Game, lever: Lever, portcullis: import("../game/archetype/door.js").Door}}
+ */
+function setup(rng) {
+  const game = newGame(rng, (world) => world.placeLever(portcullis, lever));
+  return {
+    game: game,
+    lever: game.entities.lookup(game.chunks.getID(lever)),
+    portcullis: game.entities.lookup(game.chunks.getID(portcullis)),
+  };
+}
+
+test("levers are generated wired to their portcullis", () => {
+  const {game, lever: generated, portcullis: door} = setup();
+
+  assert.ok(generated instanceof Lever);
+  assert.deepEqual(generated.target, portcullis);
+  assert.deepEqual(game.world.links, {});
+  assert.equal(door.tile, Tile.PortcullisDown);
+  assert.equal(game.chunks.getCollision(portcullis), true);
+  assert.equal(game.chunks.getOcclusion(portcullis), false);
+  assert.equal(game.chunks.getOcclusion(lever), true);
+});
+
+test("pulling the lever raises and lowers the portcullis", () => {
+  const {game, lever: generated, portcullis: door} = setup();
+
+  Interact.dispatch(game, generated.id);
+  assert.equal(door.open, true);
+  assert.equal(generated.tile, Tile.LeverDown);
+  assert.equal(game.chunks.getCollision(portcullis), false);
+
+  Interact.dispatch(game, generated.id);
+  assert.equal(door.open, false);
+  assert.equal(generated.tile, Tile.LeverUp);
+  assert.equal(game.chunks.getCollision(portcullis), true);
+});
+
+test("the lever will not lower the portcullis onto something", () => {
+  const {game, lever: generated, portcullis: door} = setup();
+
+  Interact.dispatch(game, generated.id);
+  game.chunks.setID(portcullis, game.entities.insert(new Monster()));
+  Interact.dispatch(game, generated.id);
+
+  assert.equal(door.open, true);
+  assert.equal(generated.pulled, true);
+  assert.match(logText(), /Something is under the portcullis/);
+});
+
+test("a lever without a portcullis does nothing", () => {
+  const {game, lever: generated} = setup();
+  generated.target = {x: 1, y: 1};
+
+  Interact.dispatch(game, generated.id);
+
+  assert.equal(generated.pulled, true);
+  assert.match(logText(), /Nothing happens/);
+});
+
+test("a portcullis is lifted by hand on the strength roll", () => {
+  // Strength 10 lifts a portcullis on 2 in 12: rolls of 0 or 1.
+  for (const [roll, lifted] of [[0.1, true], [0.2, false]]) {
+    const {game, portcullis: door} = setup(sequence(roll));
+    game.player.scores.str = 10;
+
+    Interact.dispatch(game, door.id);
+
+    assert.equal(door.open, lifted);
+    assert.equal(spent(game), 1);
+  }
+});
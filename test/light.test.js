@@ -0,0 +1,134 @@
+/**
+ * @fileoverview Copyright (c) 2023 Jaedin Davasligil
+ *
+ * Rogue-JS is a pure javascript browser dungeon crawler.
+ * @package
+ */
+
+"use strict";
+
+import assert from "node:assert/strict";
+import { beforeEach, test } from "node:test";
+import { Monster } from "../game/archetype/monster.js";
+import { FOV } from "../game/fov.js";
+import { Interact } from "../game/interact.js";
+import { Light } from "../game/light.js";
+import { Ranged } from "../game/ranged.js";
+import { installDocument, logText } from "./document.js";
+import { newGame } from "./game.js";
+
+beforeEach(() => installDocument());
+
+/**
+ * A player underground holding a fresh torch.
+ * @param {function(import("../game/map-generation.js").World): void} build - Places lights in the world.
+ * @returns {import("../game/main.js").Game}
+ */
+function setup(build=() => {}) {
+  const game = newGame(undefined, (world) => {
+    world.depth = 1;
+    build(world);
+  });
+  game.player.equipment.offHand = Object.assign({}, Light.torch);
+  return game;
+}
+
+test("only a burning light source held lights around the player", () => {
+  const game = setup();
+  assert.equal(Light.radius(game.player), Light.torch.light);
+
+  game.player.equipment.offHand.fuel = 0;
+  assert.equal(Light.source(game.player), null);
+  assert.equal(Light.radius(game.player), 0);
+});
+
+test("lit rooms and the surface need no light source", () => {
+  const game = setup((world) => world.addLight({x: 10, y: 10}, 3, 3));
+
+  assert.equal(Light.isLit(game, 3, {x: 7, y: 4}), true);
+  assert.equal(Light.isLit(game, 3, {x: 8, y: 4}), false);
+  assert.equal(Light.isLit(game, 0, {x: 12, y: 12}), true);
+  assert.equal(Light.isLit(game, 0, {x: 13, y: 12}), false);
+
+  game.world.depth = 0;
+  assert.equal(Light.isLit(game, 0, {x: 13, y: 12}), true);
+});
+
+test("nothing lights magical darkness until it fades", () => {
+  const game = setup();
+  game.world.addDarkness({x: 6, y: 4}, 1, 2);
+
+  assert.equal(Light.isLit(game, 3, {x: 5, y: 4}), false);
+  assert.equal(Light.isLit(game, 3, {x: 4, y: 5}), true);
+
+  game.player.turn = 1;
+  Light.fade(game);
+  assert.equal(game.world.darkness.length, 1);
+
+  game.player.turn = 2;
+  Light.fade(game);
+  assert.equal(Light.isLit(game, 3, {x: 5, y: 4}), true);
+});
+
+test("a torch burnt out is replaced by a spare", () => {
+  const game = setup();
+  game.player.equipment.offHand.fuel = 1;
+  game.player.inventory.push(Object.assign({}, Light.torch, {count: 2}));
+
+  Light.burn(game);
+
+  assert.equal(game.player.equipment.offHand.fuel, Light.torch.fuel);
+  assert.equal(game.player.inventory[0].count, 1);
+  assert.match(logText(), /Your torch burns out/);
+  assert.match(logText(), /You light another torch/);
+
+  game.player.equipment.offHand.fuel = 1;
+  Light.burn(game);
+  game.player.equipment.offHand.fuel = 1;
+  Light.burn(game);
+  assert.equal(game.player.equipment.offHand, null);
+});
+
+test("a lantern is refilled from the oil carried", () => {
+  const game = setup();
+  game.player.equipment.offHand = Object.assign({}, Light.lantern, {fuel: 1});
+  game.player.inventory.push({name: "Flask of Oil", weight: 1});
+
+  Light.burn(game);
+  assert.equal(game.player.equipment.offHand.fuel, Light.lantern.burnTime);
+  assert.deepEqual(game.player.inventory, []);
+
+  game.player.equipment.offHand.fuel = 1;
+  Light.burn(game);
+  assert.equal(Light.source(game.player), null);
+  assert.match(logText(), /Your lantern runs dry/);
+});
+
+test("the player sees lit tiles, and warm monsters with infravision", () => {
+  const game = setup();
+  const monster = new Monster();
+  monster.position = {x: 9, y: 4};
+  game.chunks.setID(monster.position, game.entities.insert(monster));
+
+  FOV.update(game);
+  assert.equal(game.chunks.getVisibility({x: 7, y: 4}), true);
+  assert.equal(game.chunks.getVisibility({x: 8, y: 4}), false);
+  assert.equal(game.chunks.getVisibility(monster.position), false);
+
+  game.player.abilities.push("Infravision");
+  FOV.update(game);
+  assert.equal(game.chunks.getVisibility(monster.position), true);
+
+  monster.warmBlooded = false;
+  FOV.update(game);
+  assert.equal(game.chunks.getVisibility(monster.position), false);
+});
+
+test("a light source picked up with the off hand free is held", () => {
+  const game = setup();
+  game.player.equipment.offHand = null;
+  Ranged.drop(game, game.player.position, Object.assign({}, Light.torch));
+
+  Interact.pickUp(game);
+  assert.equal(Light.source(game.player).name, "Torch");
+});
@@ -0,0 +1,63 @@
+/**
+ * @fileoverview Copyright (c) 2023 Jaedin Davasligil
+ *
+ * Rogue-JS is a pure javascript browser dungeon crawler.
+ * @package
+ */
+
+"use strict";
+
+/** In-memory stand-in for the browser's local storage. */
+export class MemoryLocalStorage {
+  /**
+   * Create an empty MemoryLocalStorage.
+   * @returns {MemoryLocalStorage}
+   */
+  constructor() {
+    /** @type {Map.<string, string>} */
+    this.data = new Map();
+  }
+
+  /**
+   * Number of keys stored.
+   * @returns {number}
+   */
+  get length() {
+    return this.data.size;
+  }
+
+  /**
+   * Returns the key at an index, or null.
+   * @param {number} i - Index.
+   * @returns {string | null}
+   */
+  key(i) {
+    return [...this.data.keys()][i] ?? null;
+  }
+
+  /**
+   * Returns the value of a key, or null.
+   * @param {string} key - Storage key.
+   * @returns {string | null}
+   */
+  getItem(key) {
+    return this.data.get(key) ?? null;
+  }
+
+  /**
+   * Set the value of a key.
+   * @param {string} key - Storage key.
+   * @param {string} value - Value stored.
+   */
+  setItem(key, value) {
+    this.data.set(key, String(value));
+  }
+
+  /**
+   * Delete a key.
+   * @param {string} key - Storage key.
+   */
+  removeItem(key) {
+    this.data.delete(key);
+  }
+}
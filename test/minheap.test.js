@@ -0,0 +1,33 @@
+/**
+ * @fileoverview Copyright (c) 2023 Jaedin Davasligil
+ *
+ * Rogue-JS is a pure javascript browser dungeon crawler.
+ * @package
+ */
+
+"use strict";
+
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { MinHeap } from "../lib/minheap.js";
+
+test("numbers come off the heap smallest first", () => {
+  const heap = new MinHeap();
+  for (const n of [5, 1, 4, 2, 3]) heap.add(n);
+
+  assert.equal(heap.length, 5);
+  assert.equal(heap.peek(), 1);
+  assert.deepEqual([1, 2, 3, 4, 5].map(() => heap.remove()), [1, 2, 3, 4, 5]);
+  assert.equal(heap.length, 0);
+});
+
+test("a comparator orders any item", () => {
+  const heap = new MinHeap((a, b) => (a.time - b.time) || (a.order - b.order));
+  heap.add({time: 2, order: 0});
+  heap.add({time: 1, order: 2});
+  heap.add({time: 1, order: 1});
+
+  assert.deepEqual(heap.remove(), {time: 1, order: 1});
+  assert.deepEqual(heap.remove(), {time: 1, order: 2});
+  assert.deepEqual(heap.remove(), {time: 2, order: 0});
+});
@@ -0,0 +1,82 @@
+/**
+ * @fileoverview Copyright (c) 2023 Jaedin Davasligil
+ *
+ * Rogue-JS is a pure javascript browser dungeon crawler.
+ * @package
+ */
+
+"use strict";
+
+import assert from "node:assert/strict";
+import { beforeEach, test } from "node:test";
+import { Mining } from "../game/mining.js";
+import { Tile } from "../game/tile.js";
+import { Event } from "../game/types.js";
+import { installDocument, logText } from "./document.js";
+import { newGame, sequence, spent } from "./game.js";
+
+beforeEach(() => installDocument());
+
+const rock = {x: 5, y: 4};
+
+/**
+ * A player next to a rock east of them.
+ * @param {Tile} tile - Rock.
+ * @param {function(): number} rng - Random number generator of the game.
+ * @returns {import("../game/main.js").Game}
+ */
+function setup(tile, rng=sequence(0.5)) {
+  const game = newGame(rng, (world) => world.insert(tile, rock.x, rock.y));
+  game.player.scores.str = 10;
+  return game;
+}
+
+test("picks cut rock, bare hands only clear rubble, and strength helps", () => {
+  const game = setup(Tile.Floor);
+  const player = game.player;
+
+  assert.equal(Mining.moves(player, Tile.Rubble), 24);
+  assert.equal(Mining.moves(player, Tile.Granite), null);
+  assert.equal(Mining.moves(player, Tile.Floor), null);
+
+  player.inventory.push(Object.assign({}, Mining.pick));
+  assert.equal(Mining.moves(player, Tile.Rubble), 12);
+  assert.equal(Mining.moves(player, Tile.Quartz), 144);
+
+  player.scores.str = 18;
+  assert.equal(Mining.moves(player, Tile.Granite), Math.ceil(96 * 0.7));
+});
+
+test("rubble is cleared by hand and the floor kept in the chunk diff", () => {
+  const game = setup(Tile.Rubble);
+  Mining.dig(game, rock);
+
+  assert.equal(game.chunks.getTile(rock), Tile.Floor);
+  assert.equal(game.chunks.getCollision(rock), false);
+  assert.equal(spent(game), 24);
+  assert.equal(game.events.popFront(), Event.PlayerActed);
+  assert.match(logText(), /You clear away the rubble/);
+  assert.ok(Object.keys(game.chunks.collectDiffs(game.world, game.entities).chunkDiffs).length > 0);
+});
+
+test("solid rock needs a pick", () => {
+  const game = setup(Tile.Granite);
+  Mining.dig(game, rock);
+
+  assert.equal(game.chunks.getTile(rock), Tile.Granite);
+  assert.equal(spent(game), 0);
+  assert.match(logText(), /You need a pick to dig through the granite/);
+});
+
+test("veins of ore yield coins", () => {
+  // 2d6 rolls 12.
+  const game = setup(Tile.Gold, sequence(0.99));
+  game.player.equipment.mainHand = Object.assign({}, Mining.pick);
+  const gold = game.player.coins.gold;
+
+  Mining.dig(game, rock);
+
+  assert.equal(game.chunks.getTile(rock), Tile.Floor);
+  assert.equal(game.player.coins.gold, gold + 12);
+  assert.match(logText(), /You find 12 gold pieces/);
+});
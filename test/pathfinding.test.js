@@ -0,0 +1,91 @@
+/**
+ * @fileoverview Copyright (c) 2023 Jaedin Davasligil
+ *
+ * Rogue-JS is a pure javascript browser dungeon crawler.
+ * @package
+ */
+
+"use strict";
+
+import assert from "node:assert/strict";
+import { beforeEach, test } from "node:test";
+import { AI } from "../game/ai.js";
+import { Monster } from "../game/archetype/monster.js";
+import { Pathfinding } from "../game/pathfinding.js";
+import { Tile } from "../game/tile.js";
+import { Direction } from "../game/types.js";
+import { installDocument } from "./document.js";
+import { move, newGame, sequence } from "./game.js";
+
+beforeEach(() => {
+  installDocument();
+  AI.chase = null;
+});
+
+/**
+ * A player west of a wall running down from the top of the room, with a
+ * monster east of it.
+ * @param {number} length - Tiles the wall runs down.
+ * @returns {{game: import("../game/main.js").Game, monster: Monster}}
+ */
+function setup(length) {
+  const game = newGame(sequence(0.5), (world) => {
+    for (let y = 0; y < length; ++y) world.insert(Tile.Wall, 6, y);
+  });
+
+  const monster = new Monster();
+  monster.hostile = true;
+  monster.position = {x: 8, y: 4};
+  game.chunks.setID(monster.position, game.entities.insert(monster));
+  game.chunks.refreshCell(monster.position, game.entities);
+
+  return {game, monster};
+}
+
+test("walls and unloaded chunks are impassable and creatures cost more", () => {
+  const {game, monster} = setup(7);
+
+  assert.equal(Pathfinding.cost(game.chunks, game.entities, {x: 7, y: 4}), 1);
+  assert.equal(Pathfinding.cost(game.chunks, game.entities, {x: 6, y: 4}), Infinity);
+  assert.equal(Pathfinding.cost(game.chunks, game.entities, {x: -1, y: 4}), Infinity);
+  assert.equal(Pathfinding.cost(game.chunks, game.entities, monster.position), 1 + Pathfinding.crowdCost);
+});
+
+test("the shortest path goes around a wall and ends on the goal", () => {
+  const {game, monster} = setup(7);
+  const path = Pathfinding.findPath(game.chunks, game.entities, monster.position, game.player.position);
+
+  assert.equal(path.length, 10);
+  assert.deepEqual(path.at(-1), game.player.position);
+
+  let from = monster.position;
+  for (const step of path) {
+    assert.equal(Math.abs(step.x - from.x) + Math.abs(step.y - from.y), 1);
+    assert.notEqual(game.chunks.getTile(step), Tile.Wall);
+    from = step;
+  }
+});
+
+test("there is no path through a wall with no gap", () => {
+  const {game, monster} = setup(16);
+  assert.equal(Pathfinding.findPath(game.chunks, game.entities, monster.position, game.player.position), null);
+});
+
+test("a distance field counts the steps to the nearest goal", () => {
+  const {game, monster} = setup(7);
+  const field = Pathfinding.distanceField(game.chunks, game.entities, [game.player.position], 8);
+
+  assert.equal(Pathfinding.distanceAt(field, game.player.position), 0);
+  assert.equal(Pathfinding.distanceAt(field, {x: 4, y: 6}), 2);
+  assert.equal(Pathfinding.distanceAt(field, {x: 6, y: 4}), Infinity);
+  assert.equal(Pathfinding.distanceAt(field, {x: 4 + 9, y: 4}), Infinity);
+  assert.equal(Pathfinding.distanceAt(field, monster.position), 10 + Pathfinding.crowdCost);
+  assert.deepEqual(Pathfinding.descend(field, monster.position).slice(0, 2), [Direction.Down, Direction.Left]);
+});
+
+test("chasing monsters head for the gap in a wall", () => {
+  const {game, monster} = setup(7);
+
+  AI.act(game, monster, move);
+  assert.deepEqual(monster.position, {x: 8, y: 5});
+});
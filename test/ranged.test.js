@@ -0,0 +1,138 @@
+/**
+ * @fileoverview Copyright (c) 2023 Jaedin Davasligil
+ *
+ * Rogue-JS is a pure javascript browser dungeon crawler.
+ * @package
+ */
+
+"use strict";
+
+import assert from "node:assert/strict";
+import { beforeEach, test } from "node:test";
+import { EntityType } from "../game/archetype/archetype.js";
+import { Monster } from "../game/archetype/monster.js";
+import { Creation } from "../game/creation.js";
+import { EntityManager } from "../game/entity-manager.js";
+import { Interact } from "../game/interact.js";
+import { Action } from "../game/keybind.js";
+import { Ranged } from "../game/ranged.js";
+import { Tile } from "../game/tile.js";
+import { installDocument, logText } from "./document.js";
+import { newGame, sequence, spent } from "./game.js";
+
+beforeEach(() => installDocument());
+
+/**
+ * An outfitted player four tiles west of a monster.
+ * @param {function(): number} rng - Random number generator of the game.
+ * @returns {{game: import("../game/main.js").Game, monster: Monster}}
+ */
+function setup(rng) {
+  const game = newGame(rng);
+  Creation.outfit(game.player);
+  game.player.scores.dex = 10;
+
+  const monster = new Monster();
+  monster.name = "Goblin";
+  monster.hitPoints = 20;
+  monster.position = {x: game.player.position.x + 4, y: game.player.position.y};
+  game.chunks.setID(monster.position, game.entities.insert(monster));
+  game.chunks.refreshCell(monster.position, game.entities);
+
+  return {game, monster};
+}
+
+/**
+ * Returns the carried items lying on the floor at a position.
+ * @param {import("../game/main.js").Game} game - Game data.
+ * @param {import("../game/types.js").Position} position - World coordinate.
+ * @returns {Array.<object>}
+ */
+function floorItems(game, position) {
+  return (game.chunks.entitiesAt(position) ?? [])
+    .filter((id) => EntityManager.getIDType(id) === EntityType.Item)
+    .map((id) => game.entities.lookup(id).item);
+}
+
+test("distances fall into range bands", () => {
+  const range = Ranged.sling.range;
+  assert.deepEqual([1, 4, 5, 8, 16, 17].map((d) => Ranged.band(range, d)), [0, 0, 1, 1, 2, -1]);
+  assert.equal(Ranged.distance({x: 0, y: 0}, {x: 3, y: -5}), 5);
+});
+
+test("the line of fire runs from next to the shooter to the target", () => {
+  const line = Ranged.lineOfFire({x: 0, y: 0}, {x: 4, y: 2});
+  assert.equal(line.length, 4);
+  assert.deepEqual(line.at(-1), {x: 4, y: 2});
+  assert.ok(line.every((p, i) => i === 0 || Ranged.distance(p, line[i - 1]) === 1));
+});
+
+test("slings fire their stones and daggers are thrown one at a time", () => {
+  const {game} = setup();
+  const player = game.player;
+
+  assert.equal(Ranged.findMissile(player, Action.Fire).slot, "ammunition");
+  const stone = Ranged.takeMissile(player, Action.Fire);
+  assert.equal(stone.item.count, 1);
+  assert.equal(stone.damage, Ranged.sling.damage);
+  assert.equal(player.equipment.ammunition.count, Ranged.stones.count - 1);
+
+  for (let i = 0; i < Creation.daggers; ++i) {
+    const dagger = Ranged.takeMissile(player, Action.Throw);
+    assert.equal(dagger.item.name, "Dagger");
+    assert.deepEqual(dagger.range, Ranged.thrownRange);
+  }
+  assert.equal(Ranged.findMissile(player, Action.Throw), null);
+
+  player.equipment.mainHand = null;
+  assert.equal(Ranged.findMissile(player, Action.Fire), null);
+});
+
+test("a stone fired at a monster rolls to hit and lands at its feet", () => {
+  // A natural 20 doubles the 1d4: 4 + 4, then the stone does not break.
+  const {game, monster} = setup(sequence(0.99));
+  game.pending = Action.Fire;
+  game.cursor = {x: monster.position.x, y: monster.position.y};
+
+  Ranged.release(game);
+
+  assert.equal(monster.hitPoints, 12);
+  assert.match(logText(), /Sling Stone flies at the Goblin \(short range\)/);
+  assert.deepEqual(floorItems(game, monster.position).map((item) => item.count), [1]);
+  assert.equal(game.entities.lookup(game.chunks.getID(monster.position)), monster);
+  assert.equal(spent(game), 1);
+  assert.equal(game.pending, null);
+});
+
+test("missiles stop at obstacles and may break", () => {
+  const {game, monster} = setup(sequence(0.5, 0));
+  const wall = {x: monster.position.x - 1, y: monster.position.y};
+  game.chunks.setTile(wall, Tile.Wall);
+  game.chunks.refreshCell(wall, game.entities);
+  game.pending = Action.Throw;
+  game.cursor = {x: monster.position.x, y: monster.position.y};
+
+  Ranged.release(game);
+
+  assert.equal(monster.hitPoints, 20);
+  assert.match(logText(), /The Dagger hits an obstacle/);
+  assert.deepEqual(floorItems(game, {x: wall.x - 1, y: wall.y}).map((item) => item.name), ["Dagger"]);
+
+  game.player.equipment.ammunition.breakChance = 100;
+  game.pending = Action.Fire;
+  game.cursor = {x: wall.x - 1, y: wall.y};
+  Ranged.release(game);
+  assert.match(logText(), /The Sling Stone breaks/);
+});
+
+test("stones picked up go back with the ammunition", () => {
+  const {game} = setup();
+  Ranged.drop(game, game.player.position, Object.assign({}, Ranged.stones, {count: 3}));
+  Ranged.drop(game, game.player.position, Object.assign({}, Ranged.dagger, {count: 1}));
+
+  Interact.pickUp(game);
+
+  assert.equal(game.player.equipment.ammunition.count, Ranged.stones.count + 3);
+  assert.equal(game.player.inventory.find((item) => item.name === "Dagger").count, Creation.daggers + 1);
+  assert.deepEqual(floorItems(game, game.player.position), []);
+});
@@ -0,0 +1,82 @@
+/**
+ * @fileoverview Copyright (c) 2023 Jaedin Davasligil
+ *
+ * Rogue-JS is a pure javascript browser dungeon crawler.
+ * @package
+ */
+
+"use strict";
+
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import { test } from "node:test";
+import { Player } from "../game/archetype/player.js";
+import { Rules } from "../game/rules.js";
+
+const Ancestries = JSON.parse(readFileSync(new URL("../data/ancestries.json", import.meta.url)));
+const Classes = JSON.parse(readFileSync(new URL("../data/classes.json", import.meta.url)));
+
+/**
+ * Returns scores of 10 with some replaced.
+ * @param {import("../game/rules.js").ScoreTable} scores - Scores replaced.
+ * @returns {import("../game/rules.js").ScoreTable}
+ */
+function scoresOf(scores={}) {
+  return Object.assign({str: 10, dex: 10, con: 10, int: 10, wis: 10, cha: 10}, scores);
+}
+
+test("ancestries require their minimum scores", () => {
+  assert.ok(Rules.ancestryAllowed(scoresOf({con: 9}), Ancestries.Dwarf));
+  assert.equal(Rules.ancestryAllowed(scoresOf({con: 8}), Ancestries.Dwarf), false);
+  assert.ok(Rules.ancestryAllowed(scoresOf({con: 3}), Ancestries.Human));
+});
+
+test("ancestry adjustments are clamped to 3 to 18", () => {
+  const adjusted = Rules.adjustedScores(scoresOf({con: 18, cha: 3}), Ancestries.Dwarf);
+  assert.equal(adjusted.con, 18);
+  assert.equal(adjusted.cha, 3);
+
+  const elf = Rules.adjustedScores(scoresOf(), Ancestries.Elf);
+  assert.equal(elf.dex, 11);
+  assert.equal(elf.con, 9);
+});
+
+test("classes must be open to the ancestry and meet minimums after adjustment", () => {
+  assert.equal(Rules.classAllowed(scoresOf({con: 12}), Ancestries.Dwarf, "MagicUser", Classes.MagicUser), false);
+  assert.ok(Rules.classAllowed(scoresOf({con: 12}), Ancestries.Dwarf, "Fighter", Classes.Fighter));
+
+  const minimums = Object.keys(Classes.Paladin.minimums);
+  const low = scoresOf(Object.fromEntries(minimums.map((key) => [key, Classes.Paladin.minimums[key] - 1])));
+  const high = scoresOf(Object.fromEntries(minimums.map((key) => [key, Classes.Paladin.minimums[key]])));
+  assert.equal(Rules.classAllowed(low, Ancestries.Human, "Paladin", Classes.Paladin), false);
+  assert.ok(Rules.classAllowed(high, Ancestries.Human, "Paladin", Classes.Paladin));
+});
+
+test("level caps take the lower of the ancestry and class limits", () => {
+  assert.equal(Rules.levelCap(Ancestries.Dwarf, "Fighter", Classes.Fighter), 10);
+  assert.equal(Rules.levelCap(Ancestries.Human, "Fighter", Classes.Fighter), Classes.Fighter.maxLevel);
+  assert.equal(Rules.levelCap(Ancestries.Dwarf, "MagicUser", Classes.MagicUser), 0);
+});
+
+test("saving throws come from the last row reached", () => {
+  assert.equal(Rules.savesFor(Classes.Fighter, 1).death, 12);
+  assert.equal(Rules.savesFor(Classes.Fighter, 3).death, 12);
+  assert.equal(Rules.savesFor(Classes.Fighter, 4).death, 10);
+  assert.equal(Rules.savesFor(Classes.Fighter, 14).death, 4);
+});
+
+test("applying rules adjusts scores and merges languages and abilities", () => {
+  const player = new Player();
+  Object.assign(player.scores, scoresOf({con: 12, cha: 12}));
+
+  Rules.apply(player, "Dwarf", Ancestries.Dwarf, "Fighter", Classes.Fighter);
+
+  assert.equal(player.ancestry, "Dwarf");
+  assert.equal(player.combatClass, "Fighter");
+  assert.equal(player.scores.con, 13);
+  assert.equal(player.scores.maxCha, 11);
+  assert.equal(player.hitDice.d, Classes.Fighter.hitDie);
+  assert.equal(player.maxLevel, 10);
+  assert.equal(new Set(player.languages).size, player.languages.length);
+  assert.ok(player.abilities.includes("Infravision"));
+});
@@ -0,0 +1,302 @@
+/**
+ * @fileoverview Copyright (c) 2023 Jaedin Davasligil
+ *
+ * Rogue-JS is a pure javascript browser dungeon crawler.
+ * @package
+ */
+
+"use strict";
+
+import assert from "node:assert/strict";
+import { beforeEach, test } from "node:test";
+import { RingBuffer } from "../lib/ring-buffer.js";
+import { Monster } from "../game/archetype/monster.js";
+import { Player } from "../game/archetype/player.js";
+import { ChunkManager } from "../game/chunk-manager.js";
+import { DiffCodec } from "../game/diff-codec.js";
+import { EntityManager } from "../game/entity-manager.js";
+import { Interact } from "../game/interact.js";
+import { World } from "../game/map-generation.js";
+import { Camera } from "../game/render/camera.js";
+import { Save } from "../game/save.js";
+import { Scheduler } from "../game/scheduler.js";
+import { MemoryStorage, StorageCache } from "../game/storage.js";
+import { Tile } from "../game/tile.js";
+import { installDocument } from "./document.js";
+
+beforeEach(() => {
+  installDocument();
+  Save.storage = new StorageCache(new MemoryStorage());
+});
+
+/**
+ * Start a game in the town with a player and a monster targeted.
+ * @returns {import("../game/main.js").Game}
+ */
+function newGame() {
+  const game = {renderer: {camera: new Camera()}, slot: 1, playTime: 0, playClock: Date.now()};
+  game.entities = new EntityManager();
+  game.player = new Player();
+  game.player.name = "Bo";
+  game.entities.insert(game.player);
+  game.world = new World(11);
+  game.scheduler = new Scheduler();
+
+  const spawn = game.world.generateTown();
+  game.player.position = spawn;
+
+  const monster = new Monster();
+  monster.position = {x: spawn.x + 2, y: spawn.y};
+  game.entities.insert(monster);
+  game.player.target = monster;
+
+  game.chunks = new ChunkManager(spawn, game.world.width, game.world.height, 2, Save.namespace(game.slot), Save.storage);
+  game.chunks.update(spawn, game.world, game.entities, true);
+  game.chunks.setID(spawn, game.player.id);
+  game.chunks.setID(monster.position, monster.id);
+
+  return game;
+}
+
+test("nothing is read before a game is saved", () => {
+  assert.equal(Save.anyExists(), false);
+  assert.equal(Save.read(0), null);
+  assert.deepEqual(Save.listMeta(), new Array(Save.slotCount).fill(null));
+});
+
+test("a saved session is restored with its tiles and references", () => {
+  const game = newGame();
+  game.scheduler.time = 2 * Scheduler.ticksPerTurn;
+  const rubble = {x: game.player.position.x, y: game.player.position.y - 2};
+  game.chunks.setTile(rubble, Tile.Rubble);
+  game.chunks.remember(rubble, game.entities);
+
+  Save.write(game);
+  assert.ok(Save.exists(1));
+  assert.equal(Save.exists(0), false);
+
+  const restored = {renderer: {camera: new Camera()}};
+  Save.restore(Save.read(1), 1, restored);
+
+  assert.equal(restored.world.seed, 11);
+  assert.equal(restored.player.name, "Bo");
+  assert.deepEqual(restored.player.position, game.player.position);
+  assert.equal(restored.player.target, restored.entities.lookup(game.player.target.id));
+  assert.equal(restored.chunks.getTile(rubble), Tile.Rubble);
+  assert.equal(restored.chunks.getMemory(rubble), Tile.Rubble);
+  assert.equal(restored.scheduler.time, 2 * Scheduler.ticksPerTurn);
+});
+
+test("diffs of other levels outlive the restored session changing level", () => {
+  const game = newGame();
+  const stairs = game.world.stairsDown;
+  game.chunks.removeID(game.player.position, game.player.id);
+  game.player.position = {x: stairs.x, y: stairs.y};
+  game.chunks.setID(game.player.position, game.player.id);
+
+  const cells = new Uint8Array(DiffCodec.cells).fill(DiffCodec.unchanged);
+  cells[0] = Tile.Rubble;
+  const diff = DiffCodec.encodeTiles(cells);
+  Save.storage.set(Save.namespace(1) + "1_7_7", diff);
+  Save.write(game);
+
+  const restored = {renderer: {camera: new Camera()}, events: new RingBuffer()};
+  Save.restore(Save.read(1), 1, restored);
+  Interact.takeStairs(restored, true);
+  Interact.takeStairs(restored, false);
+
+  assert.equal(restored.world.depth, 0);
+  assert.equal(restored.chunks.collectDiffs(restored.world, restored.entities).chunkDiffs["1_7_7"], diff);
+});
+
+test("the slot summary is written with the save", () => {
+  const game = newGame();
+  Save.write(game);
+
+  const meta = Save.listMeta()[1];
+  assert.equal(meta.name, "Bo");
+  assert.equal(meta.depth, 0);
+  assert.ok(meta.playTime >= 0);
+});
+
+test("deleting a slot removes its chunk diffs and leaves other slots", () => {
+  const game = newGame();
+  Save.write(game);
+  game.slot = 2;
+  Save.write(game);
+  Save.storage.set(Save.namespace(1) + "0_0_0", "diff");
+
+  Save.delete(1);
+
+  assert.equal(Save.exists(1), false);
+  assert.equal(Save.storage.get(Save.namespace(1) + "0_0_0"), null);
+  assert.ok(Save.exists(2));
+});
+
+test("the save from before slots moves into the first empty slot", () => {
+  const game = newGame();
+  Save.write(game);
+  Save.storage.set(Save.legacyKey, Save.storage.get(Save.namespace(1) + "save"));
+  Save.storage.set("0_1_1", "diff");
+  Save.storage.set("theme", "dark");
+
+  Save.migrateLegacy();
+
+  assert.equal(Save.storage.get(Save.legacyKey), null);
+  assert.equal(Save.readMeta(0).name, "Bo");
+  assert.equal(Save.storage.get(Save.namespace(0) + "0_1_1"), "diff");
+  assert.equal(Save.storage.get("0_1_1"), null);
+  assert.equal(Save.storage.get("theme"), "dark");
+});
+
+test("an unreadable save is ignored", () => {
+  Save.storage.set(Save.namespace(0) + "save", "{not json");
+  assert.equal(Save.read(0), null);
+});
+
+test("an exported save imports into another slot", () => {
+  const game = newGame();
+  Save.write(game);
+
+  const json = Save.exportSlot(1);
+  const doc = JSON.parse(json);
+  assert.equal(doc.format, Save.format);
+  assert.equal(doc.version, Save.version);
+
+  assert.equal(Save.importSlot(json, 3), null);
+  assert.deepEqual(Save.read(3), Save.read(1));
+  assert.equal(Save.readMeta(3).name, "Bo");
+});
+
+test("empty slots have nothing to export", () => {
+  assert.equal(Save.exportSlot(0), null);
+});
+
+test("invalid save files are rejected with a reason", () => {
+  const game = newGame();
+  Save.write(game);
+  const doc = JSON.parse(Save.exportSlot(1));
+
+  assert.equal(Save.importSlot("{", 0), "Save file is not valid JSON.");
+  assert.equal(Save.checkDocument([]), "Not a Rogue JS save file.");
+  assert.equal(Save.checkDocument(Object.assign({}, doc, {format: "other"})), "Not a Rogue JS save file.");
+  assert.equal(Save.checkDocument(Object.assign({}, doc, {version: -1})), "Save file has no valid version.");
+  assert.match(Save.checkDocument(Object.assign({}, doc, {version: Save.version + 1})), /is newer than this game/);
+  assert.equal(Save.checkDocument(Object.assign({}, doc, {save: null})), "Save file is missing its save data.");
+
+  const world = structuredClone(doc);
+  world.save.world.seed = "11";
+  assert.equal(Save.importSlot(JSON.stringify(world), 0), "Save file has an invalid world.");
+
+  const player = structuredClone(doc);
+  player.save.player = 0;
+  assert.equal(Save.importSlot(JSON.stringify(player), 0), "Save file has an invalid player.");
+
+  const scheduler = structuredClone(doc);
+  scheduler.save.scheduler.time = 0.5;
+  assert.equal(Save.importSlot(JSON.stringify(scheduler), 0), "Save file has an invalid scheduler.");
+
+  const diffs = structuredClone(doc);
+  diffs.save.chunkDiffs["not a chunk"] = "";
+  assert.equal(Save.importSlot(JSON.stringify(diffs), 0), "Save file has an invalid chunk diff: not a chunk");
+
+  const entities = structuredClone(doc);
+  entities.save.entityDiffs["0_1_1"] = "{";
+  assert.equal(Save.importSlot(JSON.stringify(entities), 0), "Save file has an invalid entity diff: 0_1_1");
+
+  assert.equal(Save.exists(0), false);
+});
+
+test("saves with an entity manager move their entities into the entity diffs", () => {
+  const em = new EntityManager();
+  const player = new Player();
+  const monster = new Monster();
+  player.name = "Bo";
+  em.insert(player);
+  em.insert(monster);
+  monster.position = {x: 19, y: 35};
+  player.target = monster.id;
+
+  const save = Save.migrate({
+    version: 1,
+    player: player.id,
+    world: JSON.parse(JSON.stringify(new World(11))),
+    entities: JSON.parse(JSON.stringify(em)),
+    chunkDiffs: {},
+    entityDiffs: {"0_1_2": `3,3:${EntityManager.IDToStr(monster.id)};0,0:${EntityManager.IDToStr(player.id)}`},
+  });
+
+  assert.equal(save.version, Save.version);
+  assert.equal(save.entities, undefined);
+  assert.equal(save.player.name, "Bo");
+  assert.deepEqual(save.player.target, {x: 19, y: 35});
+
+  const diff = JSON.parse(save.entityDiffs["0_1_2"]);
+  assert.equal(diff.length, 1);
+  assert.deepEqual(diff[0].slice(0, 2), [3, 3]);
+  assert.equal(diff[0][2].id, monster.id);
+});
+
+test("saves counting player moves keep their clock in scheduler ticks", () => {
+  const player = new Player();
+  const world = new World(11);
+  world.time = 30;
+
+  const save = Save.migrate({
+    version: 2,
+    player: Object.assign(JSON.parse(JSON.stringify(player)), {moves: 5}),
+    world: JSON.parse(JSON.stringify(world)),
+    camera: {},
+    distance: 2,
+    chunkDiffs: {},
+    entityDiffs: {},
+  });
+
+  assert.equal(save.scheduler.time, 3 * Scheduler.ticksPerTurn);
+  assert.equal(save.player.moves, undefined);
+  assert.deepEqual(save.exploredDiffs, {});
+});
+
+test("towns saved before the dungeon get their stairs down", () => {
+  const world = new World(11);
+  world.generateTown();
+  world.tiles = {};
+  world.stairsDown = null;
+
+  const save = Save.migrate({
+    version: 4,
+    player: JSON.parse(JSON.stringify(new Player())),
+    world: JSON.parse(JSON.stringify(world)),
+    scheduler: {time: 0},
+    camera: {},
+    distance: 2,
+    chunkDiffs: {},
+    entityDiffs: {},
+    exploredDiffs: {},
+  });
+
+  const stairs = save.world.stairsDown;
+  assert.deepEqual(stairs, {x: world.width / 2, y: world.height - 4});
+  assert.equal(World.from(save.world).lookup(stairs.x, stairs.y), Tile.StairsDown);
+});
+
+test("magical darkness saved before it was kept per level stays on its level", () => {
+  const world = new World(11, 2);
+  world.addDarkness({x: 3, y: 3}, 2);
+  delete world.darkness[0].depth;
+
+  const save = Save.migrate({
+    version: 5,
+    player: JSON.parse(JSON.stringify(new Player())),
+    world: JSON.parse(JSON.stringify(world)),
+    scheduler: {time: 0},
+    camera: {},
+    distance: 2,
+    chunkDiffs: {},
+    entityDiffs: {},
+    exploredDiffs: {},
+  });
+
+  assert.equal(save.world.darkness[0].depth, 2);
+  assert.equal(World.from(save.world).isDark(3, 3), true);
+});
@@ -0,0 +1,99 @@
+/**
+ * @fileoverview Copyright (c) 2023 Jaedin Davasligil
+ *
+ * Rogue-JS is a pure javascript browser dungeon crawler.
+ * @package
+ */
+
+"use strict";
+
+import assert from "node:assert/strict";
+import { beforeEach, test } from "node:test";
+import { Monster } from "../game/archetype/monster.js";
+import { Interact } from "../game/interact.js";
+import { Scheduler } from "../game/scheduler.js";
+import { Event } from "../game/types.js";
+import { installDocument } from "./document.js";
+import { move, newGame, sequence } from "./game.js";
+
+beforeEach(() => installDocument());
+
+/**
+ * A player and a hostile monster some tiles east of them.
+ * @param {number} distance - Tiles between the player and the monster.
+ * @returns {{game: import("../game/main.js").Game, monster: Monster}}
+ */
+function setup(distance) {
+  const game = newGame(sequence(0.5));
+
+  const monster = new Monster();
+  monster.hostile = true;
+  monster.position = {x: game.player.position.x + distance, y: game.player.position.y};
+  game.chunks.setID(monster.position, game.entities.insert(monster));
+  game.chunks.refreshCell(monster.position, game.entities);
+
+  return {game, monster};
+}
+
+test("actions take longer for slower actors", () => {
+  assert.equal(Scheduler.delay(1, 24), 60);
+  assert.equal(Scheduler.delay(1, 12), 120);
+  assert.equal(Scheduler.delay(3, 24), 180);
+  assert.equal(Scheduler.delay(1, 0), Scheduler.ticksPerTurn);
+});
+
+test("a full speed of moves passes a turn", () => {
+  const game = newGame();
+  Interact.spendTime(game, game.player.speed);
+  game.scheduler.run(game, move);
+
+  assert.equal(game.player.turn, 1);
+  assert.equal(game.world.time, Scheduler.minutesPerTurn);
+  assert.equal(game.events.popFront(), Event.SaveGame);
+});
+
+test("monsters act as often as their speed allows", () => {
+  const {game, monster} = setup(5);
+  monster.speed = game.player.speed / 2;
+
+  Interact.spendTime(game, 1);
+  game.scheduler.run(game, move);
+  assert.equal(monster.position.x, game.player.position.x + 4);
+
+  // Due at the same tick, the player acts first.
+  Interact.spendTime(game, 3);
+  game.scheduler.run(game, move);
+  assert.equal(monster.position.x, game.player.position.x + 3);
+  assert.equal(game.scheduler.time, game.player.nextAction);
+});
+
+test("nothing acts once the player is dead", () => {
+  const {game, monster} = setup(5);
+  game.player.hitPoints = 0;
+
+  Interact.spendTime(game, 1);
+  game.scheduler.run(game, move);
+  assert.equal(monster.position.x, game.player.position.x + 5);
+});
+
+test("monsters no longer loaded are dropped from the queue", () => {
+  const {game, monster} = setup(5);
+  game.scheduler.admit(game);
+  game.entities.remove(monster.id);
+
+  Interact.spendTime(game, 1);
+  game.scheduler.run(game, move);
+
+  assert.equal(game.scheduler.actors.has(monster), false);
+  assert.equal(monster.position.x, game.player.position.x + 5);
+});
+
+test("only the clock is saved", () => {
+  const scheduler = new Scheduler(300);
+  scheduler.schedule({speed: 24, nextAction: 0}, 400);
+
+  const json = JSON.parse(JSON.stringify(scheduler));
+  assert.deepEqual(json, {time: 300});
+  assert.equal(Scheduler.from(json).time, 300);
+  assert.equal(Scheduler.from(json).minutes(), 2);
+});
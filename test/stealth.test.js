@@ -0,0 +1,106 @@
+/**
+ * @fileoverview Copyright (c) 2023 Jaedin Davasligil
+ *
+ * Rogue-JS is a pure javascript browser dungeon crawler.
+ * @package
+ */
+
+"use strict";
+
+import assert from "node:assert/strict";
+import { beforeEach, test } from "node:test";
+import { LockType } from "../game/archetype/archetype.js";
+import { Door } from "../game/archetype/door.js";
+import { Player } from "../game/archetype/player.js";
+import { Stealth } from "../game/stealth.js";
+import { installDocument } from "./document.js";
+
+beforeEach(() => installDocument());
+
+/**
+ * A player facing a door, with every roll of the rng taken from a list.
+ * @param {Array.<number>} rolls - Values returned by the rng in turn.
+ * @returns {{game: import("../game/main.js").Game, door: Door}}
+ */
+function setup(...rolls) {
+  const game = {player: new Player(), rng: () => rolls.shift()};
+  game.player.scores.dex = 10;
+
+  const door = new Door();
+  door.lock = LockType.Simple;
+
+  return {game, door};
+}
+
+test("the chance to pick a lock depends on lock, class, level and tools", () => {
+  const player = new Player();
+  player.scores.dex = 10;
+
+  assert.equal(Stealth.pickChance(player, LockType.Simple), 22);
+
+  player.inventory.push({name: Stealth.toolName});
+  assert.equal(Stealth.pickChance(player, LockType.Simple), 45);
+
+  player.combatClass = "Thief";
+  player.level = 3;
+  player.scores.dex = 16;
+  assert.equal(Stealth.pickChance(player, LockType.Simple), 45 + 20 + 10 + 10);
+
+  assert.equal(Stealth.pickChance(player, LockType.Rusty), 95);
+  player.combatClass = "Fighter";
+  player.scores.dex = 3;
+  player.inventory = [];
+  assert.equal(Stealth.pickChance(player, LockType.Master), 1);
+});
+
+test("picking a lock succeeds under the chance and takes time either way", () => {
+  let {game, door} = setup(0.2);
+  assert.equal(Stealth.pickLock(game, door), Stealth.pickMoves);
+  assert.equal(door.lock, LockType.None);
+
+  ({game, door} = setup(0.5));
+  assert.equal(Stealth.pickLock(game, door), Stealth.pickMoves);
+  assert.equal(door.lock, LockType.Simple);
+});
+
+test("a fumble without picks breaks the lock for good", () => {
+  const {game, door} = setup(0.99);
+
+  assert.equal(Stealth.pickLock(game, door), Stealth.pickMoves);
+  assert.equal(door.jammed, true);
+  assert.equal(Stealth.pickLock(game, door), 0);
+});
+
+test("a fumble with picks jams them and may snap them", () => {
+  let {game, door} = setup(0.99, 0.2);
+  game.player.inventory.push({name: Stealth.toolName});
+  assert.equal(Stealth.pickLock(game, door), Stealth.pickMoves + Stealth.jamMoves);
+  assert.equal(game.player.inventory.length, 0);
+
+  ({game, door} = setup(0.99, 0.7));
+  game.player.inventory.push({name: Stealth.toolName});
+  Stealth.pickLock(game, door);
+  assert.equal(game.player.inventory.length, 1);
+  assert.equal(door.jammed, false);
+});
+
+test("magic locks open with Knock and never by picking", () => {
+  const {game, door} = setup();
+  door.lock = LockType.Magic;
+  game.player.inventory.push({name: Stealth.toolName});
+
+  assert.equal(Stealth.pickLock(game, door), 0);
+  assert.equal(door.lock, LockType.Magic);
+
+  game.player.inventory.push({name: "Chime of Opening"});
+  assert.equal(Stealth.pickLock(game, door), 1);
+  assert.equal(door.lock, LockType.None);
+  assert.equal(game.player.inventory.length, 2);
+
+  door.lock = LockType.Magic;
+  game.player.spells.push("Knock");
+  game.player.spellSlots[1] = 1;
+  Stealth.pickLock(game, door);
+  assert.equal(door.lock, LockType.None);
+  assert.equal(game.player.spellSlots[1], 0);
+});
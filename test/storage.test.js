@@ -0,0 +1,104 @@
+/**
+ * @fileoverview Copyright (c) 2023 Jaedin Davasligil
+ *
+ * Rogue-JS is a pure javascript browser dungeon crawler.
+ * @package
+ */
+
+"use strict";
+
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { Save } from "../game/save.js";
+import { LocalStorage, MemoryStorage, StorageCache } from "../game/storage.js";
+import { MemoryLocalStorage } from "./local-storage.js";
+
+for (const [name, create] of [
+  ["MemoryStorage", () => new MemoryStorage()],
+  ["LocalStorage", () => new LocalStorage(new MemoryLocalStorage())],
+]) {
+  test(`${name} gets, sets, deletes and lists keys`, async () => {
+    const backend = create();
+
+    assert.equal(await backend.get("slot0/save"), null);
+
+    await backend.set("slot0/save", "a");
+    await backend.set("slot0/meta", "b");
+    await backend.set("slot1/save", "c");
+    assert.equal(await backend.get("slot0/save"), "a");
+    assert.deepEqual((await backend.list("slot0/")).sort(), ["slot0/meta", "slot0/save"]);
+
+    await backend.delete("slot0/save");
+    assert.equal(await backend.get("slot0/save"), null);
+    assert.deepEqual(await backend.list("slot0/"), ["slot0/meta"]);
+  });
+}
+
+test("the cache applies writes at once and reaches the backend in order", async () => {
+  const backend = new MemoryStorage();
+  const cache = new StorageCache(backend);
+
+  cache.set("a", "1");
+  cache.set("a", "2");
+  cache.set("b", "3");
+  cache.delete("b");
+  assert.equal(cache.get("a"), "2");
+  assert.equal(cache.get("b"), null);
+
+  await cache.flush();
+  assert.equal(await backend.get("a"), "2");
+  assert.equal(await backend.get("b"), null);
+
+  const reopened = await StorageCache.open(backend);
+  assert.deepEqual(reopened.list(""), ["a"]);
+});
+
+test("backend write errors are reported", async () => {
+  const backend = new MemoryStorage();
+  const error = new Error("full");
+  error.name = "QuotaExceededError";
+  backend.set = async () => { throw error; };
+
+  const errors = [];
+  const cache = new StorageCache(backend);
+  cache.onError = (e) => errors.push(e);
+
+  cache.set("a", "1");
+  await cache.flush();
+
+  assert.equal(cache.get("a"), "1");
+  assert.deepEqual(errors, [error]);
+  assert.equal(StorageCache.isQuotaExceeded(error), true);
+  assert.equal(StorageCache.isQuotaExceeded(new Error("other")), false);
+});
+
+test("adopting another backend keeps the keys already present", async () => {
+  const old = new MemoryStorage();
+  await old.set("slot0/save", "old");
+  await old.set("slot1/save", "moved");
+
+  const cache = new StorageCache(new MemoryStorage());
+  cache.set("slot0/save", "new");
+  await cache.flush();
+  await cache.adopt(old, () => true);
+
+  assert.equal(cache.get("slot0/save"), "new");
+  assert.equal(cache.get("slot1/save"), "moved");
+  assert.equal(await cache.backend.get("slot1/save"), "moved");
+  assert.deepEqual(await old.list(""), []);
+});
+
+test("only the game's own keys are adopted", async () => {
+  const old = new MemoryStorage();
+  await old.set("slot1/save", "moved");
+  await old.set("1_0_2", "legacy diff");
+  await old.set("theme", "dark");
+
+  const cache = new StorageCache(new MemoryStorage());
+  await cache.adopt(old, Save.ownsKey);
+
+  assert.equal(cache.get("slot1/save"), "moved");
+  assert.equal(cache.get("1_0_2"), "legacy diff");
+  assert.equal(cache.get("theme"), null);
+  assert.deepEqual(await old.list(""), ["theme"]);
+});
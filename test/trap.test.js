@@ -0,0 +1,131 @@
+/**
+ * @fileoverview Copyright (c) 2023 Jaedin Davasligil
+ *
+ * Rogue-JS is a pure javascript browser dungeon crawler.
+ * @package
+ */
+
+"use strict";
+
+import assert from "node:assert/strict";
+import { beforeEach, test } from "node:test";
+import { LockTrapType, LockType } from "../game/archetype/archetype.js";
+import { Monster } from "../game/archetype/monster.js";
+import { InteractMode } from "../game/archetype/player.js";
+import { Interact } from "../game/interact.js";
+import { Stealth } from "../game/stealth.js";
+import { Tile } from "../game/tile.js";
+import { Trap } from "../game/trap.js";
+import { Event } from "../game/types.js";
+import { installDocument, logText } from "./document.js";
+import { move, newGame, placeDoor, sequence } from "./game.js";
+
+beforeEach(() => installDocument());
+
+test("damaging traps are halved by a saving throw and go off once", () => {
+  // 3d6 of fire rolls 18, then the breath save rolls 20.
+  const game = newGame(sequence(0.99));
+  const door = placeDoor(game);
+  door.trap = LockTrapType.Fire;
+  game.player.hitPoints = 20;
+
+  Trap.trigger(game, door);
+  assert.equal(game.player.hitPoints, 11);
+  assert.equal(door.trap, LockTrapType.None);
+  assert.match(logText(), /You make your saving throw/);
+
+  Trap.trigger(game, door);
+  assert.equal(game.player.hitPoints, 11);
+});
+
+test("a trap dealing the last hit points kills the player", () => {
+  const game = newGame(sequence(0));
+  const door = placeDoor(game);
+  door.trap = LockTrapType.Fire;
+  game.player.hitPoints = 2;
+
+  Trap.trigger(game, door);
+  assert.match(logText(), /The trap has killed you/);
+  assert.equal(game.events.popFront(), Event.PlayerDied);
+});
+
+test("falling rocks leave rubble where the player stands", () => {
+  const game = newGame(sequence(0));
+  const door = placeDoor(game);
+  door.trap = LockTrapType.Rocks;
+  game.player.hitPoints = 20;
+
+  Trap.trigger(game, door);
+  assert.equal(game.player.hitPoints, 18);
+  assert.equal(game.chunks.getTile(game.player.position), Tile.Rubble);
+  assert.equal(game.chunks.getCollision(game.player.position), true);
+});
+
+test("an alarm wakes the monsters nearby", () => {
+  const game = newGame();
+  const door = placeDoor(game);
+  door.trap = LockTrapType.Alarm;
+
+  const near = new Monster();
+  const far = new Monster();
+  near.asleep = far.asleep = true;
+  near.position = {x: door.position.x + Trap.alarmRadius, y: 0};
+  far.position = {x: door.position.x + Trap.alarmRadius + 1, y: 0};
+  game.entities.insert(near);
+  game.entities.insert(far);
+
+  Trap.trigger(game, door);
+  assert.equal(near.asleep, false);
+  assert.equal(far.asleep, true);
+});
+
+test("darkness blinds the player for a few turns", () => {
+  const game = newGame();
+  const door = placeDoor(game);
+  door.trap = LockTrapType.Darkness;
+
+  Trap.trigger(game, door);
+  assert.equal(game.player.blinded, Trap.blindTurns);
+  assert.equal(game.world.isDark(door.position.x, door.position.y), true);
+
+  Interact.spendTime(game, game.player.speed * Trap.blindTurns);
+  game.scheduler.run(game, move);
+  assert.equal(game.player.blinded, 0);
+  assert.match(logText(), /You can see again/);
+});
+
+test("stealth searches a lock, disarms its trap, then picks it", () => {
+  // The search and disarm rolls succeed, then the pick roll fails.
+  const game = newGame(sequence(0, 0, 0.5));
+  const door = placeDoor(game);
+  door.lock = LockType.Simple;
+  door.trap = LockTrapType.Poison;
+  game.player.mode = InteractMode.Stealth;
+
+  Interact.dispatch(game, door.id);
+  assert.equal(door.trapFound, true);
+  assert.match(logText(), /You find a poison trap/);
+
+  Interact.dispatch(game, door.id);
+  assert.equal(door.trap, LockTrapType.None);
+
+  Interact.dispatch(game, door.id);
+  assert.equal(door.lock, LockType.Simple);
+  assert.match(logText(), /You fail to pick the lock/);
+});
+
+test("a trap left on the lock goes off when picking fails or the door is bashed", () => {
+  const game = newGame(sequence(0.5));
+  const door = placeDoor(game);
+  door.lock = LockType.Simple;
+  door.trap = LockTrapType.Darkness;
+
+  Stealth.pickLock(game, door);
+  assert.equal(game.player.blinded, Trap.blindTurns);
+
+  door.trap = LockTrapType.Alarm;
+  game.player.mode = InteractMode.Combat;
+  Interact.dispatch(game, door.id);
+  assert.equal(door.trap, LockTrapType.None);
+  assert.match(logText(), /A bell rings out/);
+});